@@ -0,0 +1,157 @@
+const express = require('express');
+const { processDocument, buildProcessOptions } = require('../lib/pdfProcessor');
+const { createLimiter } = require('../lib/concurrency');
+const router = express.Router();
+
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 50;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 3;
+const BATCH_MAX_CONCURRENCY = parseInt(process.env.BATCH_MAX_CONCURRENCY, 10) || 5;
+
+/**
+ * Check that a batch item is an object whose url, if any, is a string
+ * @param {*} item - Batch item as sent
+ * @returns {boolean} True for a usable item
+ */
+function isValidBatchItem(item) {
+  return Boolean(item) && typeof item === 'object' && !Array.isArray(item)
+    && (item.url === undefined || item.url === null || typeof item.url === 'string');
+}
+
+/**
+ * Extract a single batch item, turning failures into a per-item error
+ * @param {Object} item - Batch item
+ * @param {number} index - Position of the item in the request
+ * @param {Object} options - Shared batch options (includePages)
+ * @returns {Promise} Item result
+ */
+async function extractBatchItem(item, index, { includePages }) {
+  const { url, documentId, filename, fileType, enableOCR = true, ocrLanguages, outputFormat, extractTables, tableFormat, cleaningProfile, chunking, noCache, password, pages: pageRanges, ocrPages, layout: includeLayout } = item;
+
+  if (!url) {
+    return {
+      index,
+      documentId,
+      filename,
+      success: false,
+      error: 'MISSING_URL',
+      message: 'Document URL is required'
+    };
+  }
+
+  try {
+    const { text, metadata, pages, content, tables, chunks, layout } = await processDocument(url, buildProcessOptions({ documentId, filename, fileType, enableOCR, ocrLanguages, outputFormat, extractTables, tableFormat, cleaningProfile, chunking, noCache, password, pages: pageRanges, ocrPages, layout: includeLayout }));
+
+    return {
+      index,
+      documentId,
+      filename,
+      success: true,
+      extractedText: text,
+      metadata,
+      ...(content !== undefined && { content }),
+      ...(tables && { tables }),
+      ...(chunks && { chunks }),
+      ...(layout !== undefined && { layout }),
+      ...(includePages && { pages })
+    };
+  } catch (error) {
+    console.error(`Error processing batch item ${index}:`, error);
+
+    return {
+      index,
+      documentId,
+      filename,
+      success: false,
+      error: error.code || 'EXTRACTION_FAILED',
+      message: error.message || 'Failed to extract text from document'
+    };
+  }
+}
+
+/**
+ * Extract text from several documents in one request
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { items, documentId, ocrLanguages, outputFormat, extractTables = false, tableFormat, cleaningProfile, chunking, includePages = false, noCache = false, layout = false } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'MISSING_ITEMS',
+        message: 'A non-empty items array is required'
+      });
+    }
+
+    if (items.length > BATCH_MAX_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        error: 'TOO_MANY_ITEMS',
+        message: `A batch can contain at most ${BATCH_MAX_ITEMS} items`
+      });
+    }
+
+    const concurrency = Math.min(
+      parseInt(req.body.concurrency, 10) || BATCH_CONCURRENCY,
+      BATCH_MAX_CONCURRENCY
+    );
+
+    console.log(`Processing batch of ${items.length} documents with concurrency ${concurrency}`);
+
+    // One limiter per batch: at most `concurrency` of its items are downloaded, parsed or OCR'd at a time
+    const limiter = createLimiter(concurrency);
+
+    const results = await Promise.all(items.map((item, index) => {
+      if (!isValidBatchItem(item)) {
+        return {
+          index,
+          documentId,
+          success: false,
+          error: 'INVALID_BATCH_ITEM',
+          message: 'Batch items must be objects with a url string'
+        };
+      }
+
+      return limiter(() => extractBatchItem(
+        {
+          ...item,
+          documentId: item.documentId || documentId,
+          ocrLanguages: item.ocrLanguages || ocrLanguages,
+          outputFormat: item.outputFormat || outputFormat,
+          extractTables: item.extractTables ?? extractTables,
+          tableFormat: item.tableFormat || tableFormat,
+          cleaningProfile: item.cleaningProfile || cleaningProfile,
+          chunking: item.chunking ?? chunking,
+          noCache: item.noCache ?? noCache,
+          layout: item.layout ?? layout
+        },
+        index,
+        { includePages }
+      ));
+    }));
+
+    const succeeded = results.filter(result => result.success).length;
+
+    return res.json({
+      success: true,
+      data: {
+        documentId,
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results
+      }
+    });
+  } catch (error) {
+    console.error('Error processing batch:', error);
+
+    next({
+      code: 'BATCH_FAILED',
+      message: 'Failed to process batch',
+      status: 500,
+      originalError: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,14 +1,20 @@
 const express = require('express');
-const { processDocument } = require('../lib/pdfProcessor');
+const { processDocument, buildProcessOptions } = require('../lib/pdfProcessor');
+const { createJob } = require('../lib/jobRunner');
+const { isValidCallbackUrl, isWebhookSigningConfigured } = require('../lib/webhooks');
+const { getStreamFormat, openEventStream } = require('../lib/eventStream');
+const { getResultEtag, matchesEtag } = require('../lib/resultCache');
 const router = express.Router();
 
 /**
  * Extract text from a document
  */
 router.post('/', async (req, res, next) => {
+  let stream = null;
+
   try {
     // Validate request body
-    const { cloudinaryUrl, documentId, filename, fileType, enableOCR = true } = req.body;
+    const { cloudinaryUrl, documentId, filename, fileType, enableOCR = true, ocrLanguages, outputFormat, extractTables = false, tableFormat, cleaningProfile, chunking, includePages = false, noCache = false, password, pages: pageRanges, ocrPages, layout: includeLayout = false, callbackUrl } = req.body;
     
     if (!cloudinaryUrl) {
       return res.status(400).json({
@@ -26,8 +32,66 @@ router.post('/', async (req, res, next) => {
       });
     }
     
+    // With a callback URL, extract in the background and POST the outcome when done
+    if (callbackUrl) {
+      if (!isValidCallbackUrl(callbackUrl)) {
+        return res.status(400).json({
+          success: false,
+          error: 'INVALID_CALLBACK_URL',
+          message: 'Callback URL must be an absolute http or https URL on a public host'
+        });
+      }
+
+      if (!isWebhookSigningConfigured()) {
+        return res.status(400).json({
+          success: false,
+          error: 'WEBHOOK_SECRET_MISSING',
+          message: 'Callbacks cannot be signed, configure WEBHOOK_SECRET or API_KEY on the server'
+        });
+      }
+
+      const job = await createJob({
+        cloudinaryUrl, documentId, filename, fileType, enableOCR, ocrLanguages, outputFormat, extractTables, tableFormat, cleaningProfile, chunking, includePages, noCache, password, pages: pageRanges, ocrPages, layout: includeLayout, callbackUrl
+      });
+      console.log(`Queued job ${job.id} for document ID: ${documentId}, callback: ${callbackUrl}`);
+
+      return res.status(202).json({
+        success: true,
+        data: {
+          documentId,
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `/api/jobs/${job.id}`
+        }
+      });
+    }
+    
     console.log(`Processing document ID: ${documentId}, URL: ${cloudinaryUrl}`);
     
+    // Optionally stream download and page progress as SSE or NDJSON events
+    const streamFormat = getStreamFormat(req);
+    if (streamFormat) {
+      stream = openEventStream(res, streamFormat);
+    }
+    const onProgress = stream ? stream.send : undefined;
+    
+    const sendResult = (data) => {
+      if (stream) {
+        return stream.end({ type: 'result', success: true, data });
+      }
+
+      // Cached results are identified by their cache key
+      const etag = getResultEtag(data.metadata);
+      if (etag) {
+        res.set('ETag', etag);
+        res.set('X-Cache', data.metadata.cache.hit ? 'HIT' : 'MISS');
+        if (matchesEtag(req.get('If-None-Match'), etag)) {
+          return res.status(304).end();
+        }
+      }
+      return res.json({ success: true, data });
+    };
+    
     // Detect if this is likely a PDF uploaded to Cloudinary
     const isPdfFile = filename?.toLowerCase().endsWith('.pdf') || fileType?.toLowerCase() === 'pdf';
     
@@ -35,24 +99,22 @@ router.post('/', async (req, res, next) => {
     try {
       // Set process options
       const processOptions = {
-        enableOCR,
-        documentId,
-        filename,
-        // If file has PDF extension or type but Cloudinary might have converted it
-        forcePdfMode: isPdfFile, 
-        skipPdfValidation: isPdfFile
+        ...buildProcessOptions({ documentId, filename, fileType, enableOCR, ocrLanguages, outputFormat, extractTables, tableFormat, cleaningProfile, chunking, noCache, password, pages: pageRanges, ocrPages, layout: includeLayout }),
+        onProgress
       };
       
-      const { text, metadata } = await processDocument(cloudinaryUrl, processOptions);
+      const { text, metadata, pages, content, tables, chunks, layout } = await processDocument(cloudinaryUrl, processOptions);
       
-      // Return the extracted text with metadata
-      return res.json({
-        success: true,
-        data: {
-          documentId,
-          extractedText: text,
-          metadata
-        }
+      // Return the extracted text with metadata (and per-page text if requested)
+      return sendResult({
+        documentId,
+        extractedText: text,
+        metadata,
+        ...(content !== undefined && { content }),
+        ...(tables && { tables }),
+        ...(chunks && { chunks }),
+        ...(layout !== undefined && { layout }),
+        ...(includePages && { pages })
       });
     } catch (error) {
       // Special handling for images detected as PDFs
@@ -61,21 +123,33 @@ router.post('/', async (req, res, next) => {
           isPdfFile) {
         console.log('File detected as image but has PDF extension, using OCR directly...');
         
-        const { text, metadata } = await processDocument(cloudinaryUrl, {
+        const { text, metadata, pages, content, tables, chunks, layout } = await processDocument(cloudinaryUrl, {
           enableOCR: true, // Force OCR
+          ocrLanguages,
+          outputFormat,
+          extractTables,
+          tableFormat,
+          cleaningProfile,
+          chunking,
+          noCache,
+          pages: pageRanges,
+          layout: includeLayout,
           documentId,
           filename,
-          useDirectOcr: true // Special flag to use OCR directly
+          useDirectOcr: true, // Special flag to use OCR directly
+          onProgress
         });
         
-        return res.json({
-          success: true,
-          data: {
-            documentId,
-            extractedText: text,
-            metadata,
-            note: 'File was processed with OCR as it was detected as an image'
-          }
+        return sendResult({
+          documentId,
+          extractedText: text,
+          metadata,
+          ...(content !== undefined && { content }),
+          ...(tables && { tables }),
+          ...(chunks && { chunks }),
+          ...(layout !== undefined && { layout }),
+          ...(includePages && { pages }),
+          note: 'File was processed with OCR as it was detected as an image'
         });
       }
       
@@ -84,6 +158,16 @@ router.post('/', async (req, res, next) => {
   } catch (error) {
     console.error('Error processing document:', error);
     
+    // Headers are already sent when streaming, report the error as the final event
+    if (stream) {
+      return stream.end({
+        type: 'error',
+        success: false,
+        error: error.code || 'EXTRACTION_FAILED',
+        message: error.message || 'Failed to extract text from document'
+      });
+    }
+    
     // If it's an already formatted error, pass it to the error handler
     if (error.code && error.status) {
       return next(error);
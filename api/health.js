@@ -1,17 +1,20 @@
 const express = require('express');
+const { getOcrPoolStats, getResultCacheStats } = require('../lib/pdfProcessor');
 const router = express.Router();
 
 /**
  * Health check endpoint
  */
-router.get('/', (req, res) => {
+router.get('/', async (req, res) => {
   const healthData = {
     uptime: process.uptime(),
     timestamp: Date.now(),
     status: 'ok',
     version: process.env.npm_package_version || '1.0.0',
     memory: process.memoryUsage(),
-    cpu: process.cpuUsage()
+    cpu: process.cpuUsage(),
+    ocrWorkers: getOcrPoolStats(),
+    resultCache: await getResultCacheStats().catch(() => null)
   };
   
   res.json({
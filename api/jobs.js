@@ -0,0 +1,161 @@
+const express = require('express');
+const { createJob, getJob } = require('../lib/jobRunner');
+const { isValidCallbackUrl, isWebhookSigningConfigured } = require('../lib/webhooks');
+const { tableToCsv } = require('../lib/outputFormats');
+const router = express.Router();
+
+/**
+ * Format a job for API responses
+ * @param {Object} job - Job record from the store
+ * @returns {Object} Public job representation
+ */
+function formatJob(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    documentId: job.request.documentId,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    callbackDeliveryId: job.callbackDeliveryId || null
+  };
+}
+
+/**
+ * Queue a document for asynchronous extraction
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { cloudinaryUrl, documentId, filename, fileType, enableOCR = true, ocrLanguages, outputFormat, extractTables = false, tableFormat, cleaningProfile, chunking, includePages = false, noCache = false, password, pages, ocrPages, layout = false, callbackUrl } = req.body;
+
+    if (!cloudinaryUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'MISSING_URL',
+        message: 'Document URL is required'
+      });
+    }
+
+    if (!documentId) {
+      return res.status(400).json({
+        success: false,
+        error: 'MISSING_DOCUMENT_ID',
+        message: 'Document ID is required'
+      });
+    }
+
+    if (callbackUrl && !isValidCallbackUrl(callbackUrl)) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_CALLBACK_URL',
+        message: 'Callback URL must be an absolute http or https URL on a public host'
+      });
+    }
+
+    if (callbackUrl && !isWebhookSigningConfigured()) {
+      return res.status(400).json({
+        success: false,
+        error: 'WEBHOOK_SECRET_MISSING',
+        message: 'Callbacks cannot be signed, configure WEBHOOK_SECRET or API_KEY on the server'
+      });
+    }
+
+    const job = await createJob({
+      cloudinaryUrl, documentId, filename, fileType, enableOCR, ocrLanguages, outputFormat, extractTables, tableFormat, cleaningProfile, chunking, includePages, noCache, password, pages, ocrPages, layout, callbackUrl
+    });
+    console.log(`Queued job ${job.id} for document ID: ${documentId}`);
+
+    return res.status(202).json({
+      success: true,
+      data: {
+        ...formatJob(job),
+        statusUrl: `${req.baseUrl}/${job.id}`
+      }
+    });
+  } catch (error) {
+    console.error('Error creating job:', error);
+
+    next({
+      code: 'JOB_CREATION_FAILED',
+      message: 'Failed to create extraction job',
+      status: 500,
+      originalError: error.message
+    });
+  }
+});
+
+/**
+ * Get the status, progress and result of a job
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'JOB_NOT_FOUND',
+        message: `Job ${req.params.id} was not found`
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: formatJob(job)
+    });
+  } catch (error) {
+    console.error('Error reading job:', error);
+
+    next({
+      code: 'JOB_LOOKUP_FAILED',
+      message: 'Failed to read extraction job',
+      status: 500,
+      originalError: error.message
+    });
+  }
+});
+
+/**
+ * Download a table found by a job as CSV
+ */
+router.get('/:id/tables/:index.csv', async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'JOB_NOT_FOUND',
+        message: `Job ${req.params.id} was not found`
+      });
+    }
+
+    const table = job.result?.tables?.[parseInt(req.params.index, 10)];
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        error: 'TABLE_NOT_FOUND',
+        message: `Job ${req.params.id} has no table ${req.params.index}. Create the job with extractTables to collect tables.`
+      });
+    }
+
+    const filename = `${job.request.documentId}-table-${table.index}.csv`.replace(/[^\w.-]/g, '_');
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(tableToCsv(table.rows));
+  } catch (error) {
+    console.error('Error reading job table:', error);
+
+    next({
+      code: 'JOB_LOOKUP_FAILED',
+      message: 'Failed to read extraction job',
+      status: 500,
+      originalError: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,176 @@
+const express = require('express');
+const multer = require('multer');
+const { processBuffer, buildProcessOptions } = require('../lib/pdfProcessor');
+const { detectMimeType } = require('../lib/fileDownloader');
+const { getResultEtag, matchesEtag } = require('../lib/resultCache');
+const router = express.Router();
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || 50000000;
+const MAX_UPLOAD_FILES = parseInt(process.env.MAX_UPLOAD_FILES, 10) || 10;
+
+// Keep uploads in memory, the buffers go straight into the extraction pipeline
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_UPLOAD_FILES
+  }
+}).fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'files', maxCount: MAX_UPLOAD_FILES }
+]);
+
+/**
+ * Parse multipart uploads, turning multer errors into formatted errors
+ */
+const handleUpload = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+
+    if (err instanceof multer.MulterError) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        error: tooLarge ? 'FILE_TOO_LARGE' : 'INVALID_UPLOAD',
+        message: tooLarge
+          ? `File exceeds the maximum size of ${MAX_FILE_SIZE} bytes`
+          : `Invalid upload: ${err.message}`
+      });
+    }
+
+    next(err);
+  });
+};
+
+/**
+ * Extract text from a single uploaded file
+ * @param {Object} file - Multer file object
+ * @param {Object} options - Processing options from the request
+ * @returns {Promise} Extracted text and metadata
+ */
+async function extractUploadedFile(file, { documentId, fileType, enableOCR, ocrLanguages, outputFormat, extractTables, tableFormat, cleaningProfile, chunking, noCache, password, pages, ocrPages, layout }) {
+  const filename = file.originalname;
+  const mimeType = detectMimeType(file.buffer, filename, file.mimetype);
+
+  console.log(`Processing uploaded file: ${filename}, MIME type: ${mimeType}, Size: ${file.size} bytes`);
+
+  // Uploads with a PDF name or type may be images, same as Cloudinary conversions
+  return await processBuffer(file.buffer, mimeType, buildProcessOptions({
+    documentId, filename, fileType, enableOCR, ocrLanguages, outputFormat, extractTables, tableFormat, cleaningProfile, chunking, noCache, password, pages, ocrPages, layout
+  }));
+}
+
+/**
+ * Extract text from one or more uploaded documents
+ */
+router.post('/', handleUpload, async (req, res, next) => {
+  try {
+    const { documentId, fileType, ocrLanguages, outputFormat, tableFormat, cleaningProfile, chunking, password, pages: pageRanges, ocrPages } = req.body;
+    // Multipart fields always arrive as strings
+    const enableOCR = req.body.enableOCR === undefined ? true : req.body.enableOCR !== 'false';
+    const includePages = req.body.includePages === 'true';
+    const noCache = req.body.noCache === 'true';
+    const extractTables = req.body.extractTables === 'true';
+    const includeLayout = req.body.layout === 'true';
+    const files = [...(req.files?.file || []), ...(req.files?.files || [])];
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'MISSING_FILE',
+        message: 'At least one file is required in the "file" or "files" field'
+      });
+    }
+
+    if (!documentId) {
+      return res.status(400).json({
+        success: false,
+        error: 'MISSING_DOCUMENT_ID',
+        message: 'Document ID is required'
+      });
+    }
+
+    const options = { documentId, fileType, enableOCR, ocrLanguages, outputFormat, extractTables, tableFormat, cleaningProfile, chunking, noCache, password, pages: pageRanges, ocrPages, layout: includeLayout };
+
+    // Single file: same response shape as /api/extract
+    if (files.length === 1) {
+      const { text, metadata, pages, content, tables, chunks, layout } = await extractUploadedFile(files[0], options);
+
+      const etag = getResultEtag(metadata);
+      if (etag) {
+        res.set('ETag', etag);
+        res.set('X-Cache', metadata.cache.hit ? 'HIT' : 'MISS');
+        if (matchesEtag(req.get('If-None-Match'), etag)) {
+          return res.status(304).end();
+        }
+      }
+
+      return res.json({
+        success: true,
+        data: {
+          documentId,
+          filename: files[0].originalname,
+          extractedText: text,
+          metadata,
+          ...(content !== undefined && { content }),
+          ...(tables && { tables }),
+          ...(chunks && { chunks }),
+          ...(layout !== undefined && { layout }),
+          ...(includePages && { pages })
+        }
+      });
+    }
+
+    // Several files: extract each one, a failure only affects its own entry
+    const results = [];
+    for (const file of files) {
+      try {
+        const { text, metadata, pages, content, tables, chunks, layout } = await extractUploadedFile(file, options);
+        results.push({
+          success: true,
+          filename: file.originalname,
+          extractedText: text,
+          metadata,
+          ...(content !== undefined && { content }),
+          ...(tables && { tables }),
+          ...(chunks && { chunks }),
+          ...(layout !== undefined && { layout }),
+          ...(includePages && { pages })
+        });
+      } catch (error) {
+        console.error(`Error processing uploaded file ${file.originalname}:`, error);
+        results.push({
+          success: false,
+          filename: file.originalname,
+          error: error.code || 'EXTRACTION_FAILED',
+          message: error.message || 'Failed to extract text from document'
+        });
+      }
+    }
+
+    return res.json({
+      success: results.some(result => result.success),
+      data: {
+        documentId,
+        files: results
+      }
+    });
+  } catch (error) {
+    console.error('Error processing upload:', error);
+
+    if (error.code && error.status) {
+      return next(error);
+    }
+
+    next({
+      code: 'EXTRACTION_FAILED',
+      message: 'Failed to extract text from document',
+      status: 500,
+      originalError: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,60 @@
+const express = require('express');
+const { getDelivery, listDeliveries } = require('../lib/webhooks');
+const router = express.Router();
+
+/**
+ * List webhook deliveries, optionally filtered by job, document or status
+ */
+router.get('/deliveries', async (req, res, next) => {
+  try {
+    const { jobId, documentId, status } = req.query;
+    const deliveries = await listDeliveries({ jobId, documentId, status });
+
+    return res.json({
+      success: true,
+      data: deliveries
+    });
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+
+    next({
+      code: 'DELIVERY_LOOKUP_FAILED',
+      message: 'Failed to read webhook deliveries',
+      status: 500,
+      originalError: error.message
+    });
+  }
+});
+
+/**
+ * Get a single webhook delivery with all of its attempts
+ */
+router.get('/deliveries/:id', async (req, res, next) => {
+  try {
+    const delivery = await getDelivery(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'DELIVERY_NOT_FOUND',
+        message: `Webhook delivery ${req.params.id} was not found`
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    console.error('Error reading webhook delivery:', error);
+
+    next({
+      code: 'DELIVERY_LOOKUP_FAILED',
+      message: 'Failed to read webhook delivery',
+      status: 500,
+      originalError: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
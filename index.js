@@ -2,13 +2,21 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const extractRoute = require('./api/extract');
+const uploadRoute = require('./api/upload');
+const batchRoute = require('./api/batch');
+const jobsRoute = require('./api/jobs');
+const webhooksRoute = require('./api/webhooks');
 const healthRoute = require('./api/health');
+const { shutdownOcrWorkers } = require('./lib/pdfProcessor');
+const { recoverJobs } = require('./lib/jobRunner');
+const { recoverDeliveries } = require('./lib/webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(express.json());
+// data: URIs travel in the JSON body, so allow more than express' 100kb default
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '70mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(cors());
 
@@ -39,6 +47,10 @@ const authenticateRequest = (req, res, next) => {
 
 // Routes
 app.use('/api/extract', authenticateRequest, extractRoute);
+app.use('/api/upload', authenticateRequest, uploadRoute);
+app.use('/api/batch', authenticateRequest, batchRoute);
+app.use('/api/jobs', authenticateRequest, jobsRoute);
+app.use('/api/webhooks', authenticateRequest, webhooksRoute);
 app.use('/api/health', healthRoute);
 
 // Root route
@@ -48,6 +60,10 @@ app.get('/', (req, res) => {
     status: 'Running',
     endpoints: [
       '/api/extract',
+      '/api/upload',
+      '/api/batch',
+      '/api/jobs',
+      '/api/webhooks/deliveries',
       '/api/health'
     ]
   });
@@ -68,8 +84,23 @@ app.use((err, req, res, next) => {
 if (process.env.NODE_ENV !== 'production') {
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
+
+    // Jobs and webhook retries only run in a long-lived process, resume the ones left by the previous one
+    recoverJobs()
+      .then(({ requeued, failed }) => console.log(`Recovered jobs: ${requeued} requeued, ${failed} interrupted`))
+      .catch(error => console.error('Failed to recover jobs:', error));
+    recoverDeliveries()
+      .then(count => console.log(`Recovered webhook deliveries: ${count} pending`))
+      .catch(error => console.error('Failed to recover webhook deliveries:', error));
   });
 }
 
+// Terminate OCR workers before the process exits
+process.once('SIGTERM', async () => {
+  console.log('SIGTERM received, shutting down OCR workers...');
+  await shutdownOcrWorkers();
+  process.exit(0);
+});
+
 // Export for Vercel
 module.exports = app; 
\ No newline at end of file
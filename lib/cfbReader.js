@@ -0,0 +1,128 @@
+// Compound File Binary (OLE2) containers, used by Word 97-2003 and other legacy Office files
+const CFB_SIGNATURE = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+
+// Special sector numbers
+const END_OF_CHAIN = 0xFFFFFFFE;
+const MAX_REGULAR_SECTOR = 0xFFFFFFFA;
+
+// Directory entry types
+const STREAM = 2;
+const ROOT_STORAGE = 5;
+
+/**
+ * Check whether a buffer is a Compound File Binary container
+ * @param {Buffer} buffer - File buffer
+ * @returns {boolean} True if the buffer starts with the CFB signature
+ */
+function isCompoundFile(buffer) {
+  return Boolean(buffer) && buffer.length >= 512 && buffer.subarray(0, 8).equals(CFB_SIGNATURE);
+}
+
+/**
+ * Open a Compound File Binary container
+ * @param {Buffer} buffer - File buffer
+ * @returns {Object} { streamNames, getStream(name) }. getStream returns the stream contents or null.
+ */
+function readCompoundFile(buffer) {
+  if (!isCompoundFile(buffer)) {
+    throw new Error('Not a compound file');
+  }
+
+  const sectorSize = 1 << buffer.readUInt16LE(0x1E);
+  const miniSectorSize = 1 << buffer.readUInt16LE(0x20);
+  const miniStreamCutoff = buffer.readUInt32LE(0x38);
+  const sectorCount = Math.floor(buffer.length / sectorSize) - 1;
+
+  const sectorOffset = (sector) => (sector + 1) * sectorSize;
+  const readSector = (sector) => {
+    if (sector >= sectorCount) {
+      throw new Error(`Sector ${sector} is outside the file`);
+    }
+    return buffer.subarray(sectorOffset(sector), sectorOffset(sector) + sectorSize);
+  };
+
+  // The FAT sectors are listed in the header and in a chain of DIFAT sectors
+  const fatSectors = [];
+  for (let i = 0; i < 109; i++) {
+    fatSectors.push(buffer.readUInt32LE(0x4C + i * 4));
+  }
+  let difatSector = buffer.readUInt32LE(0x44);
+  for (let count = buffer.readUInt32LE(0x48); count > 0 && difatSector <= MAX_REGULAR_SECTOR; count--) {
+    const sector = readSector(difatSector);
+    for (let i = 0; i < sectorSize / 4 - 1; i++) {
+      fatSectors.push(sector.readUInt32LE(i * 4));
+    }
+    difatSector = sector.readUInt32LE(sectorSize - 4);
+  }
+
+  const fat = [];
+  for (const fatSector of fatSectors.filter(sector => sector <= MAX_REGULAR_SECTOR)) {
+    const sector = readSector(fatSector);
+    for (let i = 0; i < sectorSize / 4; i++) {
+      fat.push(sector.readUInt32LE(i * 4));
+    }
+  }
+
+  // Follow a sector chain, refusing loops in corrupted files
+  const readChain = (start, table, read) => {
+    const parts = [];
+    const seen = new Set();
+    for (let sector = start; sector <= MAX_REGULAR_SECTOR; sector = table[sector]) {
+      if (seen.has(sector) || sector >= table.length) {
+        throw new Error('Corrupted sector chain');
+      }
+      seen.add(sector);
+      parts.push(read(sector));
+    }
+    return Buffer.concat(parts);
+  };
+
+  const directory = readChain(buffer.readUInt32LE(0x30), fat, readSector);
+  const entries = [];
+  for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+    const nameLength = directory.readUInt16LE(offset + 64);
+    entries.push({
+      name: directory.toString('utf16le', offset, offset + Math.max(0, nameLength - 2)),
+      type: directory[offset + 66],
+      start: directory.readUInt32LE(offset + 116),
+      size: directory.readUInt32LE(offset + 120)
+    });
+  }
+
+  const root = entries.find(entry => entry.type === ROOT_STORAGE);
+  let miniStream = null;
+  let miniFat = null;
+
+  const getStream = (name) => {
+    const entry = entries.find(candidate => candidate.type === STREAM && candidate.name === name);
+    if (!entry) {
+      return null;
+    }
+
+    // Small streams are stored in 64-byte sectors inside the root entry's mini stream
+    if (entry.size < miniStreamCutoff) {
+      if (!miniStream) {
+        miniStream = root && root.start !== END_OF_CHAIN ? readChain(root.start, fat, readSector) : Buffer.alloc(0);
+        const miniFatBuffer = readChain(buffer.readUInt32LE(0x3C), fat, readSector);
+        miniFat = [];
+        for (let i = 0; i + 4 <= miniFatBuffer.length; i += 4) {
+          miniFat.push(miniFatBuffer.readUInt32LE(i));
+        }
+      }
+      return readChain(entry.start, miniFat, sector =>
+        miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize)).subarray(0, entry.size);
+    }
+
+    return readChain(entry.start, fat, readSector).subarray(0, entry.size);
+  };
+
+  return {
+    streamNames: entries.filter(entry => entry.type === STREAM).map(entry => entry.name),
+    getStream
+  };
+}
+
+module.exports = {
+  isCompoundFile,
+  readCompoundFile
+};
\ No newline at end of file
@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+
+const CHUNK_BOUNDARIES = ['paragraph', 'sentence', 'heading'];
+const DEFAULT_MAX_TOKENS = 512;
+
+// Standalone paragraphs this short without closing punctuation are section headings
+const MAX_HEADING_WORDS = 12;
+
+/**
+ * Validate the chunking request
+ * @param {Object|boolean|string} chunking - true for defaults, or { maxTokens | maxChars, overlap, boundary }
+ *   (a JSON string for form fields)
+ * @returns {Object|null} { unit, size, overlap, boundary }, or null when chunking is not requested
+ */
+function resolveChunkingOptions(chunking) {
+  if (chunking === undefined || chunking === null || chunking === false || chunking === '' || chunking === 'false') {
+    return null;
+  }
+
+  const invalid = (message) => ({ code: 'INVALID_CHUNKING_OPTIONS', message, status: 400 });
+
+  let request = chunking;
+  if (typeof request === 'string') {
+    try {
+      request = request === 'true' ? true : JSON.parse(request);
+    } catch (error) {
+      throw invalid('chunking must be true or a JSON object');
+    }
+  }
+  if (request === true) {
+    request = {};
+  }
+  if (typeof request !== 'object' || Array.isArray(request)) {
+    throw invalid('chunking must be true or an object');
+  }
+
+  const { maxTokens, maxChars, overlap = 0, boundary = 'paragraph' } = request;
+  if (maxTokens !== undefined && maxChars !== undefined) {
+    throw invalid('Set either chunking.maxTokens or chunking.maxChars, not both');
+  }
+
+  const unit = maxChars !== undefined ? 'characters' : 'tokens';
+  const size = Number(maxChars ?? maxTokens ?? DEFAULT_MAX_TOKENS);
+  if (!Number.isInteger(size) || size < 1) {
+    throw invalid(`chunking.${unit === 'characters' ? 'maxChars' : 'maxTokens'} must be a positive integer`);
+  }
+  if (!Number.isInteger(Number(overlap)) || overlap < 0 || overlap >= size) {
+    throw invalid('chunking.overlap must be a non-negative integer smaller than the chunk size');
+  }
+  if (!CHUNK_BOUNDARIES.includes(boundary)) {
+    throw invalid(`Invalid chunk boundary: ${boundary}. Supported boundaries: ${CHUNK_BOUNDARIES.join(', ')}`);
+  }
+
+  return { unit, size, overlap: Number(overlap), boundary };
+}
+
+/**
+ * Estimate the number of tokens in a piece of text, counting words and punctuation marks
+ * @param {string} text - Text to measure
+ * @returns {number} Approximate token count
+ */
+function estimateTokens(text) {
+  return (text.match(/[A-Za-z0-9]+|[^\sA-Za-z0-9]/g) || []).length;
+}
+
+/**
+ * Find the trimmed pieces of a range of text between separators
+ * @param {string} text - Whole text
+ * @param {number} start - Range start offset
+ * @param {number} end - Range end offset
+ * @param {RegExp} separator - Global separator pattern
+ * @returns {Array} Pieces as { start, end } offsets into the text
+ */
+function splitSpans(text, start, end, separator) {
+  const spans = [];
+  const part = text.slice(start, end);
+  let position = 0;
+
+  const addSpan = (from, to) => {
+    const piece = part.slice(from, to);
+    const leading = piece.length - piece.trimStart().length;
+    const trimmed = piece.trim();
+    if (trimmed) {
+      spans.push({ start: start + from + leading, end: start + from + leading + trimmed.length });
+    }
+  };
+
+  separator.lastIndex = 0;
+  let match;
+  while ((match = separator.exec(part)) !== null) {
+    addSpan(position, match.index);
+    position = match.index + match[0].length;
+  }
+  addSpan(position, part.length);
+
+  return spans;
+}
+
+/**
+ * Check whether a paragraph is a section heading
+ * @param {string} text - Paragraph text
+ * @returns {boolean} True for short single lines without closing punctuation, unlike table rows full of numbers
+ */
+function isHeadingParagraph(text) {
+  const words = text.split(/\s+/);
+  return !text.includes('\n') && /[A-Za-z]/.test(text) && !/[.,;:!?]$/.test(text) &&
+    words.length <= MAX_HEADING_WORDS && words.filter(word => /\d/.test(word)).length <= 1;
+}
+
+/**
+ * Split text into sentence units grouped by paragraph. Sentences larger than a chunk are split between words.
+ * @param {string} text - Extracted text, paragraphs separated by blank lines as preserveParagraphs leaves them
+ * @param {Function} measure - Size of a piece of text in the chunk unit
+ * @param {number} size - Maximum chunk size
+ * @returns {Array} Paragraphs as { heading, units: [{ start, end }] }
+ */
+function splitUnits(text, measure, size) {
+  return splitSpans(text, 0, text.length, /\n\s*\n/g).map((paragraph) => {
+    const units = [];
+
+    for (const sentence of splitSpans(text, paragraph.start, paragraph.end, /(?<=[.!?]["')\]]?)\s+/g)) {
+      if (measure(text.slice(sentence.start, sentence.end)) <= size) {
+        units.push(sentence);
+        continue;
+      }
+
+      // Pack the words of an oversized sentence into pieces that fit
+      let piece = null;
+      for (const word of splitSpans(text, sentence.start, sentence.end, /\s+/g)) {
+        if (piece && measure(text.slice(piece.start, word.end)) <= size) {
+          piece.end = word.end;
+        } else {
+          piece = { ...word };
+          units.push(piece);
+        }
+      }
+    }
+
+    return { heading: isHeadingParagraph(text.slice(paragraph.start, paragraph.end)), units };
+  });
+}
+
+/**
+ * Split extracted text into chunks for embedding. Chunks are built from whole sentences and, depending on
+ * the boundary, also keep paragraphs or heading sections together when they fit.
+ * @param {Object} result - Extraction result with text and pages
+ * @param {string} documentHash - SHA-256 of the document, used in chunk ids
+ * @param {Object} options - Options from resolveChunkingOptions
+ * @returns {Array} Chunks as { id, index, text, start, end, pageStart, pageEnd, charCount, tokenCount, heading }
+ */
+function chunkText({ text, pages }, documentHash, options) {
+  const measure = options.unit === 'characters' ? (piece) => piece.length : estimateTokens;
+  const paragraphs = splitUnits(text || '', measure, options.size);
+
+  const units = paragraphs.flatMap(paragraph => paragraph.units);
+  const fits = (from, to) => measure(text.slice(units[from].start, units[to - 1].end)) <= options.size;
+
+  // Page and heading of every unit
+  const pageStarts = [];
+  let offset = 0;
+  for (const page of pages || []) {
+    if (page.text) {
+      pageStarts.push({ offset, pageNumber: page.pageNumber });
+      // Pages are joined with a blank line, as in buildResult
+      offset += page.text.length + 2;
+    }
+  }
+  const pageAt = (position) => pageStarts.filter(page => page.offset <= position).pop()?.pageNumber ?? null;
+
+  const headings = [];
+  let heading = null;
+  for (const paragraph of paragraphs) {
+    if (paragraph.heading) {
+      heading = text.slice(paragraph.units[0].start, paragraph.units[paragraph.units.length - 1].end);
+    }
+    headings.push(...paragraph.units.map(() => heading));
+  }
+
+  const chunks = [];
+  // Units [start, end) form the open chunk, units before fresh repeat the end of the previous chunk
+  let start = 0;
+  let fresh = 0;
+  let end = 0;
+
+  const close = () => {
+    if (end > fresh) {
+      const chunkStart = units[start].start;
+      const chunkEnd = units[end - 1].end;
+      const chunk = text.slice(chunkStart, chunkEnd);
+      const contentHash = crypto.createHash('sha256').update(`${chunkStart}:${chunk}`).digest('hex');
+
+      chunks.push({
+        id: `${documentHash.slice(0, 16)}-${contentHash.slice(0, 16)}`,
+        index: chunks.length,
+        text: chunk,
+        start: chunkStart,
+        end: chunkEnd,
+        pageStart: pageAt(chunkStart),
+        pageEnd: pageAt(chunkEnd - 1),
+        charCount: chunk.length,
+        tokenCount: estimateTokens(chunk),
+        heading: headings[start]
+      });
+
+      // The next chunk starts with the last sentences of this one, up to the overlap
+      const previousStart = start;
+      start = end;
+      while (start - 1 > previousStart && measure(text.slice(units[start - 1].start, units[end - 1].end)) <= options.overlap) {
+        start--;
+      }
+      fresh = end;
+    }
+  };
+
+  // Headings are kept together with the paragraph that follows them
+  const groups = [];
+  let first = 0;
+  for (const paragraph of paragraphs) {
+    const previous = groups[groups.length - 1];
+    if (previous && previous.headingOnly) {
+      previous.to += paragraph.units.length;
+      previous.headingOnly = paragraph.heading;
+    } else {
+      groups.push({ from: first, to: first + paragraph.units.length, heading: paragraph.heading, headingOnly: paragraph.heading });
+    }
+    first += paragraph.units.length;
+  }
+
+  for (const { from, to, heading: startsSection } of groups) {
+    // Headings always start a chunk, without overlap from the previous section
+    if (options.boundary === 'heading' && startsSection && end > fresh) {
+      close();
+      start = end;
+    }
+
+    // Keep the paragraph whole in the next chunk when it does not fit in this one
+    if (options.boundary !== 'sentence') {
+      if (end > start && !fits(start, to) && end > fresh) {
+        close();
+      }
+      while (start < from && !fits(start, to)) {
+        start++;
+      }
+      if (fits(start, to)) {
+        end = to;
+        continue;
+      }
+    }
+
+    // Add the paragraph sentence by sentence
+    for (let unit = from; unit < to; unit++) {
+      if (!fits(start, unit + 1)) {
+        close();
+        while (start < unit && !fits(start, unit + 1)) {
+          start++;
+        }
+      }
+      end = unit + 1;
+    }
+  }
+  close();
+
+  return chunks;
+}
+
+module.exports = {
+  CHUNK_BOUNDARIES,
+  resolveChunkingOptions,
+  estimateTokens,
+  chunkText
+};
\ No newline at end of file
@@ -0,0 +1,72 @@
+// Windows code page numbers whose WHATWG encoding label is not windows-<number>
+const CODE_PAGE_LABELS = {
+  866: 'ibm866',
+  932: 'shift_jis',
+  936: 'gbk',
+  949: 'euc-kr',
+  950: 'big5',
+  1200: 'utf-16le',
+  10000: 'macintosh',
+  20866: 'koi8-r',
+  65001: 'utf-8'
+};
+
+// Windows-1252 characters for bytes 0x80-0x9F; Node decodes windows-1252 as Latin-1, which has control codes there
+const WINDOWS_1252_HIGH = '\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\u008D\u017D\u008F\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\u009D\u017E\u0178';
+
+// Encoding labels that mean Windows-1252 (ASCII and Latin-1 included, as in browsers)
+const WINDOWS_1252_LABELS = new Set(['ansi_x3.4-1968', 'ascii', 'cp1252', 'cp819', 'csisolatin1', 'ibm819', 'iso-8859-1',
+  'iso-ir-100', 'iso8859-1', 'iso88591', 'iso_8859-1', 'iso_8859-1:1987', 'l1', 'latin1', 'us-ascii', 'windows-1252',
+  'x-cp1252']);
+
+/**
+ * Decode bytes in a Windows code page, as used by legacy Office formats and RTF
+ * @param {Buffer} bytes - Encoded text
+ * @param {number} codePage - Code page number, e.g. 1252 (default) or 932
+ * @returns {string} Decoded text; unknown code pages are decoded as Windows-1252
+ */
+function decodeCodePage(bytes, codePage = 1252) {
+  if (codePage !== 1252) {
+    try {
+      return new TextDecoder(CODE_PAGE_LABELS[codePage] || `windows-${codePage}`).decode(bytes);
+    } catch (error) {
+      // Unknown code page
+    }
+  }
+  return bytes.toString('latin1').replace(/[\x80-\x9F]/g, character => WINDOWS_1252_HIGH[character.charCodeAt(0) - 0x80]);
+}
+
+/**
+ * Decode bytes in a declared character set, e.g. the charset of an HTML page
+ * @param {Buffer} bytes - Encoded text
+ * @param {string} label - Encoding label, e.g. utf-8, iso-8859-1 or shift_jis
+ * @returns {string|null} Decoded text, or null if the label is not a known encoding
+ */
+function decodeCharset(bytes, label) {
+  const name = label.trim().toLowerCase();
+  if (WINDOWS_1252_LABELS.has(name)) {
+    return decodeCodePage(bytes, 1252);
+  }
+  try {
+    return new TextDecoder(name).decode(bytes);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decode a text file in the charset it was sent with, or UTF-8
+ * @param {Buffer} bytes - Encoded text
+ * @param {string|null} label - Charset from the Content-Type header, if any
+ * @returns {string} Decoded text without a byte order mark
+ */
+function decodeText(bytes, label) {
+  const decoded = label ? decodeCharset(bytes, label) : null;
+  return (decoded === null ? bytes.toString('utf8') : decoded).replace(/^\uFEFF/, '');
+}
+
+module.exports = {
+  decodeCodePage,
+  decodeCharset,
+  decodeText
+};
\ No newline at end of file
@@ -0,0 +1,44 @@
+/**
+ * Create a limiter that runs at most `concurrency` tasks at the same time
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @returns {Function} limit(task) runs the async task when a slot is free and resolves with its result
+ */
+function createLimiter(concurrency) {
+  const maxConcurrency = Math.max(1, concurrency || 1);
+  const queue = [];
+  let activeCount = 0;
+
+  const next = () => {
+    if (activeCount >= maxConcurrency || queue.length === 0) {
+      return;
+    }
+
+    const { task, resolve, reject } = queue.shift();
+    activeCount++;
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        activeCount--;
+        next();
+      });
+  };
+
+  const limit = (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+
+  Object.defineProperties(limit, {
+    concurrency: { value: maxConcurrency },
+    activeCount: { get: () => activeCount },
+    pendingCount: { get: () => queue.length }
+  });
+
+  return limit;
+}
+
+module.exports = {
+  createLimiter
+};
\ No newline at end of file
@@ -0,0 +1,171 @@
+const { readCompoundFile } = require('./cfbReader');
+const { decodeCodePage } = require('./codePages');
+
+// FIB identifier of Word 97 and later documents
+const WORD_IDENT = 0xA5EC;
+// fibRgFcLcb index of the piece table (fcClx/lcbClx)
+const CLX_INDEX = 33;
+// Piece descriptors flag 8-bit text with this bit of their file offset
+const COMPRESSED_FLAG = 0x40000000;
+
+/**
+ * Read the piece table (PlcPcd) from the Clx of a Word document
+ * @param {Buffer} table - Table stream
+ * @param {number} offset - fcClx
+ * @param {number} length - lcbClx
+ * @returns {Array} Pieces as { cpStart, cpEnd, fc, compressed }
+ */
+function readPieceTable(table, offset, length) {
+  let position = offset;
+  const end = offset + length;
+
+  // Skip the property modifiers (Prc) before the piece table (Pcdt)
+  while (position < end && table[position] === 0x01) {
+    position += 3 + table.readInt16LE(position + 1);
+  }
+  if (table[position] !== 0x02) {
+    throw new Error('Piece table not found');
+  }
+
+  const size = table.readUInt32LE(position + 1);
+  const plc = position + 5;
+  // A PlcPcd holds n + 1 character positions and n 8-byte piece descriptors
+  const count = (size - 4) / 12;
+  const pieces = [];
+
+  for (let i = 0; i < count; i++) {
+    const fcValue = table.readUInt32LE(plc + (count + 1) * 4 + i * 8 + 2);
+    const compressed = (fcValue & COMPRESSED_FLAG) !== 0;
+    pieces.push({
+      cpStart: table.readUInt32LE(plc + i * 4),
+      cpEnd: table.readUInt32LE(plc + (i + 1) * 4),
+      fc: compressed ? (fcValue & ~COMPRESSED_FLAG) / 2 : fcValue,
+      compressed
+    });
+  }
+  return pieces;
+}
+
+/**
+ * Turn Word's special characters into plain text: paragraph and cell marks, fields, objects
+ * @param {string} text - Document text from the piece table
+ * @returns {string} Plain text
+ */
+function convertSpecialCharacters(text) {
+  let output = '';
+  // Per open field: true while in its instructions, false once in its displayed result
+  const fields = [];
+
+  for (const character of text) {
+    switch (character) {
+      case '\x13':
+        fields.push(true);
+        continue;
+      case '\x14':
+        if (fields.length) {
+          fields[fields.length - 1] = false;
+        }
+        continue;
+      case '\x15':
+        fields.pop();
+        continue;
+    }
+
+    if (fields.includes(true)) {
+      continue;
+    }
+
+    switch (character) {
+      case '\r':
+      case '\x0B':
+        output += '\n';
+        break;
+      case '\x0C':
+        output += '\n\n';
+        break;
+      case '\x07':
+        // Cell marks; a cell mark right after another one ends the table row
+        output += output.endsWith('\t') ? '\n' : '\t';
+        break;
+      case '\x1E':
+        output += '-';
+        break;
+      case '\x01':
+      case '\x02':
+      case '\x05':
+      case '\x08':
+      case '\x1F':
+        // Pictures, footnote and comment references, drawn objects and optional hyphens
+        break;
+      default:
+        output += character;
+    }
+  }
+
+  return output.replace(/\t\n/g, '\n');
+}
+
+/**
+ * Extract the main text of a Word 97-2003 binary document from its piece table
+ * @param {Buffer} buffer - DOC file buffer
+ * @returns {string} Document text
+ */
+function extractDocText(buffer) {
+  const compoundFile = readCompoundFile(buffer);
+  const wordDocument = compoundFile.getStream('WordDocument');
+  if (!wordDocument) {
+    throw {
+      code: 'UNSUPPORTED_FILE_TYPE',
+      message: 'The file is an OLE2 container without a Word document (e.g. a legacy XLS or PPT file)',
+      status: 400
+    };
+  }
+
+  if (wordDocument.readUInt16LE(0) !== WORD_IDENT) {
+    throw new Error('Unrecognized Word document format (Word 6 and earlier are not supported)');
+  }
+
+  const flags = wordDocument.readUInt16LE(0x0A);
+  if (flags & 0x0100) {
+    throw {
+      code: 'ENCRYPTED_DOCUMENT',
+      message: 'Password-protected DOC files are not supported',
+      status: 400
+    };
+  }
+
+  // fWhichTblStm selects the table stream holding the piece table
+  const table = compoundFile.getStream(flags & 0x0200 ? '1Table' : '0Table');
+  if (!table) {
+    throw new Error('Table stream not found');
+  }
+
+  // The FIB is a 32-byte base followed by counted arrays of shorts, longs and offset/length pairs
+  const shortCount = wordDocument.readUInt16LE(32);
+  const longsOffset = 34 + shortCount * 2 + 2;
+  const longCount = wordDocument.readUInt16LE(34 + shortCount * 2);
+  const pairsOffset = longsOffset + longCount * 4 + 2;
+
+  // ccpText: number of characters in the main document, before footnotes, headers and comments
+  const mainLength = wordDocument.readInt32LE(longsOffset + 12);
+  const clxOffset = wordDocument.readUInt32LE(pairsOffset + CLX_INDEX * 8);
+  const clxLength = wordDocument.readUInt32LE(pairsOffset + CLX_INDEX * 8 + 4);
+
+  let text = '';
+  for (const piece of readPieceTable(table, clxOffset, clxLength)) {
+    if (piece.cpStart >= mainLength) {
+      break;
+    }
+
+    const length = Math.min(piece.cpEnd, mainLength) - piece.cpStart;
+    text += piece.compressed
+      ? decodeCodePage(wordDocument.subarray(piece.fc, piece.fc + length))
+      : wordDocument.toString('utf16le', piece.fc, piece.fc + length * 2);
+  }
+
+  return convertSpecialCharacters(text);
+}
+
+module.exports = {
+  extractDocText
+};
\ No newline at end of file
@@ -0,0 +1,302 @@
+const JSZip = require('jszip');
+const { readXmlPart } = require('./officePackage');
+const { readCompoundFile } = require('./cfbReader');
+const { decodeCodePage } = require('./codePages');
+const { getPdfPermissions } = require('./pdfDocument');
+
+// Property set stream types (VT_*)
+const VT_I2 = 2;
+const VT_I4 = 3;
+const VT_LPSTR = 30;
+const VT_LPWSTR = 31;
+const VT_FILETIME = 64;
+
+// Milliseconds between the FILETIME epoch (1601) and the Unix epoch
+const FILETIME_EPOCH_OFFSET = 11644473600000;
+
+/**
+ * Normalize a date to an ISO 8601 UTC string
+ * @param {string} value - PDF date (D:YYYYMMDDHHmmSSOHH'mm') or ISO 8601 date
+ * @returns {string|null} ISO 8601 date, or null if the value is missing or invalid
+ */
+function normalizeDate(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  // PDF dates: every part after the year is optional, the offset defaults to UTC
+  const pdfDate = value.trim().match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?\s*([Zz+-])?\s*(\d{2})?'?(\d{2})?'?$/);
+  if (pdfDate) {
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHours = '00', offsetMinutes = '00'] = pdfDate;
+    const offset = sign === '+' || sign === '-' ? `${sign}${offsetHours}:${offsetMinutes}` : 'Z';
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Trim a metadata string, turning empty values into null
+ * @param {*} value - Metadata value
+ * @returns {string|null} Trimmed string or null
+ */
+function cleanValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value).trim();
+  return text || null;
+}
+
+/**
+ * Read the document metadata of a PDF: info dictionary, falling back to XMP, plus document flags
+ * @param {Object} pdfDocument - pdf.js document proxy
+ * @returns {Promise} Title, author, dates, PDF version, encrypted/tagged/linearized flags and permissions
+ */
+async function readPdfMetadata(pdfDocument) {
+  const { info = {}, metadata: xmp } = await pdfDocument.getMetadata();
+  const markInfo = await pdfDocument.getMarkInfo().catch(() => null);
+  const permissions = await getPdfPermissions(pdfDocument).catch(() => null);
+
+  const fromXmp = (name) => (xmp && xmp.has(name) ? xmp.get(name) : null);
+  // XMP lists (dc:creator, dc:subject) come back as arrays
+  const joinXmp = (name) => {
+    const value = fromXmp(name);
+    return Array.isArray(value) ? value.join(', ') : value;
+  };
+
+  return {
+    title: cleanValue(info.Title) || cleanValue(joinXmp('dc:title')),
+    author: cleanValue(info.Author) || cleanValue(joinXmp('dc:creator')),
+    subject: cleanValue(info.Subject) || cleanValue(joinXmp('dc:description')),
+    keywords: cleanValue(info.Keywords) || cleanValue(fromXmp('pdf:keywords')),
+    creator: cleanValue(info.Creator) || cleanValue(fromXmp('xmp:creatortool')),
+    producer: cleanValue(info.Producer) || cleanValue(fromXmp('pdf:producer')),
+    createdAt: normalizeDate(info.CreationDate) || normalizeDate(fromXmp('xmp:createdate')),
+    modifiedAt: normalizeDate(info.ModDate) || normalizeDate(fromXmp('xmp:modifydate')),
+    language: cleanValue(info.Language),
+    pdfVersion: cleanValue(info.PDFFormatVersion),
+    encrypted: Boolean(info.EncryptFilterName),
+    permissions,
+    tagged: Boolean(markInfo && markInfo.Marked),
+    linearized: Boolean(info.IsLinearized),
+    hasXmp: Boolean(xmp)
+  };
+}
+
+/**
+ * Get the text of the first element with a (prefixed) name
+ * @param {Object} document - XML document
+ * @param {string} name - Element name, e.g. dc:title
+ * @returns {string|null} Element text or null
+ */
+function elementText(document, name) {
+  const element = document && document.getElementsByTagName(name)[0];
+  return element ? cleanValue(element.textContent) : null;
+}
+
+/**
+ * Get the number in the first element with a name
+ * @param {Object} document - XML document
+ * @param {string} name - Element name
+ * @returns {number|null} Parsed number or null
+ */
+function elementNumber(document, name) {
+  const value = parseInt(elementText(document, name), 10);
+  return Number.isNaN(value) ? null : value;
+}
+
+/**
+ * Read the document properties of a DOCX, PPTX or XLSX file (docProps/core.xml and docProps/app.xml)
+ * @param {Buffer} buffer - Office Open XML file buffer
+ * @returns {Promise} Title, author, dates, application and document statistics
+ */
+async function readOfficeMetadata(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const core = await readXmlPart(zip, 'docProps/core.xml');
+  const app = await readXmlPart(zip, 'docProps/app.xml');
+
+  return {
+    title: elementText(core, 'dc:title'),
+    author: elementText(core, 'dc:creator'),
+    subject: elementText(core, 'dc:subject'),
+    keywords: elementText(core, 'cp:keywords'),
+    description: elementText(core, 'dc:description'),
+    category: elementText(core, 'cp:category'),
+    language: elementText(core, 'dc:language'),
+    lastModifiedBy: elementText(core, 'cp:lastModifiedBy'),
+    revision: elementNumber(core, 'cp:revision'),
+    createdAt: normalizeDate(elementText(core, 'dcterms:created')),
+    modifiedAt: normalizeDate(elementText(core, 'dcterms:modified')),
+    application: elementText(app, 'Application'),
+    appVersion: elementText(app, 'AppVersion'),
+    company: elementText(app, 'Company'),
+    template: elementText(app, 'Template'),
+    pages: elementNumber(app, 'Pages'),
+    words: elementNumber(app, 'Words'),
+    characters: elementNumber(app, 'Characters'),
+    totalEditingMinutes: elementNumber(app, 'TotalTime')
+  };
+}
+
+/**
+ * Convert an ISO 8601 duration to minutes
+ * @param {string|null} value - Duration, e.g. PT1H30M or P1DT2H
+ * @returns {number|null} Rounded minutes, or null if the value is missing or invalid
+ */
+function durationMinutes(value) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match.map(part => Number(part) || 0);
+  return Math.round(days * 1440 + hours * 60 + minutes + seconds / 60);
+}
+
+/**
+ * Read the document properties of an ODT, ODS or ODP file (meta.xml)
+ * @param {Buffer} buffer - OpenDocument file buffer
+ * @returns {Promise} Title, author, dates, application and document statistics
+ */
+async function readOpenDocumentMetadata(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const meta = await readXmlPart(zip, 'meta.xml');
+  const statistics = meta && meta.getElementsByTagName('meta:document-statistic')[0];
+  const statistic = (name) => {
+    const value = parseInt(statistics && statistics.getAttribute(name), 10);
+    return Number.isNaN(value) ? null : value;
+  };
+  const keywords = meta ? Array.from(meta.getElementsByTagName('meta:keyword')).map(keyword => keyword.textContent.trim()) : [];
+  const template = meta && meta.getElementsByTagName('meta:template')[0];
+  // Dates are usually written without a time zone; they are read as UTC rather than in the server's zone
+  const date = (name) => {
+    const value = elementText(meta, name);
+    return normalizeDate(value && /T[\d:.]+$/.test(value) ? `${value}Z` : value);
+  };
+
+  return {
+    title: elementText(meta, 'dc:title'),
+    // dc:creator is the last author in OpenDocument, the initial creator is a separate element
+    author: elementText(meta, 'meta:initial-creator'),
+    subject: elementText(meta, 'dc:subject'),
+    keywords: cleanValue(keywords.filter(Boolean).join(', ')),
+    description: elementText(meta, 'dc:description'),
+    category: null,
+    language: elementText(meta, 'dc:language'),
+    lastModifiedBy: elementText(meta, 'dc:creator'),
+    revision: elementNumber(meta, 'meta:editing-cycles'),
+    createdAt: date('meta:creation-date'),
+    modifiedAt: date('dc:date'),
+    application: elementText(meta, 'meta:generator'),
+    appVersion: null,
+    company: null,
+    template: template ? cleanValue(template.getAttribute('xlink:title') || template.getAttribute('xlink:href')) : null,
+    pages: statistic('meta:page-count'),
+    words: statistic('meta:word-count'),
+    characters: statistic('meta:character-count'),
+    totalEditingMinutes: durationMinutes(elementText(meta, 'meta:editing-duration'))
+  };
+}
+
+/**
+ * Read the properties of the first section of an OLE property set stream (SummaryInformation)
+ * @param {Buffer} stream - Property set stream, or null
+ * @returns {Map} Property id to value: strings, numbers, or FILETIMEs as { filetime } in milliseconds since 1601
+ */
+function readPropertySet(stream) {
+  const properties = new Map();
+  if (!stream || stream.length < 48) {
+    return properties;
+  }
+
+  const section = stream.readUInt32LE(44);
+  const count = stream.readUInt32LE(section + 4);
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const id = stream.readUInt32LE(section + 8 + i * 8);
+    const offset = section + stream.readUInt32LE(section + 12 + i * 8);
+    const type = stream.readUInt32LE(offset);
+
+    switch (type) {
+      case VT_I2:
+        values.push([id, stream.readInt16LE(offset + 4)]);
+        break;
+      case VT_I4:
+        values.push([id, stream.readInt32LE(offset + 4)]);
+        break;
+      case VT_LPSTR:
+        values.push([id, { bytes: stream.subarray(offset + 8, offset + 8 + stream.readUInt32LE(offset + 4)) }]);
+        break;
+      case VT_LPWSTR:
+        values.push([id, stream.toString('utf16le', offset + 8, offset + 8 + stream.readUInt32LE(offset + 4) * 2)]);
+        break;
+      case VT_FILETIME:
+        values.push([id, {
+          filetime: (stream.readUInt32LE(offset + 8) * 0x100000000 + stream.readUInt32LE(offset + 4)) / 10000
+        }]);
+        break;
+    }
+  }
+
+  // 8-bit strings are in the code page of the set (property 1)
+  const codePage = values.find(([id]) => id === 1)?.[1];
+  for (const [id, value] of values) {
+    properties.set(id, value && value.bytes
+      ? decodeCodePage(value.bytes, (codePage & 0xFFFF) || 1252).replace(/\0[\s\S]*$/, '')
+      : value);
+  }
+  return properties;
+}
+
+/**
+ * Read the document properties of a legacy Office file (SummaryInformation and DocumentSummaryInformation streams)
+ * @param {Buffer} buffer - Compound file buffer, e.g. a DOC file
+ * @returns {Object} Title, author, dates, application and document statistics
+ */
+function readCompoundFileMetadata(buffer) {
+  const compoundFile = readCompoundFile(buffer);
+  const summary = readPropertySet(compoundFile.getStream('\u0005SummaryInformation'));
+  const documentSummary = readPropertySet(compoundFile.getStream('\u0005DocumentSummaryInformation'));
+
+  const text = (properties, id) => cleanValue(typeof properties.get(id) === 'string' ? properties.get(id) : null);
+  const number = (properties, id) => (Number.isInteger(properties.get(id)) ? properties.get(id) : null);
+  const date = (id) => {
+    const value = summary.get(id);
+    // Unset dates are stored as zero
+    return value && value.filetime ? new Date(value.filetime - FILETIME_EPOCH_OFFSET).toISOString() : null;
+  };
+  const editTime = summary.get(10);
+
+  return {
+    title: text(summary, 2),
+    author: text(summary, 4),
+    subject: text(summary, 3),
+    keywords: text(summary, 5),
+    description: text(summary, 6),
+    category: text(documentSummary, 2),
+    language: null,
+    lastModifiedBy: text(summary, 8),
+    revision: parseInt(text(summary, 9), 10) || null,
+    createdAt: date(12),
+    modifiedAt: date(13),
+    application: text(summary, 18),
+    appVersion: null,
+    company: text(documentSummary, 15),
+    template: text(summary, 7),
+    pages: number(summary, 14),
+    words: number(summary, 15),
+    characters: number(summary, 16),
+    // The edit time is a FILETIME duration
+    totalEditingMinutes: editTime && editTime.filetime !== undefined ? Math.round(editTime.filetime / 60000) : null
+  };
+}
+
+module.exports = {
+  normalizeDate,
+  readPdfMetadata,
+  readOfficeMetadata,
+  readOpenDocumentMetadata,
+  readCompoundFileMetadata
+};
\ No newline at end of file
@@ -0,0 +1,343 @@
+const { DOMParser } = require('@xmldom/xmldom');
+
+// Bullets and numbering that start a list item: "• item", "- item", "1. item", "a) item"
+const BULLET_PATTERN = /^[•‣▪▫●◦⁃∙·*\-–]\s+/;
+const NUMBERING_PATTERN = /^(\d{1,3}|[a-z])[.)]\s+/;
+
+// Text this much larger than the body text is a heading
+const HEADING_SIZE_RATIO = 1.15;
+// A gap this much larger than the usual line spacing starts a new paragraph
+const PARAGRAPH_GAP_RATIO = 1.3;
+// Bold lines longer than this are emphasized text rather than headings
+const MAX_HEADING_WORDS = 12;
+
+/**
+ * Collapse runs of whitespace in a piece of text
+ * @param {string} text - Text to normalize
+ * @returns {string} Single-spaced, trimmed text
+ */
+function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Recognize a list item from its bullet or numbering
+ * @param {string} text - Line text
+ * @returns {Object|null} { ordered, text } without the marker, or null if the line is not a list item
+ */
+function parseListItem(text) {
+  if (BULLET_PATTERN.test(text)) {
+    return { ordered: false, text: text.replace(BULLET_PATTERN, '') };
+  }
+  if (NUMBERING_PATTERN.test(text)) {
+    return { ordered: true, text: text.replace(NUMBERING_PATTERN, '') };
+  }
+  return null;
+}
+
+/**
+ * Append a wrapped line to the text of a block, joining words hyphenated across lines
+ * @param {string} text - Block text so far
+ * @param {string} line - Next line
+ * @returns {string} Joined text
+ */
+function appendLine(text, line) {
+  if (/[a-z]-$/.test(text) && /^[a-z]/.test(line)) {
+    return text.slice(0, -1) + line;
+  }
+  return `${text} ${line}`;
+}
+
+/**
+ * Find the most frequent value, weighting each entry
+ * @param {Array} entries - [value, weight] pairs
+ * @returns {number|null} Most frequent value, or null for no entries
+ */
+function mostFrequent(entries) {
+  const totals = new Map();
+  for (const [value, weight] of entries) {
+    totals.set(value, (totals.get(value) || 0) + weight);
+  }
+
+  let best = null;
+  for (const [value, total] of totals) {
+    if (best === null || total > totals.get(best)) {
+      best = value;
+    }
+  }
+  return best;
+}
+
+/**
+ * Check whether a line lies within the bounding box of a table
+ * @param {Object} line - Line from groupItemsIntoLines
+ * @param {Object} table - Table from detectPdfTables
+ * @param {number} pageHeight - Page height in points
+ * @returns {boolean} True if the line's baseline is inside the table
+ */
+function isInTable(line, table, pageHeight) {
+  // Bounding boxes are measured from the top of the page, baselines from the bottom
+  const top = pageHeight - line.y;
+  const { y, height } = table.boundingBox;
+  return top >= y && top <= y + height;
+}
+
+/**
+ * Infer document structure from the text lines of PDF pages, using font size and weight
+ * @param {Array} pages - { pageNumber, height, lines, tables } per page, lines as returned by groupItemsIntoLines
+ *   and tables as returned by detectPdfTables
+ * @returns {Array} Blocks (heading, paragraph, listItem, table, pageBreak)
+ */
+function blocksFromPdfLines(pages) {
+  const allLines = pages.flatMap(page => page.lines.filter(line => line.text.trim()));
+
+  // The size used for most characters is the body text size
+  const bodySize = mostFrequent(allLines.map(line => [line.fontSize, line.text.length])) || 0;
+
+  // Larger sizes become heading levels, largest first
+  const headingSizes = [...new Set(allLines.map(line => line.fontSize))]
+    .filter(size => size >= bodySize * HEADING_SIZE_RATIO)
+    .sort((a, b) => b - a);
+  const boldHeadingLevel = Math.min(headingSizes.length + 1, 6);
+
+  // Usual spacing between consecutive body lines, to tell wrapped lines from new paragraphs
+  const bodyGaps = [];
+  for (const page of pages) {
+    page.lines.forEach((line, index) => {
+      const next = page.lines[index + 1];
+      if (next && line.fontSize === bodySize && next.fontSize === bodySize && line.y > next.y) {
+        bodyGaps.push([Math.round(line.y - next.y), 1]);
+      }
+    });
+  }
+  const lineGap = mostFrequent(bodyGaps) || bodySize * 1.2;
+
+  const blocks = [];
+
+  for (const [pageIndex, page] of pages.entries()) {
+    if (pageIndex > 0) {
+      blocks.push({ type: 'pageBreak', pageNumber: page.pageNumber });
+    }
+
+    let previousLine = null;
+    let openBlock = null;
+    const emittedTables = new Set();
+
+    for (const line of page.lines) {
+      const text = normalizeWhitespace(line.text);
+      if (!text) {
+        continue;
+      }
+
+      // Lines inside a detected table are replaced by the table, where its first line was
+      const table = (page.tables || []).find(candidate => isInTable(line, candidate, page.height));
+      if (table) {
+        if (!emittedTables.has(table)) {
+          blocks.push({ type: 'table', rows: table.rows });
+          emittedTables.add(table);
+        }
+        openBlock = null;
+        previousLine = null;
+        continue;
+      }
+
+      const sizeLevel = headingSizes.indexOf(line.fontSize) + 1;
+      const isBoldHeading = line.bold && line.fontSize <= bodySize &&
+        text.split(' ').length <= MAX_HEADING_WORDS && !/[.,;:]$/.test(text);
+      const listItem = parseListItem(text);
+
+      // Wrapped lines continue the open paragraph or list item when the spacing is normal
+      const continues = openBlock && previousLine && !listItem &&
+        line.fontSize === previousLine.fontSize &&
+        previousLine.y - line.y <= lineGap * PARAGRAPH_GAP_RATIO &&
+        (openBlock.type === 'paragraph' || line.x > openBlock.x);
+
+      if (sizeLevel > 0 || isBoldHeading) {
+        const level = Math.min(sizeLevel || boldHeadingLevel, 6);
+        const last = blocks[blocks.length - 1];
+
+        // Headings wrapped over several lines are merged
+        if (last?.type === 'heading' && last.level === level && previousLine &&
+            previousLine.fontSize === line.fontSize && previousLine.y - line.y <= line.fontSize * 1.5) {
+          last.text = appendLine(last.text, text);
+        } else {
+          blocks.push({ type: 'heading', level, text });
+        }
+        openBlock = null;
+      } else if (continues) {
+        openBlock.block.text = appendLine(openBlock.block.text, text);
+      } else if (listItem) {
+        const block = { type: 'listItem', ordered: listItem.ordered, depth: 0, text: listItem.text };
+        blocks.push(block);
+        openBlock = { type: 'listItem', block, x: line.x };
+      } else {
+        const block = { type: 'paragraph', text };
+        blocks.push(block);
+        openBlock = { type: 'paragraph', block, x: line.x };
+      }
+
+      previousLine = line;
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Split plain text (OCR output, TXT files) into paragraphs and list items
+ * @param {string} text - Cleaned text
+ * @returns {Array} Blocks (paragraph, listItem)
+ */
+function blocksFromText(text) {
+  const blocks = [];
+
+  for (const chunk of (text || '').split(/\n\s*\n/)) {
+    let paragraph = null;
+
+    for (const rawLine of chunk.split('\n')) {
+      const line = normalizeWhitespace(rawLine);
+      if (!line) {
+        continue;
+      }
+
+      const listItem = parseListItem(line);
+      if (listItem) {
+        blocks.push({ type: 'listItem', ordered: listItem.ordered, depth: 0, text: listItem.text });
+        paragraph = null;
+      } else if (paragraph) {
+        paragraph.text = appendLine(paragraph.text, line);
+      } else {
+        paragraph = { type: 'paragraph', text: line };
+        blocks.push(paragraph);
+      }
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Build blocks from per-page text, separating pages with page breaks
+ * @param {Array} pages - Page entries with pageNumber and text
+ * @returns {Array} Blocks
+ */
+function blocksFromPages(pages) {
+  return pages.flatMap((page, index) => [
+    ...(index > 0 ? [{ type: 'pageBreak', pageNumber: page.pageNumber }] : []),
+    ...blocksFromText(page.text)
+  ]);
+}
+
+/**
+ * Get the text of an HTML element, keeping line breaks and skipping nested lists
+ * @param {Object} node - DOM node
+ * @returns {string} Text content
+ */
+function nodeText(node) {
+  if (node.nodeType === node.TEXT_NODE) {
+    return node.data;
+  }
+  if (node.nodeName === 'br') {
+    return '\n';
+  }
+  if (node.nodeName === 'ul' || node.nodeName === 'ol') {
+    return '';
+  }
+
+  let text = '';
+  for (let i = 0; i < node.childNodes.length; i++) {
+    text += nodeText(node.childNodes[i]);
+  }
+  return text;
+}
+
+/**
+ * Get the element children of a DOM node
+ * @param {Object} node - DOM node
+ * @param {Array} names - Element names to keep (all elements if omitted)
+ * @returns {Array} Child elements
+ */
+function childElements(node, names) {
+  const children = [];
+  for (let i = 0; i < node.childNodes.length; i++) {
+    const child = node.childNodes[i];
+    if (child.nodeType === child.ELEMENT_NODE && (!names || names.includes(child.nodeName))) {
+      children.push(child);
+    }
+  }
+  return children;
+}
+
+/**
+ * Convert the HTML produced by mammoth into blocks
+ * @param {string} html - HTML from mammoth.convertToHtml
+ * @returns {Array} Blocks (heading, paragraph, listItem, table)
+ */
+function blocksFromHtml(html) {
+  const document = new DOMParser({ errorHandler: { warning: () => {}, error: () => {} } })
+    .parseFromString(`<div>${html}</div>`, 'text/html');
+  const blocks = [];
+
+  const addList = (list, depth) => {
+    for (const item of childElements(list, ['li'])) {
+      const text = normalizeWhitespace(nodeText(item));
+      if (text) {
+        blocks.push({ type: 'listItem', ordered: list.nodeName === 'ol', depth, text });
+      }
+      for (const nested of childElements(item, ['ul', 'ol'])) {
+        addList(nested, depth + 1);
+      }
+    }
+  };
+
+  for (const element of childElements(document.documentElement)) {
+    const name = element.nodeName;
+
+    if (/^h[1-6]$/.test(name)) {
+      const text = normalizeWhitespace(nodeText(element));
+      if (text) {
+        blocks.push({ type: 'heading', level: Number(name[1]), text });
+      }
+    } else if (name === 'ul' || name === 'ol') {
+      addList(element, 0);
+    } else if (name === 'table') {
+      // Rows may sit directly in the table or in thead/tbody
+      const rowParents = [element, ...childElements(element, ['thead', 'tbody', 'tfoot'])];
+      const rows = rowParents
+        .flatMap(parent => childElements(parent, ['tr']))
+        .map(row => childElements(row, ['td', 'th']).map(cell => normalizeWhitespace(nodeText(cell))));
+      if (rows.length > 0) {
+        blocks.push({ type: 'table', rows });
+      }
+    } else {
+      const text = normalizeWhitespace(nodeText(element));
+      if (text) {
+        blocks.push({ type: 'paragraph', text });
+      }
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Get the plain text of a list of blocks, one block per paragraph
+ * @param {Array} blocks - Blocks
+ * @returns {string} Plain text
+ */
+function blocksToText(blocks) {
+  return blocks
+    .filter(block => block.type !== 'pageBreak')
+    .map(block => block.type === 'table'
+      ? block.rows.map(row => row.join('\t')).join('\n')
+      : block.text)
+    .join('\n\n');
+}
+
+module.exports = {
+  blocksFromPdfLines,
+  blocksFromText,
+  blocksFromPages,
+  blocksFromHtml,
+  blocksToText
+};
\ No newline at end of file
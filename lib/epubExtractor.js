@@ -0,0 +1,185 @@
+const path = require('path');
+const JSZip = require('jszip');
+const { readXmlPart } = require('./officePackage');
+const { decodeHtml, parseHtml, findElements, textContent, documentBlocks } = require('./htmlExtractor');
+const { normalizeDate } = require('./documentMetadata');
+
+// Font obfuscation algorithms; fonts obfuscated this way leave the text readable
+const FONT_OBFUSCATION_ALGORITHMS = ['http://www.idpf.org/2008/embedding', 'http://ns.adobe.com/pdf/enc#RC'];
+
+/**
+ * Get the elements with a local name in any namespace (OPF files are written with and without prefixes)
+ * @param {Object} node - XML document or element
+ * @param {string} name - Local name, e.g. item or title
+ * @returns {Array} Matching elements
+ */
+function elementsByName(node, name) {
+  return node ? Array.from(node.getElementsByTagNameNS('*', name)) : [];
+}
+
+/**
+ * Get the trimmed text of the first element with a local name
+ * @param {Object} node - XML document or element
+ * @param {string} name - Local name
+ * @returns {string|null} Text, or null if the element is missing or empty
+ */
+function firstText(node, name) {
+  const element = elementsByName(node, name)[0];
+  return (element && element.textContent.replace(/\s+/g, ' ').trim()) || null;
+}
+
+/**
+ * Resolve an href relative to a package part, dropping its fragment
+ * @param {string} base - Part name the href appears in
+ * @param {string} href - Relative, URL-encoded href
+ * @returns {string} Part name
+ */
+function resolveHref(base, href) {
+  const target = href.split('#')[0];
+  let decoded;
+  try {
+    decoded = decodeURIComponent(target);
+  } catch (error) {
+    decoded = target;
+  }
+  return path.posix.join(path.posix.dirname(base), decoded);
+}
+
+/**
+ * Read the chapter titles of the table of contents: the EPUB 3 navigation document or the EPUB 2 NCX
+ * @param {Object} zip - JSZip instance
+ * @param {Array} items - Manifest items as { href, mediaType, properties }
+ * @param {string} tocId - id of the NCX named by the spine, if any
+ * @returns {Promise} Map of part name to title; the first entry for a part wins
+ */
+async function readTableOfContents(zip, items, tocId) {
+  const titles = new Map();
+  const addTitle = (base, href, title) => {
+    const name = resolveHref(base, href);
+    if (title && !titles.has(name)) {
+      titles.set(name, title);
+    }
+  };
+
+  const nav = items.find(item => item.properties.includes('nav'));
+  const navFile = nav && zip.file(nav.href);
+  if (navFile) {
+    const document = parseHtml(decodeHtml(await navFile.async('nodebuffer')));
+    const navElements = findElements(document, 'nav');
+    const toc = navElements.find(element => element.attributes['epub:type'] === 'toc') || navElements[0];
+    for (const link of toc ? findElements(toc, 'a') : []) {
+      addTitle(nav.href, link.attributes.href || '', textContent(link).replace(/\s+/g, ' ').trim());
+    }
+    return titles;
+  }
+
+  const ncx = items.find(item => item.id === tocId) || items.find(item => item.mediaType === 'application/x-dtbncx+xml');
+  const ncxDocument = ncx && await readXmlPart(zip, ncx.href);
+  for (const point of elementsByName(ncxDocument, 'navPoint')) {
+    const content = elementsByName(point, 'content')[0];
+    if (content) {
+      addTitle(ncx.href, content.getAttribute('src'), firstText(elementsByName(point, 'navLabel')[0], 'text'));
+    }
+  }
+  return titles;
+}
+
+/**
+ * Find the parts encrypted with something other than font obfuscation (DRM)
+ * @param {Object} zip - JSZip instance
+ * @returns {Promise} Set of encrypted part names
+ */
+async function readEncryptedParts(zip) {
+  const encryption = await readXmlPart(zip, 'META-INF/encryption.xml');
+  const parts = new Set();
+  for (const data of elementsByName(encryption, 'EncryptedData')) {
+    const method = elementsByName(data, 'EncryptionMethod')[0];
+    const reference = elementsByName(data, 'CipherReference')[0];
+    if (reference && !FONT_OBFUSCATION_ALGORITHMS.includes(method && method.getAttribute('Algorithm'))) {
+      parts.add(resolveHref('', reference.getAttribute('URI')));
+    }
+  }
+  return parts;
+}
+
+/**
+ * Read the publication metadata of the package document
+ * @param {Object} opf - Package document (OPF)
+ * @returns {Object} Title, author, subject, description, language, publisher and dates
+ */
+function readEpubMetadata(opf) {
+  const metadata = elementsByName(opf, 'metadata')[0];
+  const creators = elementsByName(metadata, 'creator').map(element => element.textContent.trim()).filter(Boolean);
+  const subjects = elementsByName(metadata, 'subject').map(element => element.textContent.trim()).filter(Boolean);
+  const modified = elementsByName(metadata, 'meta').find(element => element.getAttribute('property') === 'dcterms:modified');
+  const generator = elementsByName(metadata, 'meta').find(element => element.getAttribute('name') === 'generator');
+
+  return {
+    title: firstText(metadata, 'title'),
+    author: creators.join(', ') || null,
+    subject: subjects.join(', ') || null,
+    description: firstText(metadata, 'description'),
+    language: firstText(metadata, 'language'),
+    publisher: firstText(metadata, 'publisher'),
+    identifier: firstText(metadata, 'identifier'),
+    application: (generator && generator.getAttribute('content')) || null,
+    createdAt: normalizeDate(firstText(metadata, 'date')),
+    modifiedAt: normalizeDate(modified && modified.textContent.trim())
+  };
+}
+
+/**
+ * Extract the chapters of an EPUB publication in reading order (spine)
+ * @param {Buffer} buffer - EPUB file buffer
+ * @returns {Promise} { chapters, metadata }; chapters are { title, href, blocks }, items marked linear="no" are left out
+ */
+async function extractEpub(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+
+  const container = await readXmlPart(zip, 'META-INF/container.xml');
+  const rootfile = elementsByName(container, 'rootfile')[0];
+  const opfPath = rootfile && rootfile.getAttribute('full-path');
+  const opf = opfPath && await readXmlPart(zip, opfPath);
+  if (!opf) {
+    throw new Error('Package document (OPF) not found');
+  }
+
+  const items = elementsByName(opf, 'item').map(item => ({
+    id: item.getAttribute('id'),
+    href: resolveHref(opfPath, item.getAttribute('href') || ''),
+    mediaType: item.getAttribute('media-type'),
+    properties: (item.getAttribute('properties') || '').split(/\s+/)
+  }));
+  const itemsById = new Map(items.map(item => [item.id, item]));
+
+  const spine = elementsByName(opf, 'spine')[0];
+  const spineItems = elementsByName(spine, 'itemref')
+    .filter(itemref => itemref.getAttribute('linear') !== 'no')
+    .map(itemref => itemsById.get(itemref.getAttribute('idref')))
+    .filter(item => item && zip.file(item.href));
+
+  const encryptedParts = await readEncryptedParts(zip);
+  if (spineItems.some(item => encryptedParts.has(item.href))) {
+    throw {
+      code: 'ENCRYPTED_DOCUMENT',
+      message: 'DRM-protected EPUB files are not supported',
+      status: 400
+    };
+  }
+
+  const titles = await readTableOfContents(zip, items, spine && spine.getAttribute('toc'));
+  const chapters = [];
+  for (const item of spineItems) {
+    const document = parseHtml(decodeHtml(await zip.file(item.href).async('nodebuffer')));
+    const blocks = documentBlocks(document);
+    // Chapters missing from the table of contents are named by their first heading
+    const heading = blocks.find(block => block.type === 'heading');
+    chapters.push({ title: titles.get(item.href) || (heading ? heading.text : null), href: item.href, blocks });
+  }
+
+  return { chapters, metadata: readEpubMetadata(opf) };
+}
+
+module.exports = {
+  extractEpub
+};
\ No newline at end of file
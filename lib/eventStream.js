@@ -0,0 +1,77 @@
+const STREAM_CONTENT_TYPES = {
+  sse: 'text/event-stream',
+  ndjson: 'application/x-ndjson'
+};
+
+/**
+ * Pick the streaming format for a request, if the client asked for one
+ * @param {Object} req - Express request
+ * @returns {string|null} 'sse', 'ndjson' or null for a regular JSON response
+ */
+function getStreamFormat(req) {
+  const requested = String(req.body?.stream || req.query?.stream || '').toLowerCase();
+  if (STREAM_CONTENT_TYPES[requested]) {
+    return requested;
+  }
+
+  const accept = req.headers.accept || '';
+  if (accept.includes(STREAM_CONTENT_TYPES.sse)) {
+    return 'sse';
+  }
+  if (accept.includes(STREAM_CONTENT_TYPES.ndjson)) {
+    return 'ndjson';
+  }
+
+  return null;
+}
+
+/**
+ * Start a streamed response that sends one event per progress update
+ * @param {Object} res - Express response
+ * @param {string} format - 'sse' or 'ndjson'
+ * @returns {Object} Stream with send(event) and end(event) methods
+ */
+function openEventStream(res, format) {
+  res.status(200);
+  res.setHeader('Content-Type', `${STREAM_CONTENT_TYPES[format]}; charset=utf-8`);
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop reverse proxies from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  const send = (event) => {
+    if (closed) {
+      return;
+    }
+
+    const payload = JSON.stringify(event);
+    if (format === 'sse') {
+      res.write(`event: ${event.type}\ndata: ${payload}\n\n`);
+    } else {
+      res.write(`${payload}\n`);
+    }
+  };
+
+  return {
+    send,
+    end(event) {
+      if (event) {
+        send(event);
+      }
+      if (!closed) {
+        res.end();
+      }
+    }
+  };
+}
+
+module.exports = {
+  getStreamFormat,
+  openEventStream
+};
\ No newline at end of file
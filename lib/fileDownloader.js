@@ -1,12 +1,96 @@
-const axios = require('axios');
 const fs = require('fs');
+const { safeFetch, decodeDataUrl, validateUrl } = require('./safeFetch');
+const { readZipEntry } = require('./zipReader');
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+/**
+ * Download a file from a Cloudinary URL, any other https URL (e.g. S3 presigned) or a data: URI.
+ * Downloads are size limited and refuse private network addresses.
+ * @param {string} url - URL of the file to download
+ * @param {Object} options - Download options
+ * @param {Function} options.onProgress - Called with a 'download' event once the file is downloaded
+ * @returns {Promise} Object containing the file buffer, mimeType and the charset of its Content-Type (or null)
+ */
+async function downloadFile(url, options = {}) {
+  const result = await fetchFile(url);
+
+  options.onProgress?.({
+    type: 'download',
+    mimeType: result.mimeType,
+    size: result.size
+  });
+
+  return result;
+}
 
 /**
- * Download a file from Cloudinary URL with proper handling
+ * Pick the download strategy for a URL
+ * @param {string} url - URL of the file to download
+ * @returns {Promise} Object containing the file buffer and mimeType
+ */
+async function fetchFile(url) {
+  if (typeof url === 'string' && url.startsWith('data:')) {
+    const { buffer, contentType, charset } = decodeDataUrl(url);
+    const mimeType = detectMimeType(buffer, null, contentType);
+
+    console.log(`Decoded data URL. Content-Type: ${mimeType}, Size: ${buffer.length} bytes`);
+    return { buffer, mimeType, charset, size: buffer.length, url: 'data:' };
+  }
+
+  const { hostname } = validateUrl(url);
+
+  if (hostname === 'res.cloudinary.com') {
+    return await downloadFromCloudinary(url);
+  }
+
+  return await downloadFromUrl(url);
+}
+
+/**
+ * Download a file from a generic URL, keeping its query string intact (presigned URLs)
+ * @param {string} url - URL of the file to download
+ * @returns {Promise} Object containing the file buffer and mimeType
+ */
+async function downloadFromUrl(url) {
+  try {
+    console.log(`Attempting to download: ${new URL(url).origin}${new URL(url).pathname}`);
+
+    const filename = extractFilenameFromUrl(url);
+    const response = await safeFetch(url, {
+      headers: {
+        'User-Agent': BROWSER_USER_AGENT,
+        'Accept': '*/*'
+      }
+    });
+
+    const mimeType = detectMimeType(response.buffer, filename, response.contentType);
+
+    console.log(`Download successful! Content-Type: ${mimeType}, Size: ${response.buffer.length} bytes`);
+    return { buffer: response.buffer, mimeType, charset: parseContentType(response.contentType).charset, size: response.buffer.length, url: response.url };
+  } catch (error) {
+    console.error('Download failed:', error.statusCode, error.message);
+
+    // Size and host policy violations keep their own error codes
+    if (error.code && error.status) {
+      throw error;
+    }
+
+    throw {
+      code: 'DOWNLOAD_FAILED',
+      message: `Failed to download file: ${error.message}`,
+      status: 500,
+      originalUrl: url
+    };
+  }
+}
+
+/**
+ * Try the different Cloudinary delivery URLs until one of them downloads
  * @param {string} url - Cloudinary URL of the file to download
  * @returns {Promise} Object containing the file buffer and mimeType
  */
-async function downloadFile(url) {
+async function downloadFromCloudinary(url) {
   try {
     console.log(`Attempting to download: ${url}`);
 
@@ -22,31 +106,22 @@ async function downloadFile(url) {
     // Method 1: Try direct download without transformation
     try {
       console.log("Method 1: Direct download from original URL");
-      const response = await axios({
-        method: 'get',
-        url: url,
-        responseType: 'arraybuffer',
-        timeout: 60000,
+      const response = await safeFetch(url, {
         headers: {
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+          'User-Agent': BROWSER_USER_AGENT,
           'Accept': '*/*',
-        },
-        maxRedirects: 5,
-        validateStatus: (status) => status < 500 // Accept 4xx errors to try other methods
+        }
       });
 
-      if (response.status === 200) {
-        const buffer = Buffer.from(response.data);
-        const mimeType = detectMimeType(buffer, filename, response.headers['content-type']);
+      const buffer = response.buffer;
+      const mimeType = detectMimeType(buffer, filename, response.contentType);
 
-        console.log("Direct download successful!");
-        console.log(`Content-Type: ${mimeType}, Size: ${buffer.length} bytes`);
-        return { buffer, mimeType, size: buffer.length, url };
-      } else {
-        console.log(`Direct download failed with status: ${response.status}`);
-      }
+      console.log("Direct download successful!");
+      console.log(`Content-Type: ${mimeType}, Size: ${buffer.length} bytes`);
+      return { buffer, mimeType, charset: parseContentType(response.contentType).charset, size: buffer.length, url };
     } catch (e) {
-      console.log("Direct download failed:", e.response?.status, e.message);
+      if (isPolicyError(e)) throw e;
+      console.log("Direct download failed:", e.statusCode, e.message);
     }
 
     // Method 2: Try with proper resource type for PDFs
@@ -72,25 +147,21 @@ async function downloadFile(url) {
 
         console.log(`Using reconstructed URL (${resourceType}): ${reconstructedUrl}`);
 
-        const response = await axios({
-          method: 'get',
-          url: reconstructedUrl,
-          responseType: 'arraybuffer',
-          timeout: 60000,
+        const response = await safeFetch(reconstructedUrl, {
           headers: {
             'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-          },
-          maxRedirects: 5
+          }
         });
 
-        const buffer = Buffer.from(response.data);
-        const mimeType = detectMimeType(buffer, filename, response.headers['content-type']);
+        const buffer = response.buffer;
+        const mimeType = detectMimeType(buffer, filename, response.contentType);
 
         console.log("Reconstructed URL download successful!");
-        return { buffer, mimeType, size: buffer.length, url: reconstructedUrl };
+        return { buffer, mimeType, charset: parseContentType(response.contentType).charset, size: buffer.length, url: reconstructedUrl };
       }
     } catch (e) {
-      console.log("Reconstructed URL download failed:", e.response?.status, e.message);
+      if (isPolicyError(e)) throw e;
+      console.log("Reconstructed URL download failed:", e.statusCode, e.message);
     }
 
     // Method 3: Try with fl_attachment for download
@@ -105,24 +176,21 @@ async function downloadFile(url) {
 
         console.log(`Using attachment URL: ${attachmentUrl}`);
 
-        const response = await axios({
-          method: 'get',
-          url: attachmentUrl,
-          responseType: 'arraybuffer',
-          timeout: 60000,
+        const response = await safeFetch(attachmentUrl, {
           headers: {
             'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
           }
         });
 
-        const buffer = Buffer.from(response.data);
-        const mimeType = detectMimeType(buffer, filename, response.headers['content-type']);
+        const buffer = response.buffer;
+        const mimeType = detectMimeType(buffer, filename, response.contentType);
 
         console.log("Attachment URL download successful!");
-        return { buffer, mimeType, size: buffer.length, url: attachmentUrl };
+        return { buffer, mimeType, charset: parseContentType(response.contentType).charset, size: buffer.length, url: attachmentUrl };
       }
     } catch (e) {
-      console.log("Attachment URL download failed:", e.response?.status, e.message);
+      if (isPolicyError(e)) throw e;
+      console.log("Attachment URL download failed:", e.statusCode, e.message);
     }
 
     // Method 4: Try unsigned delivery URL with API key authentication
@@ -142,21 +210,17 @@ async function downloadFile(url) {
 
         console.log(`Using authenticated URL: ${unsignedUrl}`);
 
-        const response = await axios({
-          method: 'get',
-          url: unsignedUrl,
-          responseType: 'arraybuffer',
-          timeout: 60000
-        });
+        const response = await safeFetch(unsignedUrl);
 
-        const buffer = Buffer.from(response.data);
-        const mimeType = detectMimeType(buffer, filename, response.headers['content-type']);
+        const buffer = response.buffer;
+        const mimeType = detectMimeType(buffer, filename, response.contentType);
 
         console.log("Authenticated URL download successful!");
-        return { buffer, mimeType, size: buffer.length, url: unsignedUrl };
+        return { buffer, mimeType, charset: parseContentType(response.contentType).charset, size: buffer.length, url: unsignedUrl };
       }
     } catch (e) {
-      console.log("Authenticated URL download failed:", e.response?.status, e.message);
+      if (isPolicyError(e)) throw e;
+      console.log("Authenticated URL download failed:", e.statusCode, e.message);
     }
 
     throw new Error("All download methods failed");
@@ -164,6 +228,10 @@ async function downloadFile(url) {
   } catch (error) {
     console.error('All download methods failed:', error.message);
 
+    if (isPolicyError(error)) {
+      throw error;
+    }
+
     throw {
       code: 'DOWNLOAD_FAILED',
       message: `Failed to download file: ${error.message}`,
@@ -173,6 +241,15 @@ async function downloadFile(url) {
   }
 }
 
+/**
+ * Check whether a download error is a size or host policy violation, which no retry can fix
+ * @param {Object} error - Error thrown while downloading
+ * @returns {boolean} True for formatted errors from safeFetch
+ */
+function isPolicyError(error) {
+  return Boolean(error && error.code && error.status);
+}
+
 /**
  * Extract filename from Cloudinary URL
  * @param {string} url - Cloudinary URL
@@ -180,7 +257,8 @@ async function downloadFile(url) {
  */
 function extractFilenameFromUrl(url) {
   try {
-    const urlParts = url.split('/');
+    // Ignore query strings and fragments (presigned URLs carry their signature there)
+    const urlParts = url.split(/[?#]/)[0].split('/');
     const lastPart = urlParts[urlParts.length - 1];
 
     // Decode URL encoding
@@ -229,6 +307,21 @@ function extractPublicId(url) {
   }
 }
 
+/**
+ * Split a Content-Type header into its MIME type and charset, both lowercase
+ * @param {string|null} contentType - Content-Type header, e.g. 'text/html; charset=UTF-8'
+ * @returns {Object} { mimeType, charset }, each null when missing
+ */
+function parseContentType(contentType) {
+  const [type, ...params] = String(contentType || '').split(';');
+  const charset = params.map(param => param.trim()).find(param => /^charset=/i.test(param));
+
+  return {
+    mimeType: type.trim().toLowerCase() || null,
+    charset: charset ? charset.slice('charset='.length).replace(/^"|"$/g, '').trim().toLowerCase() || null : null
+  };
+}
+
 /**
  * Enhanced mime type detection with multiple fallback methods
  * @param {Buffer} buffer - File buffer
@@ -243,10 +336,9 @@ function detectMimeType(buffer, filename = null, headerContentType = null) {
   // Then try from filename extension
   const extensionMimeType = filename ? detectMimeTypeFromExtension(filename) : null;
 
-  // Use header content type as fallback
-  const headerMimeType = headerContentType && headerContentType !== 'application/octet-stream' 
-    ? headerContentType 
-    : null;
+  // Use header content type as fallback, without parameters such as charset
+  const { mimeType } = parseContentType(headerContentType);
+  const headerMimeType = mimeType !== 'application/octet-stream' ? mimeType : null;
 
   // Priority: content detection > extension > header > default
   const detectedType = contentMimeType || extensionMimeType || headerMimeType || 'application/octet-stream';
@@ -256,6 +348,48 @@ function detectMimeType(buffer, filename = null, headerContentType = null) {
   return detectedType;
 }
 
+/**
+ * Detect the type of an Office Open XML package from the content type of its main part
+ * @param {Buffer} buffer - ZIP file buffer
+ * @returns {string|null} DOCX, PPTX or XLSX MIME type, or null if the package is not an Office document
+ */
+function detectOfficeMimeType(buffer) {
+  const contentTypes = readZipEntry(buffer, '[Content_Types].xml');
+  if (!contentTypes) {
+    return null;
+  }
+
+  // e.g. application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml
+  const mainTypes = [...contentTypes.toString('utf8').matchAll(/ContentType="([^"]+)\.main\+xml"/g)].map(match => match[1]);
+  for (const mainType of mainTypes) {
+    if (/wordprocessingml\.(document|template)$|ms-word\.(document|template)\.macroEnabled/i.test(mainType)) {
+      return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    }
+    if (/presentationml\.(presentation|slideshow|template)$|ms-powerpoint\.(presentation|slideshow|template)\.macroEnabled/i.test(mainType)) {
+      return 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+    }
+    if (/spreadsheetml\.(sheet|template)$|ms-excel\.(sheet|template)\.macroEnabled/i.test(mainType)) {
+      return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    }
+  }
+  return null;
+}
+
+/**
+ * Detect the type of an OpenDocument or EPUB package from its mimetype entry
+ * @param {Buffer} buffer - ZIP file buffer
+ * @returns {string|null} ODT, ODS, ODP (templates included) or EPUB MIME type, or null if the package is not one
+ */
+function detectPackageMimeType(buffer) {
+  const entry = readZipEntry(buffer, 'mimetype', 256);
+  const mimetype = entry && entry.toString('ascii').trim();
+  if (mimetype === 'application/epub+zip') {
+    return mimetype;
+  }
+  const match = mimetype && /^application\/vnd\.oasis\.opendocument\.(text|spreadsheet|presentation)(-template)?$/.exec(mimetype);
+  return match ? `application/vnd.oasis.opendocument.${match[1]}` : null;
+}
+
 /**
  * Detect MIME type from file content signatures
  * @param {Buffer} buffer - File buffer
@@ -274,8 +408,20 @@ function detectMimeTypeFromContent(buffer) {
     }
   }
 
-  // Check for DOCX signature (PK zip header)
+  // Check for ZIP containers (PK zip header)
   if (buffer.length >= 4 && buffer[0] === 0x50 && buffer[1] === 0x4B && buffer[2] === 0x03 && buffer[3] === 0x04) {
+    // Office Open XML packages declare their main part in [Content_Types].xml
+    const officeMimeType = detectOfficeMimeType(buffer);
+    if (officeMimeType) {
+      return officeMimeType;
+    }
+
+    // OpenDocument and EPUB packages start with a mimetype entry
+    const packageMimeType = detectPackageMimeType(buffer);
+    if (packageMimeType) {
+      return packageMimeType;
+    }
+
     // Further check for DOCX by looking for word-specific content
     const bufferStr = buffer.toString('hex', 0, Math.min(buffer.length, 1000));
     if (bufferStr.includes('776f72642f') || bufferStr.includes('_rels') || bufferStr.includes('docProps')) {
@@ -292,6 +438,17 @@ function detectMimeTypeFromContent(buffer) {
     }
   }
 
+  // Check for RTF signature ({\rtf)
+  if (buffer.length >= 5 && buffer.slice(0, 5).toString('ascii') === '{\\rtf') {
+    return 'application/rtf';
+  }
+
+  // Check for HTML documents (<!DOCTYPE html> or <html>, after a byte order mark and whitespace)
+  const start = buffer.slice(0, 256).toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+  if (start.startsWith('<!doctype html') || start.startsWith('<html')) {
+    return 'text/html';
+  }
+
   // Check for PNG signature
   if (buffer.length >= 8) {
     const pngSignature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
@@ -313,6 +470,24 @@ function detectMimeTypeFromContent(buffer) {
     }
   }
 
+  // Check for WebP signature (RIFF container of type WEBP)
+  if (buffer.length >= 12 && buffer.slice(0, 4).toString('ascii') === 'RIFF' && buffer.slice(8, 12).toString('ascii') === 'WEBP') {
+    return 'image/webp';
+  }
+
+  // Check for TIFF signature (little-endian II*\0 or big-endian MM\0*)
+  if (buffer.length >= 4) {
+    const tiffSignature = buffer.slice(0, 4).toString('hex');
+    if (tiffSignature === '49492a00' || tiffSignature === '4d4d002a') {
+      return 'image/tiff';
+    }
+  }
+
+  // Check for BMP signature (BM followed by a known header size)
+  if (buffer.length >= 18 && buffer[0] === 0x42 && buffer[1] === 0x4D && [12, 40, 52, 56, 108, 124].includes(buffer.readUInt32LE(14))) {
+    return 'image/bmp';
+  }
+
   return null;
 }
 
@@ -329,13 +504,28 @@ function detectMimeTypeFromExtension(filename) {
   const mimeTypes = {
     'pdf': 'application/pdf',
     'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
     'doc': 'application/msword',
+    'rtf': 'application/rtf',
+    'odt': 'application/vnd.oasis.opendocument.text',
+    'ods': 'application/vnd.oasis.opendocument.spreadsheet',
+    'odp': 'application/vnd.oasis.opendocument.presentation',
+    'html': 'text/html',
+    'htm': 'text/html',
+    'xhtml': 'application/xhtml+xml',
+    'epub': 'application/epub+zip',
+    'md': 'text/markdown',
+    'markdown': 'text/markdown',
     'txt': 'text/plain',
     'png': 'image/png',
     'jpg': 'image/jpeg',
     'jpeg': 'image/jpeg',
     'gif': 'image/gif',
     'webp': 'image/webp',
+    'bmp': 'image/bmp',
+    'tif': 'image/tiff',
+    'tiff': 'image/tiff',
     'mp4': 'video/mp4',
     'mov': 'video/quicktime',
     'avi': 'video/avi'
@@ -345,5 +535,7 @@ function detectMimeTypeFromExtension(filename) {
 }
 
 module.exports = {
-  downloadFile
+  downloadFile,
+  detectMimeType,
+  parseContentType
 }; 
\ No newline at end of file
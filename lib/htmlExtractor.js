@@ -0,0 +1,483 @@
+const { decodeCharset } = require('./codePages');
+const { normalizeDate } = require('./documentMetadata');
+
+// Elements without content or end tag
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param',
+  'source', 'track', 'wbr']);
+// Elements whose content is text up to their end tag, not markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes',
+  'noscript', 'template']);
+
+// Elements that are never document text: scripts, styles, navigation, forms and embedded content
+const SKIPPED_ELEMENTS = new Set(['head', 'script', 'style', 'noscript', 'template', 'nav', 'aside', 'form', 'button',
+  'select', 'textarea', 'iframe', 'svg', 'math', 'canvas', 'object', 'embed', 'audio', 'video', 'map', 'dialog']);
+const SKIPPED_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'search', 'menu', 'menubar', 'complementary']);
+// Page headers and footers are site chrome, unless they belong to an article or section
+const CONTENT_SECTIONS = new Set(['article', 'main', 'section']);
+
+// Elements that start a new block of text
+const BLOCK_ELEMENTS = new Set(['address', 'article', 'aside', 'blockquote', 'body', 'center', 'dd', 'details', 'dialog',
+  'dir', 'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hgroup', 'hr', 'html', 'li', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table',
+  'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul', 'caption']);
+
+// Open elements that stop the search for an element to close implicitly
+const SCOPE_BOUNDARIES = ['applet', 'caption', 'html', 'table', 'td', 'th', 'marquee', 'object', 'template', 'button'];
+// Starting one of these elements closes an open paragraph
+const PARAGRAPH_CLOSERS = new Set(['address', 'article', 'aside', 'blockquote', 'center', 'details', 'dialog', 'dir',
+  'div', 'dl', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+  'hgroup', 'hr', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul', 'li', 'dd', 'dt']);
+
+// Named character references for Latin-1 (160-255), in code point order
+const LATIN1_ENTITIES = ('nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr deg plusmn ' +
+  'sup2 sup3 acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest Agrave Aacute Acirc Atilde ' +
+  'Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ETH Ntilde Ograve Oacute Ocirc Otilde ' +
+  'Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig agrave aacute acirc atilde auml aring aelig ccedil ' +
+  'egrave eacute ecirc euml igrave iacute icirc iuml eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave ' +
+  'uacute ucirc uuml yacute thorn yuml').split(' ');
+
+const ENTITIES = {
+  ...Object.fromEntries(LATIN1_ENTITIES.map((name, index) => [name, String.fromCharCode(160 + index)])),
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  OElig: '\u0152', oelig: '\u0153', Scaron: '\u0160', scaron: '\u0161', Yuml: '\u0178', fnof: '\u0192',
+  circ: '\u02C6', tilde: '\u02DC', ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009', zwnj: '\u200C', zwj: '\u200D',
+  lrm: '\u200E', rlm: '\u200F', ndash: '\u2013', mdash: '\u2014', lsquo: '\u2018', rsquo: '\u2019', sbquo: '\u201A',
+  ldquo: '\u201C', rdquo: '\u201D', bdquo: '\u201E', dagger: '\u2020', Dagger: '\u2021', bull: '\u2022',
+  hellip: '\u2026', permil: '\u2030', prime: '\u2032', Prime: '\u2033', lsaquo: '\u2039', rsaquo: '\u203A',
+  euro: '\u20AC', trade: '\u2122', larr: '\u2190', rarr: '\u2192', uarr: '\u2191', darr: '\u2193', harr: '\u2194',
+  minus: '\u2212', le: '\u2264', ge: '\u2265', ne: '\u2260', infin: '\u221E', asymp: '\u2248'
+};
+
+// Start tags, end tags and their attributes
+const TAG_PATTERN = /<(\/?)([a-zA-Z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/y;
+const ATTRIBUTE_PATTERN = /([^\s="'/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+/**
+ * Decode character references (&amp;, &#233;, &#xE9;)
+ * @param {string} text - HTML text
+ * @returns {string} Decoded text; unknown references are kept as written
+ */
+function decodeEntities(text) {
+  return text.replace(/&(?:#(\d{1,7})|#[xX]([\da-fA-F]{1,6})|([a-zA-Z][a-zA-Z\d]{1,31}));?/g, (match, decimal, hex, name) => {
+    if (name) {
+      return ENTITIES[name] ?? match;
+    }
+    const codePoint = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+    return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : '\uFFFD';
+  });
+}
+
+/**
+ * Decode an HTML file using its byte order mark, the charset it was sent with, its declared charset or UTF-8
+ * @param {Buffer} buffer - HTML or XHTML file buffer
+ * @param {string|null} charset - Charset from the Content-Type header, if any
+ * @returns {string} HTML source
+ */
+function decodeHtml(buffer, charset = null) {
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return buffer.toString('utf8', 3);
+  }
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return buffer.toString('utf16le', 2);
+  }
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return decodeCharset(buffer.subarray(2), 'utf-16be');
+  }
+
+  // The Content-Type header takes precedence over the page, as in browsers
+  const sent = charset && decodeCharset(buffer, charset);
+  if (sent !== null && sent !== undefined) {
+    return sent;
+  }
+
+  // <meta charset>, <meta http-equiv="Content-Type" content="...; charset=..."> or an XML declaration
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const declared = /<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i.exec(head) || /<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)/i.exec(head);
+  const decoded = declared && decodeCharset(buffer, declared[1]);
+  if (decoded !== null && decoded !== undefined) {
+    return decoded;
+  }
+
+  // Undeclared pages are UTF-8, or Windows-1252 when they are not valid UTF-8
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    return decodeCharset(buffer, 'windows-1252');
+  }
+}
+
+/**
+ * Parse HTML into a tree, closing elements the way browsers do for unclosed p, li, td and similar tags
+ * @param {string} html - HTML source
+ * @returns {Object} Root node; elements are { name, attributes, children, parent }, text nodes { text }
+ */
+function parseHtml(html) {
+  const root = { name: '#document', attributes: {}, children: [], parent: null };
+  const stack = [root];
+  const lowerHtml = html.toLowerCase();
+  const current = () => stack[stack.length - 1];
+
+  // Close the outermost open element in names, unless a boundary element is open inside it
+  const closeOpen = (names, boundaries = SCOPE_BOUNDARIES) => {
+    let index = -1;
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (names.includes(stack[i].name)) {
+        index = i;
+      } else if (boundaries.includes(stack[i].name)) {
+        break;
+      }
+    }
+    if (index !== -1) {
+      stack.length = index;
+    }
+  };
+
+  const addText = (text) => {
+    if (text) {
+      current().children.push({ text });
+    }
+  };
+
+  let i = 0;
+  while (i < html.length) {
+    const start = html.indexOf('<', i);
+    if (start === -1) {
+      addText(decodeEntities(html.slice(i)));
+      break;
+    }
+    addText(decodeEntities(html.slice(i, start)));
+
+    if (html.startsWith('<!--', start)) {
+      const end = html.indexOf('-->', start + 4);
+      i = end === -1 ? html.length : end + 3;
+      continue;
+    }
+    if (html.startsWith('<![CDATA[', start)) {
+      const end = html.indexOf(']]>', start + 9);
+      addText(html.slice(start + 9, end === -1 ? html.length : end));
+      i = end === -1 ? html.length : end + 3;
+      continue;
+    }
+    // Doctypes and processing instructions
+    if (html[start + 1] === '!' || html[start + 1] === '?') {
+      const end = html.indexOf('>', start);
+      i = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    TAG_PATTERN.lastIndex = start;
+    const tag = TAG_PATTERN.exec(html);
+    if (!tag) {
+      addText('<');
+      i = start + 1;
+      continue;
+    }
+    i = start + tag[0].length;
+    const name = tag[2].toLowerCase();
+
+    if (tag[1]) {
+      // End tag: close up to the matching open element, ignore it if there is none
+      for (let j = stack.length - 1; j > 0; j--) {
+        if (stack[j].name === name) {
+          stack.length = j;
+          break;
+        }
+      }
+      continue;
+    }
+
+    if (PARAGRAPH_CLOSERS.has(name)) {
+      closeOpen(['p']);
+    }
+    if (name === 'li') {
+      closeOpen(['li'], [...SCOPE_BOUNDARIES, 'ol', 'ul']);
+    } else if (name === 'dd' || name === 'dt') {
+      closeOpen(['dd', 'dt'], [...SCOPE_BOUNDARIES, 'dl']);
+    } else if (name === 'tr') {
+      closeOpen(['tr', 'td', 'th'], ['table']);
+    } else if (name === 'td' || name === 'th') {
+      closeOpen(['td', 'th'], ['tr', 'table']);
+    } else if (name === 'thead' || name === 'tbody' || name === 'tfoot') {
+      closeOpen(['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], ['table']);
+    } else if (name === 'option' || name === 'optgroup') {
+      closeOpen(['option']);
+    } else if (/^h[1-6]$/.test(name) && /^h[1-6]$/.test(current().name)) {
+      stack.pop();
+    }
+
+    const attributes = {};
+    for (const [, attributeName, doubleQuoted, singleQuoted, unquoted] of tag[3].matchAll(ATTRIBUTE_PATTERN)) {
+      attributes[attributeName.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '');
+    }
+    const element = { name, attributes, children: [], parent: current() };
+    current().children.push(element);
+
+    if (VOID_ELEMENTS.has(name) || tag[3].trim().endsWith('/')) {
+      continue;
+    }
+    if (RAW_TEXT_ELEMENTS.has(name)) {
+      const end = lowerHtml.indexOf(`</${name}`, i);
+      const text = html.slice(i, end === -1 ? html.length : end);
+      element.children.push({ text: name === 'title' || name === 'textarea' ? decodeEntities(text) : text });
+      i = end === -1 ? html.length : lowerHtml.indexOf('>', end) + 1 || html.length;
+      continue;
+    }
+    stack.push(element);
+  }
+
+  return root;
+}
+
+/**
+ * Find the elements with a name, depth first
+ * @param {Object} node - Tree node
+ * @param {string} name - Element name
+ * @returns {Array} Matching elements
+ */
+function findElements(node, name) {
+  const found = [];
+  for (const child of node.children || []) {
+    if (child.name === name) {
+      found.push(child);
+    }
+    found.push(...findElements(child, name));
+  }
+  return found;
+}
+
+/**
+ * Get the text of a node with its markup removed
+ * @param {Object} node - Tree node
+ * @returns {string} Text
+ */
+function textContent(node) {
+  return node.text ?? node.children.map(textContent).join('');
+}
+
+/**
+ * Check whether an element is not part of the document text
+ * @param {Object} element - Element node
+ * @returns {boolean} True for scripts, styles, navigation, page headers and footers, forms and hidden elements
+ */
+function isSkipped(element) {
+  if (SKIPPED_ELEMENTS.has(element.name) || SKIPPED_ROLES.has(element.attributes.role)) {
+    return true;
+  }
+  if ('hidden' in element.attributes || element.attributes['aria-hidden'] === 'true') {
+    return true;
+  }
+  if (element.name === 'header' || element.name === 'footer') {
+    for (let parent = element.parent; parent; parent = parent.parent) {
+      if (CONTENT_SECTIONS.has(parent.name)) {
+        return false;
+      }
+    }
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Get the text of an inline element, or of a list item or table cell
+ * @param {Object} node - Tree node
+ * @param {boolean} preformatted - Keep whitespace as written (inside pre)
+ * @returns {string} Text, line breaks and nested blocks as newlines
+ */
+function inlineText(node, preformatted = false) {
+  if (node.text !== undefined) {
+    return preformatted ? node.text : node.text.replace(/[ \t\r\n\f]+/g, ' ');
+  }
+  if (node.name === 'br') {
+    return '\n';
+  }
+  if (node.name === 'img') {
+    return '';
+  }
+  if (isSkipped(node) || node.name === 'ul' || node.name === 'ol') {
+    return '';
+  }
+
+  const text = node.children.map(child => inlineText(child, preformatted || node.name === 'pre')).join('');
+  return BLOCK_ELEMENTS.has(node.name) ? `\n${text}\n` : text;
+}
+
+/**
+ * Trim the lines of a text and drop empty ones
+ * @param {string} text - Text
+ * @returns {string} Tidied text
+ */
+function tidyLines(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+}
+
+/**
+ * Read an HTML table. Cells spanning several columns or rows keep their columns, empty after the first.
+ * @param {Object} table - table element
+ * @returns {Array} Rows of cell text, padded to the same width
+ */
+function tableRows(table) {
+  const rowElements = table.children
+    .filter(child => ['thead', 'tbody', 'tfoot'].includes(child.name))
+    .reduce((rows, group) => rows.concat(group.children.filter(child => child.name === 'tr')),
+      table.children.filter(child => child.name === 'tr'));
+  // Remaining rows covered by a rowspan, by column
+  const spans = [];
+
+  const rows = rowElements.map((rowElement) => {
+    const row = [];
+    const skipSpannedColumns = () => {
+      while (spans[row.length] > 0) {
+        spans[row.length]--;
+        row.push('');
+      }
+    };
+
+    for (const cell of rowElement.children.filter(child => child.name === 'td' || child.name === 'th')) {
+      skipSpannedColumns();
+      const colspan = Math.min(Math.max(parseInt(cell.attributes.colspan, 10) || 1, 1), 1000);
+      const rowspan = Math.min(Math.max(parseInt(cell.attributes.rowspan, 10) || 1, 1), 1000);
+      for (let i = 0; i < colspan; i++) {
+        spans[row.length] = rowspan - 1;
+        row.push(i === 0 ? tidyLines(inlineText(cell)) : '');
+      }
+    }
+    skipSpannedColumns();
+    return row;
+  });
+
+  const columnCount = Math.max(0, ...rows.map(row => row.length));
+  return rows.map(row => [...row, ...Array(columnCount - row.length).fill('')]);
+}
+
+/**
+ * Convert the content of an element into blocks
+ * @param {Object} element - Container element (body, main, div, section...)
+ * @param {Array} blocks - Blocks to add to
+ * @returns {Array} Blocks (heading, paragraph, listItem, table)
+ */
+function readBlocks(element, blocks = []) {
+  let paragraph = '';
+  const flush = () => {
+    const text = tidyLines(paragraph);
+    if (text) {
+      blocks.push({ type: 'paragraph', text });
+    }
+    paragraph = '';
+  };
+
+  const addList = (list, depth) => {
+    for (const item of list.children.filter(child => child.name === 'li')) {
+      const text = tidyLines(inlineText(item));
+      if (text) {
+        blocks.push({ type: 'listItem', ordered: list.name === 'ol', depth, text });
+      }
+      for (const nested of item.children.filter(child => child.name === 'ul' || child.name === 'ol')) {
+        addList(nested, depth + 1);
+      }
+    }
+  };
+
+  for (const child of element.children) {
+    if (child.text !== undefined || (!BLOCK_ELEMENTS.has(child.name) && child.name !== 'br')) {
+      paragraph += inlineText(child);
+      continue;
+    }
+    if (child.name === 'br') {
+      paragraph += '\n';
+      continue;
+    }
+    if (isSkipped(child)) {
+      continue;
+    }
+
+    flush();
+    if (/^h[1-6]$/.test(child.name)) {
+      const text = tidyLines(inlineText(child)).replace(/\n/g, ' ');
+      if (text) {
+        blocks.push({ type: 'heading', level: Number(child.name[1]), text });
+      }
+    } else if (child.name === 'ul' || child.name === 'ol') {
+      addList(child, 0);
+    } else if (child.name === 'table') {
+      const rows = tableRows(child);
+      if (rows.length) {
+        blocks.push({ type: 'table', rows });
+      }
+    } else if (child.name === 'pre') {
+      const text = inlineText(child, true).replace(/^\n+|\s+$/g, '');
+      if (text) {
+        blocks.push({ type: 'paragraph', text });
+      }
+    } else if (child.name !== 'hr') {
+      readBlocks(child, blocks);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+/**
+ * Read the document properties of an HTML page from its title, meta elements and language
+ * @param {Object} document - Parsed HTML tree
+ * @returns {Object} Title, author, description, keywords, language, generator and dates
+ */
+function readHtmlMetadata(document) {
+  const head = findElements(document, 'head')[0] || document;
+  const meta = {};
+  for (const element of findElements(head, 'meta')) {
+    const key = (element.attributes.name || element.attributes.property || '').toLowerCase();
+    if (key && !(key in meta) && element.attributes.content) {
+      meta[key] = element.attributes.content.trim();
+    }
+  }
+  const title = findElements(head, 'title')[0];
+  const html = findElements(document, 'html')[0];
+  const value = (...keys) => keys.map(key => meta[key]).find(Boolean) || null;
+
+  return {
+    title: (title && textContent(title).replace(/\s+/g, ' ').trim()) || value('og:title', 'dc.title', 'dcterms.title'),
+    author: value('author', 'dc.creator', 'dcterms.creator', 'article:author'),
+    description: value('description', 'og:description', 'dc.description', 'dcterms.description'),
+    keywords: value('keywords', 'news_keywords'),
+    language: (html && (html.attributes.lang || html.attributes['xml:lang'])) || null,
+    application: value('generator'),
+    createdAt: normalizeDate(value('article:published_time', 'dcterms.created', 'dc.date', 'date')),
+    modifiedAt: normalizeDate(value('article:modified_time', 'dcterms.modified', 'last-modified'))
+  };
+}
+
+/**
+ * Convert the body of an HTML document into blocks, reading only its main element when it has exactly one
+ * @param {Object} document - Parsed HTML tree
+ * @returns {Array} Blocks (heading, paragraph, listItem, table)
+ */
+function documentBlocks(document) {
+  const mains = findElements(document, 'main').concat(findElements(document, 'div').filter(div => div.attributes.role === 'main'));
+  const root = mains.length === 1 ? mains[0] : findElements(document, 'body')[0] || document;
+  return readBlocks(root);
+}
+
+/**
+ * Extract the text structure and properties of an HTML page
+ * @param {Buffer} buffer - HTML file buffer
+ * @param {Object} options - Extraction options
+ * @param {string} options.charset - Charset from the Content-Type header, if any
+ * @returns {Object} { blocks, metadata }
+ */
+function extractHtml(buffer, options = {}) {
+  const document = parseHtml(decodeHtml(buffer, options.charset));
+  return {
+    blocks: documentBlocks(document),
+    metadata: readHtmlMetadata(document)
+  };
+}
+
+module.exports = {
+  decodeEntities,
+  decodeHtml,
+  parseHtml,
+  findElements,
+  textContent,
+  documentBlocks,
+  extractHtml
+};
\ No newline at end of file
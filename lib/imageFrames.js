@@ -0,0 +1,160 @@
+const { selectPages } = require('./pageRanges');
+
+// For image decoding (optional)
+let sharp;
+try {
+  sharp = require('sharp');
+} catch (e) {
+  // Images are passed to OCR as they are
+}
+
+// Same limit as sharp's default, so a small BMP header cannot claim a huge bitmap
+const MAX_PIXELS = 0x3FFF * 0x3FFF;
+
+// BMP compression methods
+const BI_RGB = 0;
+const BI_BITFIELDS = 3;
+
+/**
+ * Check whether a buffer is a Windows bitmap, which sharp cannot read
+ * @param {Buffer} buffer - Image buffer
+ * @returns {boolean} True for BMP files
+ */
+function isBmp(buffer) {
+  return buffer.length >= 26 && buffer[0] === 0x42 && buffer[1] === 0x4D
+    && [12, 40, 52, 56, 108, 124].includes(buffer.readUInt32LE(14));
+}
+
+/**
+ * Get the shift and width of a color channel mask (BI_BITFIELDS)
+ * @param {number} mask - Channel mask, e.g. 0x00FF0000
+ * @returns {Object} { shift, max }
+ */
+function maskShape(mask) {
+  let shift = 0;
+  while (mask && !((mask >>> shift) & 1)) {
+    shift++;
+  }
+  return { shift, max: mask >>> shift };
+}
+
+/**
+ * Decode an uncompressed Windows bitmap (1, 4, 8, 16, 24 or 32 bits per pixel) to RGB pixels
+ * @param {Buffer} buffer - BMP file buffer
+ * @returns {Object} { width, height, data } with 3 bytes per pixel, top row first
+ */
+function decodeBmp(buffer) {
+  const dataOffset = buffer.readUInt32LE(10);
+  const headerSize = buffer.readUInt32LE(14);
+  // OS/2 bitmaps have a 12-byte header with 16-bit sizes and 3-byte palette entries
+  const core = headerSize === 12;
+  const width = core ? buffer.readUInt16LE(18) : buffer.readInt32LE(18);
+  const rawHeight = core ? buffer.readInt16LE(20) : buffer.readInt32LE(22);
+  const bitCount = buffer.readUInt16LE(core ? 24 : 28);
+  const compression = core ? BI_RGB : buffer.readUInt32LE(30);
+  const height = Math.abs(rawHeight);
+
+  if (width <= 0 || height === 0 || width * height > MAX_PIXELS) {
+    throw new Error(`Invalid BMP size ${width}x${height}`);
+  }
+  if (!(compression === BI_RGB && [1, 4, 8, 16, 24, 32].includes(bitCount))
+    && !(compression === BI_BITFIELDS && (bitCount === 16 || bitCount === 32))) {
+    throw new Error(`Unsupported BMP format (${bitCount} bits per pixel, compression ${compression})`);
+  }
+
+  const stride = Math.ceil(width * bitCount / 32) * 4;
+  if (dataOffset + stride * height > buffer.length) {
+    throw new Error('BMP pixel data is truncated');
+  }
+
+  // Palette for 1, 4 and 8 bits per pixel, as BGR(A) entries after the header
+  const paletteOffset = 14 + headerSize + (compression === BI_BITFIELDS && headerSize === 40 ? 12 : 0);
+  const entrySize = core ? 3 : 4;
+  const palette = [];
+  if (bitCount <= 8) {
+    const colorsUsed = core ? 0 : buffer.readUInt32LE(46);
+    const count = Math.min(colorsUsed || 1 << bitCount, 256, Math.floor((dataOffset - paletteOffset) / entrySize));
+    for (let i = 0; i < count; i++) {
+      const entry = paletteOffset + i * entrySize;
+      palette.push([buffer[entry + 2], buffer[entry + 1], buffer[entry]]);
+    }
+  }
+
+  // Channel masks: in the header from version 3 on, after a 40-byte header otherwise; 5-5-5 and 8-8-8 by default
+  let masks = bitCount === 16 ? [0x7C00, 0x03E0, 0x001F] : [0x00FF0000, 0x0000FF00, 0x000000FF];
+  if (compression === BI_BITFIELDS) {
+    masks = [0, 4, 8].map(offset => buffer.readUInt32LE(54 + offset));
+  }
+  const channels = masks.map(maskShape);
+
+  const data = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    // Bitmaps are stored bottom row first unless the height is negative
+    const row = dataOffset + (rawHeight > 0 ? height - 1 - y : y) * stride;
+    for (let x = 0; x < width; x++) {
+      const target = (y * width + x) * 3;
+      let color;
+      if (bitCount <= 8) {
+        const bitOffset = x * bitCount;
+        const index = (buffer[row + (bitOffset >> 3)] >> (8 - bitCount - (bitOffset & 7))) & ((1 << bitCount) - 1);
+        color = palette[index] || [0, 0, 0];
+      } else if (bitCount === 24) {
+        const pixel = row + x * 3;
+        color = [buffer[pixel + 2], buffer[pixel + 1], buffer[pixel]];
+      } else {
+        const value = bitCount === 16 ? buffer.readUInt16LE(row + x * 2) : buffer.readUInt32LE(row + x * 4);
+        color = channels.map(({ shift, max }) => (max ? Math.round(((value >>> shift) & max) * 255 / max) : 0));
+      }
+      data[target] = color[0];
+      data[target + 1] = color[1];
+      data[target + 2] = color[2];
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Convert the pages of an image to PNG, one page at a time. Every page of a TIFF is a page; animated GIF and
+ * WebP images only have their first frame read. Photos are turned upright from their EXIF orientation.
+ * @param {Buffer} buffer - PNG, JPEG, WebP, GIF, BMP or TIFF file buffer
+ * @param {Object} options - Conversion options
+ * @param {string} options.pages - Page ranges to convert, as returned by resolvePageRanges (every page when omitted)
+ * @returns {AsyncGenerator} Yields { pageNumber, totalPages, documentPages, truncated, image, width, height } per page,
+ *   totalPages being the number of pages converted
+ */
+async function* readImageFrames(buffer, options = {}) {
+  if (!sharp) {
+    // Tesseract reads the common formats itself, but only the first page of a TIFF (rejects ranges without page 1)
+    selectPages(options.pages, 1);
+    yield { pageNumber: 1, totalPages: 1, documentPages: 1, truncated: false, image: buffer, width: null, height: null };
+    return;
+  }
+
+  const bitmap = isBmp(buffer) ? decodeBmp(buffer) : null;
+  const open = page => (bitmap
+    ? sharp(bitmap.data, { raw: { width: bitmap.width, height: bitmap.height, channels: 3 } })
+    : sharp(buffer, { page }));
+
+  const metadata = await open(0).metadata();
+  const pageCount = metadata.format === 'tiff' ? metadata.pages || 1 : 1;
+  const { pageNumbers, truncated } = selectPages(options.pages, pageCount);
+  const totalPages = pageNumbers.length;
+
+  for (const pageNumber of pageNumbers) {
+    const { data, info } = await open(pageNumber - 1).rotate().png().toBuffer({ resolveWithObject: true });
+    yield {
+      pageNumber,
+      totalPages,
+      documentPages: pageCount,
+      truncated,
+      image: data,
+      width: info.width,
+      height: info.height
+    };
+  }
+}
+
+module.exports = {
+  readImageFrames
+};
\ No newline at end of file
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const { processDocument, buildProcessOptions } = require('./pdfProcessor');
+const { createJobStore } = require('./jobStore');
+const { sendWebhook } = require('./webhooks');
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+
+let jobStore = null;
+const pendingJobs = [];
+let runningJobs = 0;
+// PDF passwords of queued and running jobs, kept in memory only so they never reach the job store
+const jobPasswords = new Map();
+
+/**
+ * Get the configured job store, creating it on first use
+ * @returns {Object} Job store
+ */
+function getJobStore() {
+  if (!jobStore) {
+    jobStore = createJobStore();
+    console.log(`Using ${jobStore.type} job store`);
+  }
+  return jobStore;
+}
+
+/**
+ * Replace the job store (any object with create, get, list and update methods)
+ * @param {Object} store - Job store implementation
+ */
+function setJobStore(store) {
+  jobStore = store;
+}
+
+/**
+ * Create an extraction job and queue it for processing
+ * @param {Object} request - Extraction request (cloudinaryUrl, documentId, filename, fileType, enableOCR, ocrLanguages, outputFormat,
+ *   extractTables, tableFormat, cleaningProfile, chunking, includePages, noCache, password, pages, ocrPages, layout, callbackUrl)
+ * @returns {Promise} Created job
+ */
+async function createJob({ password, ...request }) {
+  const now = Date.now();
+  const job = await getJobStore().create({
+    id: crypto.randomUUID(),
+    status: 'queued',
+    request,
+    progress: { pagesDone: 0, totalPages: null },
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    completedAt: null
+  });
+
+  if (password) {
+    jobPasswords.set(job.id, password);
+  }
+  pendingJobs.push(job.id);
+  setImmediate(runPendingJobs);
+
+  return job;
+}
+
+/**
+ * Pick up the jobs a previous process left unfinished in the job store. Queued jobs are queued again. Running jobs
+ * were cut off mid-extraction and are failed, so a document that brings the process down is not retried forever.
+ * @returns {Promise} { requeued, failed } job counts
+ */
+async function recoverJobs() {
+  const store = getJobStore();
+  const queued = await store.list({ status: 'queued' });
+  const running = await store.list({ status: 'running' });
+
+  for (const job of queued.sort((a, b) => a.createdAt - b.createdAt)) {
+    if (!pendingJobs.includes(job.id)) {
+      pendingJobs.push(job.id);
+    }
+  }
+  setImmediate(runPendingJobs);
+
+  for (const job of running) {
+    const completed = await store.update(job.id, {
+      status: 'failed',
+      error: {
+        code: 'JOB_INTERRUPTED',
+        message: 'The service restarted while the job was running'
+      },
+      completedAt: Date.now()
+    });
+    await notifyCallback(completed);
+  }
+
+  return { requeued: queued.length, failed: running.length };
+}
+
+/**
+ * Get a job by id
+ * @param {string} id - Job id
+ * @returns {Promise} Job or null if not found
+ */
+async function getJob(id) {
+  return await getJobStore().get(id);
+}
+
+/**
+ * Start queued jobs while there is capacity
+ */
+function runPendingJobs() {
+  while (runningJobs < JOB_CONCURRENCY && pendingJobs.length > 0) {
+    const id = pendingJobs.shift();
+    runningJobs++;
+
+    runJob(id)
+      .catch(error => console.error(`Job ${id} could not be updated:`, error))
+      .finally(() => {
+        runningJobs--;
+        runPendingJobs();
+      });
+  }
+}
+
+/**
+ * Run a single extraction job, recording progress and the outcome in the store
+ * @param {string} id - Job id
+ */
+async function runJob(id) {
+  const password = jobPasswords.get(id);
+  jobPasswords.delete(id);
+
+  const store = getJobStore();
+  const job = await store.get(id);
+  if (!job) {
+    return;
+  }
+
+  const { cloudinaryUrl, documentId, includePages } = job.request;
+  console.log(`Running job ${id} for document ID: ${documentId}`);
+
+  await store.update(id, { status: 'running', startedAt: Date.now() });
+
+  // Progress events arrive synchronously, chain the store writes so they land in order
+  let progressUpdates = Promise.resolve();
+  // Page numbers skip pages outside the requested ranges, so pages are counted. They arrive in order and a lower
+  // page number starts a new pass, when text extraction falls back to OCR.
+  let pagesDone = 0;
+  let lastPageNumber = 0;
+  const onProgress = (event) => {
+    if (event.type !== 'page') {
+      return;
+    }
+    pagesDone = event.pageNumber > lastPageNumber ? pagesDone + 1 : 1;
+    lastPageNumber = event.pageNumber;
+    const progress = { pagesDone, totalPages: event.totalPages };
+    progressUpdates = progressUpdates
+      .then(() => store.update(id, { progress }))
+      .catch(e => console.log(`Failed to record progress for job ${id}:`, e.message));
+  };
+
+  try {
+    const { text, metadata, pages, content, tables, chunks, layout } = await processDocument(cloudinaryUrl, {
+      ...buildProcessOptions({ ...job.request, password }),
+      onProgress
+    });
+    await progressUpdates;
+
+    const completed = await store.update(id, {
+      status: 'succeeded',
+      progress: { pagesDone: metadata.totalPages, totalPages: metadata.totalPages },
+      result: {
+        documentId,
+        extractedText: text,
+        metadata,
+        ...(content !== undefined && { content }),
+        ...(tables && { tables }),
+        ...(chunks && { chunks }),
+        ...(layout !== undefined && { layout }),
+        ...(includePages && { pages })
+      },
+      completedAt: Date.now()
+    });
+    console.log(`Job ${id} succeeded`);
+
+    await notifyCallback(completed);
+  } catch (error) {
+    await progressUpdates;
+    console.error(`Job ${id} failed:`, error);
+
+    const completed = await store.update(id, {
+      status: 'failed',
+      error: {
+        code: error.code || 'EXTRACTION_FAILED',
+        message: error.message || 'Failed to extract text from document'
+      },
+      completedAt: Date.now()
+    });
+
+    await notifyCallback(completed);
+  }
+}
+
+/**
+ * Send the outcome of a finished job to its callback URL, if it has one
+ * @param {Object} job - Finished job
+ */
+async function notifyCallback(job) {
+  const { callbackUrl, documentId } = job.request;
+  if (!callbackUrl) {
+    return;
+  }
+
+  try {
+    const succeeded = job.status === 'succeeded';
+    const delivery = await sendWebhook(
+      callbackUrl,
+      succeeded ? 'extraction.succeeded' : 'extraction.failed',
+      {
+        jobId: job.id,
+        documentId,
+        success: succeeded,
+        ...(succeeded ? { data: job.result } : { error: job.error })
+      },
+      { jobId: job.id, documentId }
+    );
+
+    await getJobStore().update(job.id, { callbackDeliveryId: delivery.id });
+  } catch (error) {
+    console.error(`Failed to queue callback for job ${job.id}:`, error);
+  }
+}
+
+module.exports = {
+  createJob,
+  recoverJobs,
+  getJob,
+  getJobStore,
+  setJobStore
+};
\ No newline at end of file
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a job has finished and is older than the retention window
+ * @param {Object} job - Job record
+ * @param {number} retentionMs - How long finished jobs are kept
+ * @returns {boolean} True if the job can be removed
+ */
+function isExpired(job, retentionMs) {
+  return Boolean(job.completedAt) && Date.now() - job.completedAt > retentionMs;
+}
+
+/**
+ * Check whether a record has all of the given top-level field values
+ * @param {Object} record - Stored record
+ * @param {Object} filter - Field values to match, undefined values are ignored
+ * @returns {boolean} True if every defined filter value matches
+ */
+function matchesFilter(record, filter) {
+  return Object.entries(filter).every(([key, value]) => value === undefined || record[key] === value);
+}
+
+/**
+ * Create a job store that keeps jobs in process memory
+ * @param {Object} options - Store options
+ * @param {number} options.retentionMs - How long finished jobs are kept
+ * @returns {Object} Job store with create, get, list and update methods
+ */
+function createMemoryJobStore(options = {}) {
+  const retentionMs = options.retentionMs || DEFAULT_RETENTION_MS;
+  const jobs = new Map();
+
+  return {
+    type: 'memory',
+
+    async create(job) {
+      for (const [id, existing] of jobs) {
+        if (isExpired(existing, retentionMs)) {
+          jobs.delete(id);
+        }
+      }
+
+      jobs.set(job.id, { ...job });
+      return { ...job };
+    },
+
+    async get(id) {
+      const job = jobs.get(id);
+      return job ? { ...job } : null;
+    },
+
+    async list(filter = {}) {
+      return [...jobs.values()]
+        .filter(job => matchesFilter(job, filter))
+        .map(job => ({ ...job }));
+    },
+
+    async update(id, changes) {
+      const job = jobs.get(id);
+      if (!job) {
+        return null;
+      }
+
+      const updated = { ...job, ...changes, updatedAt: Date.now() };
+      jobs.set(id, updated);
+      return { ...updated };
+    }
+  };
+}
+
+/**
+ * Create a job store that keeps one JSON file per job on local disk
+ * @param {Object} options - Store options
+ * @param {string} options.directory - Directory for job files
+ * @param {number} options.retentionMs - How long finished jobs are kept
+ * @returns {Object} Job store with create, get, list and update methods
+ */
+function createFileJobStore(options = {}) {
+  const retentionMs = options.retentionMs || DEFAULT_RETENTION_MS;
+  const directory = options.directory || path.join(os.tmpdir(), 'pdf-extractor-jobs');
+
+  fs.mkdirSync(directory, { recursive: true });
+
+  // Job ids are generated by us, but never let one escape the directory
+  const jobPath = (id) => path.join(directory, `${path.basename(String(id))}.json`);
+
+  const readJob = async (id) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(jobPath(id), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return null;
+      }
+      throw e;
+    }
+  };
+
+  // Write to a temporary file first so readers never see a partial job
+  const writeJob = async (job) => {
+    const tempPath = `${jobPath(job.id)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(job));
+    await fs.promises.rename(tempPath, jobPath(job.id));
+  };
+
+  const prune = async () => {
+    const files = await fs.promises.readdir(directory);
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const job = await readJob(path.basename(file, '.json')).catch(() => null);
+      if (job && isExpired(job, retentionMs)) {
+        await fs.promises.rm(path.join(directory, file), { force: true });
+      }
+    }
+  };
+
+  return {
+    type: 'file',
+
+    async create(job) {
+      await prune().catch(e => console.log('Failed to prune expired jobs:', e.message));
+      await writeJob(job);
+      return { ...job };
+    },
+
+    async get(id) {
+      return await readJob(id);
+    },
+
+    async list(filter = {}) {
+      const files = await fs.promises.readdir(directory);
+      const jobs = [];
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        const job = await readJob(path.basename(file, '.json')).catch(() => null);
+        if (job && matchesFilter(job, filter)) {
+          jobs.push(job);
+        }
+      }
+      return jobs;
+    },
+
+    async update(id, changes) {
+      const job = await readJob(id);
+      if (!job) {
+        return null;
+      }
+
+      const updated = { ...job, ...changes, updatedAt: Date.now() };
+      await writeJob(updated);
+      return updated;
+    }
+  };
+}
+
+/**
+ * Create a job store from configuration
+ * @param {string} type - Store backend: 'memory' or 'file' (defaults to JOB_STORE or 'memory')
+ * @param {Object} options - Backend specific options
+ * @returns {Object} Job store
+ */
+function createJobStore(type = process.env.JOB_STORE || 'memory', options = {}) {
+  const retentionMs = options.retentionMs || parseInt(process.env.JOB_RETENTION_MS, 10) || DEFAULT_RETENTION_MS;
+
+  switch (type) {
+    case 'memory':
+      return createMemoryJobStore({ ...options, retentionMs });
+
+    case 'file':
+      return createFileJobStore({
+        ...options,
+        directory: options.directory || process.env.JOB_STORE_DIR,
+        retentionMs
+      });
+
+    default:
+      throw new Error(`Unknown job store type: ${type}. Supported types: memory, file`);
+  }
+}
+
+module.exports = {
+  createJobStore,
+  createMemoryJobStore,
+  createFileJobStore
+};
\ No newline at end of file
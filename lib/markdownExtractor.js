@@ -0,0 +1,257 @@
+const { decodeEntities } = require('./htmlExtractor');
+const { normalizeDate } = require('./documentMetadata');
+const { decodeText } = require('./codePages');
+
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const LIST_ITEM = /^([ \t]*)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*))?$/;
+const TABLE_DELIMITER = /^[ \t]*\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const LINK_DEFINITION = /^ {0,3}\[[^\]]+\]:\s*\S+/;
+
+/**
+ * Remove inline markup: emphasis, code spans, links, images, HTML tags and escapes
+ * @param {string} text - Markdown inline text
+ * @returns {string} Plain text
+ */
+function stripInline(text) {
+  // Code spans are kept as written; the rest is split around them
+  return text.split(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/).map((part, index) => {
+    if (index % 3 === 1) {
+      return '';
+    }
+    if (index % 3 === 2) {
+      return part.trim() || part;
+    }
+    // Escaped characters are set aside as private use characters so they are not read as markup
+    return decodeEntities(part
+      .replace(/\\([!-/:-@[-`{-~])/g, (match, character) => String.fromCharCode(0xE000 + character.charCodeAt(0)))
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/!?\[([^\]]*)\](?:\([^)]*\)|\[[^\]]*\])/g, '$1')
+      .replace(/<((?:https?|mailto):[^>\s]+)>/g, '$1')
+      .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+      .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+      .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '$1')
+      .replace(/(^|\W)_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1$2')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1')
+      .replace(/(?: {2,}|\\)\n/g, '\n'))
+      .replace(/[\uE021-\uE07E]/g, character => String.fromCharCode(character.charCodeAt(0) - 0xE000));
+  }).join('').replace(/[ \t]*\n[ \t]*/g, '\n');
+}
+
+/**
+ * Split a table row into cells at unescaped pipes
+ * @param {string} line - Table row
+ * @returns {Array} Cell text
+ */
+function tableCells(line) {
+  const cells = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1').split(/(?<!\\)\|/);
+  return cells.map(cell => stripInline(cell.trim().replace(/\\\|/g, '|')));
+}
+
+/**
+ * Read the YAML front matter at the start of a document; only simple "key: value" lines are read
+ * @param {Array} lines - Document lines
+ * @returns {Object} { fields, length }: lower-cased keys to values, and the number of lines it spans
+ */
+function readFrontMatter(lines) {
+  const fields = {};
+  if (lines[0] !== '---') {
+    return { fields, length: 0 };
+  }
+  const end = lines.findIndex((line, index) => index > 0 && (line === '---' || line === '...'));
+  if (end === -1) {
+    return { fields, length: 0 };
+  }
+  for (const line of lines.slice(1, end)) {
+    const match = /^([\w-]+):[ \t]*(.*?)[ \t]*$/.exec(line);
+    if (match && match[2]) {
+      fields[match[1].toLowerCase()] = match[2].replace(/^(["'])(.*)\1$/, '$2');
+    }
+  }
+  return { fields, length: end + 1 };
+}
+
+/**
+ * Convert Markdown lines into blocks
+ * @param {Array} lines - Lines of the document or of a block quote
+ * @param {Array} blocks - Blocks to add to
+ * @returns {Array} Blocks (heading, paragraph, listItem, table)
+ */
+function readBlocks(lines, blocks = []) {
+  let paragraph = [];
+  // Indentation of the open list levels; the last entry is the innermost
+  let listIndents = [];
+  let listItem = null;
+
+  const flush = () => {
+    const text = stripInline(paragraph.join('\n')).replace(/\n(?!\n)/g, ' ').trim();
+    if (text) {
+      blocks.push({ type: 'paragraph', text });
+    }
+    paragraph = [];
+  };
+  const endList = () => {
+    listIndents = [];
+    listItem = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      flush();
+      // A blank line ends a list unless the next line continues it
+      if (listItem && !/^[ \t]+\S|^[ \t]*([-*+]|\d{1,9}[.)])[ \t]/.test(lines[i + 1] || '')) {
+        endList();
+      }
+      continue;
+    }
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      flush();
+      endList();
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) {
+        code.push(lines[i]);
+      }
+      if (code.join('').trim()) {
+        blocks.push({ type: 'paragraph', text: code.join('\n').replace(/\s+$/, '') });
+      }
+      continue;
+    }
+
+    // Setext headings underline the paragraph above them
+    const underline = SETEXT_UNDERLINE.exec(line);
+    if (underline && paragraph.length && !listItem) {
+      const text = stripInline(paragraph.join('\n')).replace(/\n/g, ' ').trim();
+      paragraph = [];
+      blocks.push({ type: 'heading', level: underline[1][0] === '=' ? 1 : 2, text });
+      continue;
+    }
+
+    if (THEMATIC_BREAK.test(line)) {
+      flush();
+      endList();
+      continue;
+    }
+
+    const heading = ATX_HEADING.exec(line);
+    if (heading) {
+      flush();
+      endList();
+      const text = stripInline(heading[2] || '').trim();
+      if (text) {
+        blocks.push({ type: 'heading', level: heading[1].length, text });
+      }
+      continue;
+    }
+
+    if (/^ {0,3}>/.test(line)) {
+      flush();
+      endList();
+      const quote = [];
+      for (; i < lines.length && /^ {0,3}>/.test(lines[i]); i++) {
+        quote.push(lines[i].replace(/^ {0,3}> ?/, ''));
+      }
+      i--;
+      readBlocks(quote, blocks);
+      continue;
+    }
+
+    if (line.includes('|') && TABLE_DELIMITER.test(lines[i + 1] || '') && lines[i + 1].includes('-')) {
+      flush();
+      endList();
+      const rows = [tableCells(line)];
+      for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) {
+        rows.push(tableCells(lines[i]));
+      }
+      i--;
+      const columnCount = rows[0].length;
+      blocks.push({
+        type: 'table',
+        rows: rows.map(row => [...row.slice(0, columnCount), ...Array(Math.max(0, columnCount - row.length)).fill('')])
+      });
+      continue;
+    }
+
+    const item = LIST_ITEM.exec(line);
+    if (item && (item[3] || listItem)) {
+      flush();
+      const indent = item[1].replace(/\t/g, '    ').length;
+      while (listIndents.length && indent < listIndents[listIndents.length - 1]) {
+        listIndents.pop();
+      }
+      if (!listIndents.length || indent > listIndents[listIndents.length - 1]) {
+        listIndents.push(indent);
+      }
+      listItem = {
+        type: 'listItem',
+        ordered: /\d/.test(item[2]),
+        depth: listIndents.length - 1,
+        text: stripInline(item[3] || '').trim()
+      };
+      blocks.push(listItem);
+      continue;
+    }
+
+    if (LINK_DEFINITION.test(line) && !paragraph.length) {
+      continue;
+    }
+
+    // Lazy continuation of a list item
+    if (listItem && !paragraph.length) {
+      listItem.text = `${listItem.text} ${stripInline(line).trim()}`.trim();
+      continue;
+    }
+
+    // Indented code outside paragraphs
+    if (/^( {4}|\t)/.test(line) && !paragraph.length) {
+      const code = [];
+      for (; i < lines.length && (/^( {4}|\t)/.test(lines[i]) || !lines[i].trim()); i++) {
+        code.push(lines[i].replace(/^( {4}|\t)/, ''));
+      }
+      i--;
+      blocks.push({ type: 'paragraph', text: code.join('\n').replace(/\s+$/, '') });
+      continue;
+    }
+
+    paragraph.push(line);
+  }
+  flush();
+  return blocks;
+}
+
+/**
+ * Extract the text structure of a Markdown document and the properties of its front matter
+ * @param {Buffer} buffer - Markdown file buffer
+ * @param {Object} options - Extraction options
+ * @param {string} options.charset - Charset from the Content-Type header, UTF-8 when missing
+ * @returns {Object} { blocks, metadata }
+ */
+function extractMarkdown(buffer, options = {}) {
+  const lines = decodeText(buffer, options.charset).split(/\r\n?|\n/);
+  const { fields, length } = readFrontMatter(lines);
+  const blocks = readBlocks(lines.slice(length));
+  const heading = blocks.find(block => block.type === 'heading' && block.level === 1);
+
+  return {
+    blocks,
+    metadata: {
+      title: fields.title || (heading ? heading.text : null),
+      author: fields.author || null,
+      description: fields.description || fields.summary || null,
+      keywords: (fields.keywords || fields.tags || '').replace(/^\[|\]$/g, '').trim() || null,
+      language: fields.lang || fields.language || null,
+      createdAt: normalizeDate(fields.date || null),
+      modifiedAt: normalizeDate(fields.updated || fields.lastmod || null)
+    }
+  };
+}
+
+module.exports = {
+  extractMarkdown
+};
\ No newline at end of file
@@ -0,0 +1,154 @@
+const fs = require('fs');
+
+const DEFAULT_OCR_LANGUAGE = 'eng';
+
+// Language pack to use for each script reported by Tesseract's script detection
+const SCRIPT_LANGUAGES = {
+  Arabic: 'ara',
+  Armenian: 'hye',
+  Bengali: 'ben',
+  Cyrillic: 'rus',
+  Devanagari: 'hin',
+  Ethiopic: 'amh',
+  Georgian: 'kat',
+  Greek: 'ell',
+  Gujarati: 'guj',
+  Gurmukhi: 'pan',
+  Han: 'chi_sim',
+  Hangul: 'kor',
+  Hebrew: 'heb',
+  Japanese: 'jpn',
+  Kannada: 'kan',
+  Khmer: 'khm',
+  Malayalam: 'mal',
+  Myanmar: 'mya',
+  Tamil: 'tam',
+  Telugu: 'tel',
+  Thai: 'tha'
+};
+
+/**
+ * Get the server-wide default OCR language(s)
+ * @returns {string} Tesseract language string, e.g. 'eng' or 'eng+deu'
+ */
+function getDefaultOcrLanguages() {
+  return process.env.OCR_LANGUAGE || DEFAULT_OCR_LANGUAGE;
+}
+
+/**
+ * Validate and normalize the requested OCR languages
+ * @param {string} requested - Language string like 'eng+deu', 'auto' or empty for the default
+ * @returns {string} Normalized language string or 'auto'
+ * @throws {Object} INVALID_OCR_LANGUAGE for malformed codes and language packs OCR cannot load
+ */
+function resolveOcrLanguages(requested) {
+  if (requested === undefined || requested === null || requested === '') {
+    return getDefaultOcrLanguages();
+  }
+
+  const languages = String(requested).trim().toLowerCase();
+
+  if (languages === 'auto') {
+    return 'auto';
+  }
+
+  // Tesseract language codes: eng, chi_sim, deu_latf... joined with '+'
+  if (!/^[a-z]{3}(_[a-z]+)*(\+[a-z]{3}(_[a-z]+)*)*$/.test(languages)) {
+    throw {
+      code: 'INVALID_OCR_LANGUAGE',
+      message: `Invalid OCR languages: ${requested}. Use Tesseract codes joined with '+', e.g. 'eng+deu', or 'auto'`,
+      status: 400
+    };
+  }
+
+  const available = getAvailableOcrLanguages();
+  const missing = available ? languages.split('+').filter(language => !available.has(language)) : [];
+  if (missing.length) {
+    throw {
+      code: 'INVALID_OCR_LANGUAGE',
+      message: `OCR language pack not available: ${missing.join(', ')}`,
+      status: 400
+    };
+  }
+
+  return languages;
+}
+
+/**
+ * List the names of the traineddata files in a directory
+ * @param {string} directory - Directory to list
+ * @param {string} suffix - File name suffix, '.traineddata' or '.traineddata.gz'
+ * @returns {Array} Language codes, empty when the directory cannot be read
+ */
+function listTraineddata(directory, suffix) {
+  try {
+    return fs.readdirSync(directory)
+      .filter(name => name.endsWith(suffix))
+      .map(name => name.slice(0, -suffix.length));
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * List the language packs OCR workers can load: the files in a local OCR_LANG_PATH and the Tesseract cache,
+ * otherwise every pack published for Tesseract
+ * @returns {Set|null} Language codes, or null when OCR is not installed
+ */
+function getAvailableOcrLanguages() {
+  const langPath = process.env.OCR_LANG_PATH;
+
+  // Tesseract downloads packs from URLs and reads them from local directories
+  if (langPath && !/^[a-z][a-z0-9+.-]*:\/\//i.test(langPath)) {
+    const suffix = process.env.OCR_LANG_GZIP === 'true' ? '.traineddata.gz' : '.traineddata';
+    return new Set([
+      ...listTraineddata(langPath, suffix),
+      ...listTraineddata(process.env.OCR_CACHE_PATH || '.', '.traineddata')
+    ]);
+  }
+
+  try {
+    return new Set(Object.values(require('tesseract.js').languages));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Pick the language pack for a script detected by Tesseract
+ * @param {string|null} script - Script name, e.g. 'Latin', 'Arabic', 'Han'
+ * @returns {string} Tesseract language string
+ */
+function languagesForScript(script) {
+  return SCRIPT_LANGUAGES[script] || getDefaultOcrLanguages();
+}
+
+/**
+ * Tesseract worker options for loading traineddata, from local files when configured
+ * @returns {Object} Options for Tesseract.createWorker
+ */
+function getTesseractWorkerOptions() {
+  const options = {
+    // Failures then only reject the pending job, without a handler tesseract.js throws them where nothing catches
+    errorHandler: () => {}
+  };
+
+  // Directory (or URL) with <lang>.traineddata files, so workers start without network access
+  if (process.env.OCR_LANG_PATH) {
+    options.langPath = process.env.OCR_LANG_PATH.replace(/\/+$/, '');
+    options.gzip = process.env.OCR_LANG_GZIP === 'true';
+  }
+
+  if (process.env.OCR_CACHE_PATH) {
+    options.cachePath = process.env.OCR_CACHE_PATH;
+  }
+
+  return options;
+}
+
+module.exports = {
+  getDefaultOcrLanguages,
+  resolveOcrLanguages,
+  languagesForScript,
+  getTesseractWorkerOptions
+};
\ No newline at end of file
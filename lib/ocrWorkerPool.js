@@ -0,0 +1,154 @@
+/**
+ * Create a pool of Tesseract workers. Workers start lazily, stay warm between jobs
+ * and are recycled after a number of jobs, after an error, or to switch languages.
+ * @param {Object} options - Pool options
+ * @param {Function} options.createWorker - async (languages) => initialized Tesseract worker
+ * @param {number} options.size - Maximum number of workers
+ * @param {number} options.maxJobsPerWorker - Jobs a worker runs before it is recycled
+ * @param {number} options.maxQueue - Maximum number of jobs waiting for a worker
+ * @returns {Object} Pool with run, getStats and shutdown methods
+ */
+function createWorkerPool({ createWorker, size = 2, maxJobsPerWorker = 100, maxQueue = 100 }) {
+  const slots = [];
+  const queue = [];
+  let nextSlotId = 1;
+  let jobsProcessed = 0;
+  let workersRecycled = 0;
+  let closed = false;
+
+  const startSlot = (languages) => {
+    console.log(`Starting OCR worker ${nextSlotId} for ${languages}`);
+    const slot = {
+      id: nextSlotId++,
+      languages,
+      busy: false,
+      jobs: 0,
+      failed: false,
+      ready: createWorker(languages)
+    };
+    // Surface start-up failures through the job that waits on it
+    slot.ready.catch(() => {});
+    slots.push(slot);
+    return slot;
+  };
+
+  const retireSlot = (slot) => {
+    const index = slots.indexOf(slot);
+    if (index !== -1) {
+      slots.splice(index, 1);
+    }
+
+    // Workers that failed to start have nothing to terminate, their error went to the job
+    return slot.ready
+      .then(worker => worker.terminate(), () => {})
+      .catch(e => console.log(`Failed to terminate OCR worker ${slot.id}:`, e.message));
+  };
+
+  const execute = async (slot, job) => {
+    slot.busy = true;
+
+    try {
+      const worker = await slot.ready;
+      const result = await job.task(worker);
+      slot.jobs++;
+      jobsProcessed++;
+      job.resolve(result);
+    } catch (error) {
+      slot.failed = true;
+      job.reject(error);
+    } finally {
+      slot.busy = false;
+
+      if (slot.failed || slot.jobs >= maxJobsPerWorker) {
+        console.log(`Recycling OCR worker ${slot.id} after ${slot.jobs} jobs${slot.failed ? ' (error)' : ''}`);
+        workersRecycled++;
+        retireSlot(slot);
+      }
+
+      dispatch();
+    }
+  };
+
+  // Hand queued jobs to workers in FIFO order while there is capacity
+  const dispatch = () => {
+    while (!closed && queue.length > 0) {
+      const job = queue[0];
+
+      let slot = slots.find(candidate => !candidate.busy && candidate.languages === job.languages);
+
+      if (!slot && slots.length < size) {
+        slot = startSlot(job.languages);
+      }
+
+      if (!slot) {
+        // Pool is full: swap an idle worker loaded with other languages
+        const idle = slots.find(candidate => !candidate.busy);
+        if (!idle) {
+          return;
+        }
+        workersRecycled++;
+        retireSlot(idle);
+        slot = startSlot(job.languages);
+      }
+
+      queue.shift();
+      execute(slot, job);
+    }
+  };
+
+  return {
+    /**
+     * Run a task with a worker initialized for the given languages
+     * @param {string} languages - Tesseract language string
+     * @param {Function} task - async (worker) => result
+     * @returns {Promise} Task result
+     */
+    run(languages, task) {
+      if (closed) {
+        return Promise.reject(new Error('OCR worker pool is shut down'));
+      }
+
+      if (queue.length >= maxQueue) {
+        return Promise.reject({
+          code: 'OCR_QUEUE_FULL',
+          message: 'Too many OCR jobs are waiting, try again later',
+          status: 503
+        });
+      }
+
+      return new Promise((resolve, reject) => {
+        queue.push({ languages, task, resolve, reject });
+        dispatch();
+      });
+    },
+
+    getStats() {
+      return {
+        size,
+        workers: slots.length,
+        busy: slots.filter(slot => slot.busy).length,
+        idle: slots.filter(slot => !slot.busy).length,
+        queued: queue.length,
+        maxQueue,
+        maxJobsPerWorker,
+        jobsProcessed,
+        workersRecycled,
+        languages: slots.map(slot => slot.languages)
+      };
+    },
+
+    async shutdown() {
+      closed = true;
+
+      for (const job of queue.splice(0)) {
+        job.reject(new Error('OCR worker pool is shut down'));
+      }
+
+      await Promise.all([...slots].map(retireSlot));
+    }
+  };
+}
+
+module.exports = {
+  createWorkerPool
+};
\ No newline at end of file
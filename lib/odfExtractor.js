@@ -0,0 +1,404 @@
+const JSZip = require('jszip');
+const { readXmlPart, childElements } = require('./officePackage');
+
+// Inline elements whose text is not part of the paragraph: footnotes, comments, drawings and ruby annotations
+const SKIPPED_INLINE = ['text:note', 'office:annotation', 'draw:frame', 'draw:custom-shape', 'draw:a', 'text:ruby-text'];
+// Index elements (table of contents and the like); only their generated body holds text
+const INDEXES = ['text:table-of-content', 'text:alphabetical-index', 'text:illustration-index', 'text:table-index',
+  'text:object-index', 'text:user-index', 'text:bibliography'];
+// Elements that group table rows
+const ROW_GROUPS = ['table:table-header-rows', 'table:table-rows', 'table:table-row-group'];
+
+// Presentation frames repeated on every slide from the master, not slide content
+const SKIPPED_FRAME_CLASSES = ['page-number', 'date-time', 'footer', 'header', 'page'];
+
+// Repeated rows and cells are expanded up to this count; spreadsheets repeat formatting over whole columns
+const MAX_REPEAT = 1000;
+
+// Points per unit of ODF lengths
+const POINTS_PER_UNIT = { pt: 1, pc: 12, in: 72, cm: 72 / 2.54, mm: 72 / 25.4, px: 0.75 };
+
+/**
+ * Get the element children of a node
+ * @param {Object} node - DOM node
+ * @returns {Array} Child elements
+ */
+function elementChildren(node) {
+  return Array.from(node.childNodes).filter(child => child.nodeType === 1);
+}
+
+/**
+ * Get the text of a paragraph or heading
+ * @param {Object} node - text:p, text:h or inline element
+ * @returns {string} Text, line breaks as newlines
+ */
+function inlineText(node) {
+  let text = '';
+  for (const child of Array.from(node.childNodes)) {
+    if (child.nodeType === 3) {
+      // Whitespace in the XML collapses; spaces that matter are written as text:s
+      text += child.nodeValue.replace(/[ \t\r\n]+/g, ' ');
+    } else if (child.nodeName === 'text:s') {
+      text += ' '.repeat(parseInt(child.getAttribute('text:c'), 10) || 1);
+    } else if (child.nodeName === 'text:tab') {
+      text += '\t';
+    } else if (child.nodeName === 'text:line-break') {
+      text += '\n';
+    } else if (child.nodeType === 1 && !SKIPPED_INLINE.includes(child.nodeName)) {
+      text += inlineText(child);
+    }
+  }
+  return text;
+}
+
+/**
+ * Find which list levels are numbered in the list styles of the given documents
+ * @param {Array} documents - content.xml and styles.xml documents (missing ones are null)
+ * @returns {Map} List style name to an array indexed by depth, true for numbered levels
+ */
+function readListStyles(documents) {
+  const styles = new Map();
+  for (const document of documents.filter(Boolean)) {
+    for (const listStyle of Array.from(document.getElementsByTagName('text:list-style'))) {
+      const levels = [];
+      for (const level of elementChildren(listStyle)) {
+        levels[(parseInt(level.getAttribute('text:level'), 10) || 1) - 1] = level.nodeName === 'text:list-level-style-number';
+      }
+      styles.set(listStyle.getAttribute('style:name'), levels);
+    }
+  }
+  return styles;
+}
+
+/**
+ * Find the automatic styles with a property set to a value, e.g. hidden sheets or slides
+ * @param {Object} content - content.xml document
+ * @param {string} propertiesName - Properties element, e.g. style:table-properties
+ * @param {string} attribute - Property attribute, e.g. table:display
+ * @param {string} value - Value to match
+ * @returns {Set} Style names
+ */
+function stylesWithProperty(content, propertiesName, attribute, value) {
+  const names = new Set();
+  for (const properties of Array.from(content.getElementsByTagName(propertiesName))) {
+    if (properties.getAttribute(attribute) === value && properties.parentNode.nodeName === 'style:style') {
+      names.add(properties.parentNode.getAttribute('style:name'));
+    }
+  }
+  return names;
+}
+
+/**
+ * Convert an ODF length to points
+ * @param {string} value - Length with unit, e.g. 2.5cm
+ * @returns {number|null} Points rounded to 0.1, or null if the length is missing
+ */
+function toPoints(value) {
+  const match = /^(-?[\d.]+)(pt|pc|in|cm|mm|px)$/.exec(value || '');
+  return match ? Math.round(Number(match[1]) * POINTS_PER_UNIT[match[2]] * 10) / 10 : null;
+}
+
+/**
+ * Get the displayed value of a spreadsheet cell, as for XLSX cells
+ * @param {Object} cell - table:table-cell element
+ * @returns {string|null} Typed value, or null for text cells
+ */
+function typedCellValue(cell) {
+  switch (cell.getAttribute('office:value-type')) {
+    case 'float':
+    case 'percentage':
+    case 'currency':
+      // Same precision as Excel, hiding binary rounding
+      return String(Number(Number(cell.getAttribute('office:value')).toPrecision(15)));
+    case 'date':
+      return cell.getAttribute('office:date-value').replace(/T00:00:00$/, '');
+    case 'time': {
+      const [, hours = 0, minutes = 0, seconds = 0] = /PT(\d+)H(\d+)M(\d+)/.exec(cell.getAttribute('office:time-value')) || [];
+      return [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+    }
+    case 'boolean':
+      return cell.getAttribute('office:boolean-value') === 'true' ? 'TRUE' : 'FALSE';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read the rows of a table. Repeated rows and cells are expanded. Merged-away (covered) cells keep their columns, empty.
+ * @param {Object} table - table:table element
+ * @param {Object} context - { listStyles, spreadsheet }; spreadsheets read typed cell values instead of their text and
+ *   drop trailing empty rows and columns
+ * @returns {Array} Rows of cell text, padded to the same width
+ */
+function tableRows(table, context) {
+  const rows = [];
+  let emptyRows = 0;
+
+  const readRow = (row) => {
+    const cells = [];
+    let emptyCells = 0;
+    for (const cell of elementChildren(row)) {
+      if (cell.nodeName !== 'table:table-cell' && cell.nodeName !== 'table:covered-table-cell') {
+        continue;
+      }
+      const repeat = Math.min(parseInt(cell.getAttribute('table:number-columns-repeated'), 10) || 1, MAX_REPEAT);
+      let value = '';
+      if (cell.nodeName === 'table:table-cell') {
+        value = (context.spreadsheet ? typedCellValue(cell) : null) ?? blocksText(readBlocks(cell, context), '\n');
+      }
+
+      // Empty cells are only kept when a value follows them
+      if (!value) {
+        emptyCells += repeat;
+        continue;
+      }
+      cells.push(...Array(emptyCells).fill(''), ...Array(repeat).fill(value));
+      emptyCells = 0;
+    }
+    return context.spreadsheet ? cells : [...cells, ...Array(emptyCells).fill('')];
+  };
+
+  const readRows = (node) => {
+    for (const child of elementChildren(node)) {
+      if (ROW_GROUPS.includes(child.nodeName)) {
+        readRows(child);
+      } else if (child.nodeName === 'table:table-row') {
+        const repeat = Math.min(parseInt(child.getAttribute('table:number-rows-repeated'), 10) || 1, MAX_REPEAT);
+        const cells = readRow(child);
+        if (context.spreadsheet && !cells.some(Boolean)) {
+          emptyRows += repeat;
+          continue;
+        }
+        rows.push(...Array(emptyRows).fill([]), ...Array(repeat).fill(cells));
+        emptyRows = 0;
+      }
+    }
+  };
+
+  readRows(table);
+  const columnCount = Math.max(0, ...rows.map(row => row.length));
+  return rows.map(row => [...row, ...Array(columnCount - row.length).fill('')]);
+}
+
+/**
+ * Join the text of blocks
+ * @param {Array} blocks - Blocks
+ * @param {string} separator - Separator between blocks
+ * @returns {string} Text, table rows as tab-separated lines
+ */
+function blocksText(blocks, separator) {
+  return blocks
+    .map(block => block.type === 'table' ? block.rows.map(row => row.join('\t')).join('\n') : block.text)
+    .join(separator);
+}
+
+/**
+ * Convert the text content of an element (document body, section, table cell, text box) into blocks
+ * @param {Object} node - Container element
+ * @param {Object} context - { listStyles, spreadsheet }
+ * @param {Array} blocks - Blocks to add to
+ * @param {Object} list - Enclosing list as { styleName, depth }, or null
+ * @returns {Array} Blocks (heading, paragraph, listItem, table)
+ */
+function readBlocks(node, context, blocks = [], list = null) {
+  for (const child of elementChildren(node)) {
+    switch (child.nodeName) {
+      case 'text:h': {
+        const text = inlineText(child).trim();
+        if (text) {
+          const level = Math.min(parseInt(child.getAttribute('text:outline-level'), 10) || 1, 6);
+          blocks.push({ type: 'heading', level, text });
+        }
+        break;
+      }
+
+      case 'text:p': {
+        const text = inlineText(child).trim();
+        if (text) {
+          blocks.push({ type: 'paragraph', text });
+        }
+        break;
+      }
+
+      case 'text:list': {
+        // Nested lists inherit the style of the outer list
+        const styleName = child.getAttribute('text:style-name') || list?.styleName;
+        const depth = list ? list.depth + 1 : 0;
+        const ordered = Boolean(context.listStyles.get(styleName)?.[depth]);
+
+        for (const item of elementChildren(child)) {
+          if (item.nodeName !== 'text:list-item' && item.nodeName !== 'text:list-header') {
+            continue;
+          }
+          // The paragraphs of an item form its text; nested lists follow as their own items
+          const text = childElements(item, 'text:p').concat(childElements(item, 'text:h'))
+            .map(paragraph => inlineText(paragraph).trim())
+            .filter(Boolean)
+            .join('\n');
+          if (text) {
+            blocks.push(item.nodeName === 'text:list-item'
+              ? { type: 'listItem', ordered, depth, text }
+              : { type: 'paragraph', text });
+          }
+          for (const nested of childElements(item, 'text:list')) {
+            readBlocks({ childNodes: [nested] }, context, blocks, { styleName, depth });
+          }
+        }
+        break;
+      }
+
+      case 'table:table': {
+        const rows = tableRows(child, context);
+        if (rows.length) {
+          blocks.push({ type: 'table', rows });
+        }
+        break;
+      }
+
+      case 'text:section':
+      case 'text:index-body':
+      case 'draw:text-box':
+        readBlocks(child, context, blocks, list);
+        break;
+
+      default:
+        if (INDEXES.includes(child.nodeName)) {
+          readBlocks(child, context, blocks, list);
+        }
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Open an OpenDocument package and read its content and list styles
+ * @param {Buffer} buffer - ODT, ODS or ODP file buffer
+ * @returns {Promise} { content, context } with the parsed content.xml
+ */
+async function readPackage(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const content = await readXmlPart(zip, 'content.xml');
+  if (!content) {
+    throw new Error('Missing content.xml');
+  }
+  return {
+    content,
+    context: { listStyles: readListStyles([content, await readXmlPart(zip, 'styles.xml')]), spreadsheet: false }
+  };
+}
+
+/**
+ * Read the body of an ODT text document
+ * @param {Buffer} buffer - ODT file buffer
+ * @returns {Promise} Blocks (heading, paragraph, listItem, table) in document order
+ */
+async function extractOdtBlocks(buffer) {
+  const { content, context } = await readPackage(buffer);
+  const body = content.getElementsByTagName('office:text')[0];
+  return body ? readBlocks(body, context) : [];
+}
+
+/**
+ * Read the sheets of an ODS spreadsheet in document order
+ * @param {Buffer} buffer - ODS file buffer
+ * @returns {Promise} Sheets as { name, hidden, rows }, as for XLSX
+ */
+async function extractOdsSheets(buffer) {
+  const { content, context } = await readPackage(buffer);
+  const body = content.getElementsByTagName('office:spreadsheet')[0];
+  if (!body) {
+    return [];
+  }
+
+  const hiddenStyles = stylesWithProperty(content, 'style:table-properties', 'table:display', 'false');
+  return childElements(body, 'table:table').map(table => ({
+    name: table.getAttribute('table:name'),
+    hidden: hiddenStyles.has(table.getAttribute('table:style-name')),
+    rows: tableRows(table, { ...context, spreadsheet: true })
+  }));
+}
+
+/**
+ * Read the shapes of a slide or notes page in drawing order, descending into groups
+ * @param {Object} node - draw:page, presentation:notes or draw:g element
+ * @param {Object} context - { listStyles }
+ * @param {Object} content - { blocks, tables } to add to
+ */
+function readShapes(node, context, content) {
+  for (const shape of elementChildren(node)) {
+    if (shape.nodeName === 'draw:g') {
+      readShapes(shape, context, content);
+      continue;
+    }
+    if (!shape.nodeName.startsWith('draw:')) {
+      continue;
+    }
+
+    const frameClass = shape.getAttribute('presentation:class');
+    if (SKIPPED_FRAME_CLASSES.includes(frameClass)) {
+      continue;
+    }
+
+    const table = childElements(shape, 'table:table')[0];
+    if (table) {
+      const rows = tableRows(table, context);
+      content.blocks.push({ type: 'table', rows });
+      content.tables.push({
+        boundingBox: shape.getAttribute('svg:x') ? {
+          x: toPoints(shape.getAttribute('svg:x')),
+          y: toPoints(shape.getAttribute('svg:y')),
+          width: toPoints(shape.getAttribute('svg:width')),
+          height: toPoints(shape.getAttribute('svg:height'))
+        } : null,
+        rows
+      });
+      continue;
+    }
+
+    // Frames hold their text in a text box, other shapes directly
+    const blocks = readBlocks(shape.nodeName === 'draw:frame' ? { childNodes: childElements(shape, 'draw:text-box') } : shape, context);
+    content.blocks.push(...(frameClass === 'title'
+      ? blocks.map(block => ({ type: 'heading', level: 1, text: block.text ?? blocksText([block], '\n') }))
+      : blocks));
+  }
+}
+
+/**
+ * Read the slides of an ODP presentation in presentation order
+ * @param {Buffer} buffer - ODP file buffer
+ * @returns {Promise} Slides as { slideNumber, name, hidden, blocks, notes, tables }, as for PPTX
+ */
+async function extractOdpSlides(buffer) {
+  const { content, context } = await readPackage(buffer);
+  const body = content.getElementsByTagName('office:presentation')[0];
+  if (!body) {
+    return [];
+  }
+
+  const hiddenStyles = stylesWithProperty(content, 'style:drawing-page-properties', 'presentation:visibility', 'hidden');
+  return childElements(body, 'draw:page').map((page, index) => {
+    const slide = { blocks: [], tables: [] };
+    const notes = { blocks: [], tables: [] };
+    readShapes({ childNodes: elementChildren(page).filter(child => child.nodeName !== 'presentation:notes') }, context, slide);
+    for (const notesPage of childElements(page, 'presentation:notes')) {
+      readShapes(notesPage, context, notes);
+    }
+    // Titles first, whatever their drawing order
+    slide.blocks.sort((a, b) => (b.type === 'heading') - (a.type === 'heading'));
+
+    return {
+      slideNumber: index + 1,
+      name: page.getAttribute('draw:name'),
+      hidden: hiddenStyles.has(page.getAttribute('draw:style-name')),
+      blocks: slide.blocks,
+      notes: blocksText(notes.blocks, '\n'),
+      tables: slide.tables
+    };
+  });
+}
+
+module.exports = {
+  extractOdtBlocks,
+  extractOdsSheets,
+  extractOdpSlides
+};
\ No newline at end of file
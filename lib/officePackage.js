@@ -0,0 +1,67 @@
+const path = require('path');
+const { DOMParser } = require('@xmldom/xmldom');
+
+/**
+ * Read an XML part of an Office Open XML (DOCX, PPTX, XLSX) or OpenDocument (ODT, ODS, ODP) package
+ * @param {Object} zip - JSZip instance
+ * @param {string} name - Part name
+ * @returns {Promise} Parsed XML document, or null if the part is missing
+ */
+async function readXmlPart(zip, name) {
+  const file = zip.file(name);
+  if (!file) {
+    return null;
+  }
+  return new DOMParser().parseFromString(await file.async('string'), 'text/xml');
+}
+
+/**
+ * Read the relationships of a package part, resolving their targets to part names
+ * @param {Object} zip - JSZip instance
+ * @param {string} partName - Part whose relationships to read, e.g. ppt/presentation.xml
+ * @returns {Promise} Map of relationship id to { type, target }, empty if the part has none
+ */
+async function readRelationships(zip, partName) {
+  const directory = path.posix.dirname(partName);
+  const document = await readXmlPart(zip, `${directory}/_rels/${path.posix.basename(partName)}.rels`);
+  const relationships = new Map();
+  if (!document) {
+    return relationships;
+  }
+
+  for (const relationship of Array.from(document.getElementsByTagName('Relationship'))) {
+    // External targets (hyperlinks) are not parts of the package
+    if (relationship.getAttribute('TargetMode') === 'External') {
+      continue;
+    }
+
+    const target = relationship.getAttribute('Target');
+    relationships.set(relationship.getAttribute('Id'), {
+      type: relationship.getAttribute('Type'),
+      target: target.startsWith('/') ? target.slice(1) : path.posix.join(directory, target)
+    });
+  }
+  return relationships;
+}
+
+/**
+ * Get the element children of a node with the given name
+ * @param {Object} node - DOM node
+ * @param {string} name - Element name
+ * @returns {Array} Matching child elements
+ */
+function childElements(node, name) {
+  const children = [];
+  for (let i = 0; i < node.childNodes.length; i++) {
+    if (node.childNodes[i].nodeName === name) {
+      children.push(node.childNodes[i]);
+    }
+  }
+  return children;
+}
+
+module.exports = {
+  readXmlPart,
+  readRelationships,
+  childElements
+};
\ No newline at end of file
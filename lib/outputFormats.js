@@ -0,0 +1,218 @@
+const OUTPUT_FORMATS = ['text', 'markdown', 'html', 'json'];
+
+/**
+ * Validate the requested output format
+ * @param {string} outputFormat - Requested format, defaults to 'text'
+ * @returns {string} One of text, markdown, html or json
+ */
+function resolveOutputFormat(outputFormat) {
+  if (outputFormat === undefined || outputFormat === null || outputFormat === '') {
+    return 'text';
+  }
+
+  const format = String(outputFormat).toLowerCase();
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw {
+      code: 'INVALID_OUTPUT_FORMAT',
+      message: `Invalid output format: ${outputFormat}. Supported formats: ${OUTPUT_FORMATS.join(', ')}`,
+      status: 400
+    };
+  }
+
+  return format;
+}
+
+/**
+ * Escape text for HTML element content and attribute values
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape characters that Markdown would read as formatting
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return String(text)
+    .replace(/([\\`*_[\]<>|])/g, '\\$1')
+    // Line starts that would turn a paragraph into a heading, quote or list
+    .replace(/^(#{1,6}\s|>|[-+]\s)/, '\\$1')
+    .replace(/^(\d+)([.)]\s)/, '$1\\$2');
+}
+
+/**
+ * Group consecutive list items into lists, nesting them by depth
+ * @param {Array} blocks - Blocks
+ * @returns {Array} Blocks with list items replaced by { type: 'list', ordered, items: [{ text, children }] }
+ */
+function groupLists(blocks) {
+  const grouped = [];
+  let stack = [];
+
+  for (const block of blocks) {
+    if (block.type !== 'listItem') {
+      grouped.push(block);
+      stack = [];
+      continue;
+    }
+
+    const depth = Math.min(block.depth || 0, stack.length);
+    stack = stack.slice(0, depth + 1);
+
+    let list = stack[depth];
+    if (!list || list.ordered !== block.ordered) {
+      list = { type: 'list', ordered: block.ordered, items: [] };
+      if (depth === 0) {
+        grouped.push(list);
+      } else {
+        const parentItems = stack[depth - 1].items;
+        parentItems[parentItems.length - 1].children.push(list);
+      }
+      stack[depth] = list;
+    }
+
+    list.items.push({ text: block.text, children: [] });
+  }
+
+  return grouped;
+}
+
+/**
+ * Render a list as Markdown
+ * @param {Object} list - List from groupLists
+ * @param {number} depth - Nesting depth
+ * @returns {string} Markdown lines
+ */
+function renderMarkdownList(list, depth) {
+  const indent = '   '.repeat(depth);
+
+  return list.items.map((item, index) => {
+    const marker = list.ordered ? `${index + 1}.` : '-';
+    const children = item.children.map(child => `\n${renderMarkdownList(child, depth + 1)}`).join('');
+    return `${indent}${marker} ${escapeMarkdown(item.text)}${children}`;
+  }).join('\n');
+}
+
+/**
+ * Render blocks as Markdown
+ * @param {Array} blocks - Blocks
+ * @returns {string} Markdown
+ */
+function renderMarkdown(blocks) {
+  return groupLists(blocks).map((block) => {
+    switch (block.type) {
+      case 'heading':
+        return `${'#'.repeat(block.level)} ${escapeMarkdown(block.text)}`;
+
+      case 'list':
+        return renderMarkdownList(block, 0);
+
+      case 'table': {
+        // Markdown tables need a header row, the first row serves as one
+        const width = Math.max(...block.rows.map(row => row.length));
+        const formatRow = (row) => `| ${Array.from({ length: width }, (_, i) => escapeMarkdown(row[i] || '')).join(' | ')} |`;
+        const [header, ...rows] = block.rows;
+        return [formatRow(header), `|${' --- |'.repeat(width)}`, ...rows.map(formatRow)].join('\n');
+      }
+
+      case 'pageBreak':
+        return `<!-- Page ${block.pageNumber} -->`;
+
+      default:
+        return escapeMarkdown(block.text);
+    }
+  }).join('\n\n');
+}
+
+/**
+ * Render a list as HTML
+ * @param {Object} list - List from groupLists
+ * @returns {string} HTML
+ */
+function renderHtmlList(list) {
+  const tag = list.ordered ? 'ol' : 'ul';
+  const items = list.items
+    .map(item => `<li>${escapeHtml(item.text)}${item.children.map(renderHtmlList).join('')}</li>`)
+    .join('');
+  return `<${tag}>${items}</${tag}>`;
+}
+
+/**
+ * Render blocks as HTML. All text is escaped, so the output only contains the tags generated here.
+ * @param {Array} blocks - Blocks
+ * @returns {string} HTML fragment
+ */
+function renderHtml(blocks) {
+  return groupLists(blocks).map((block) => {
+    switch (block.type) {
+      case 'heading':
+        return `<h${block.level}>${escapeHtml(block.text)}</h${block.level}>`;
+
+      case 'list':
+        return renderHtmlList(block);
+
+      case 'table': {
+        const rows = block.rows
+          .map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+          .join('');
+        return `<table><tbody>${rows}</tbody></table>`;
+      }
+
+      case 'pageBreak':
+        return `<hr class="page-break" data-page="${escapeHtml(block.pageNumber)}">`;
+
+      default:
+        return `<p>${escapeHtml(block.text)}</p>`;
+    }
+  }).join('\n');
+}
+
+/**
+ * Render table rows as CSV (RFC 4180)
+ * @param {Array} rows - Rows of cell strings
+ * @returns {string} CSV text with CRLF line endings
+ */
+function tableToCsv(rows) {
+  const formatCell = (cell) => {
+    const value = String(cell ?? '');
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  };
+  return rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Format blocks in the requested output format
+ * @param {Array} blocks - Blocks
+ * @param {string} outputFormat - markdown, html or json
+ * @returns {string|Array} Markdown or HTML string, or the blocks for json
+ */
+function formatBlocks(blocks, outputFormat) {
+  switch (outputFormat) {
+    case 'markdown':
+      return renderMarkdown(blocks);
+
+    case 'html':
+      return renderHtml(blocks);
+
+    default:
+      return blocks;
+  }
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  resolveOutputFormat,
+  formatBlocks,
+  renderMarkdown,
+  renderHtml,
+  tableToCsv
+};
\ No newline at end of file
@@ -0,0 +1,57 @@
+// A page covered at least this much by images, with little text, is a scan
+const SCANNED_IMAGE_COVERAGE = 0.5;
+
+// Characters per square inch below which a text layer is too sparse to hold the page content
+// (a full page of body text has around 30)
+const MIN_TEXT_DENSITY = 1;
+
+// Share of unreadable characters from which a text layer is garbled, e.g. fonts without a Unicode mapping
+const MAX_GARBAGE_RATIO = 0.3;
+const MIN_GARBAGE_SAMPLE = 10;
+
+// Replacement character, control characters and private use code points
+const GARBAGE_CHARACTER_PATTERN = /[\uFFFD\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\uE000-\uF8FF]/g;
+
+/**
+ * Decide whether a PDF page needs OCR from its text layer and images
+ * @param {Object} page - Page measurements
+ * @param {string} page.text - Raw text layer of the page, before cleaning
+ * @param {Object} page.pageSize - { width, height } in points
+ * @param {Function} page.measureImageCoverage - Async function returning the share of the page covered by images,
+ *   0 to 1, only called for pages whose text layer is too sparse
+ * @returns {Promise} { ocrReason, textDensity, imageCoverage, garbageRatio } where ocrReason is scanned, garbled,
+ *   or null when the text layer can be used, and imageCoverage is null when it was not measured
+ */
+async function classifyPage({ text, pageSize, measureImageCoverage }) {
+  const characters = (text || '').replace(/\s+/g, '');
+  const squareInches = (pageSize.width / 72) * (pageSize.height / 72);
+  const textDensity = squareInches > 0 ? characters.length / squareInches : 0;
+  const garbageCount = (characters.match(GARBAGE_CHARACTER_PATTERN) || []).length;
+  const garbageRatio = characters.length ? garbageCount / characters.length : 0;
+
+  let ocrReason = null;
+  let imageCoverage = null;
+  if (characters.length >= MIN_GARBAGE_SAMPLE && garbageRatio >= MAX_GARBAGE_RATIO) {
+    ocrReason = 'garbled';
+  } else if (textDensity < MIN_TEXT_DENSITY) {
+    // Images only decide for sparse text layers, so the other pages skip parsing their drawing operations
+    imageCoverage = await measureImageCoverage();
+    if (imageCoverage >= SCANNED_IMAGE_COVERAGE) {
+      ocrReason = 'scanned';
+    } else if (imageCoverage > 0 && characters.length === 0) {
+      // Smaller images, such as a pasted photo of a receipt, on a page without any text
+      ocrReason = 'scanned';
+    }
+  }
+
+  return {
+    ocrReason,
+    textDensity: Math.round(textDensity * 100) / 100,
+    imageCoverage: imageCoverage === null ? null : Math.round(imageCoverage * 100) / 100,
+    garbageRatio: Math.round(garbageRatio * 100) / 100
+  };
+}
+
+module.exports = {
+  classifyPage
+};
\ No newline at end of file
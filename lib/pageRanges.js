@@ -0,0 +1,97 @@
+// Most pages extracted from one document, whatever range is requested
+const MAX_PAGES = parseInt(process.env.MAX_PAGES, 10) || 100;
+
+const PAGE_RANGES_PATTERN = /^\d+(-\d*)?(,\d+(-\d*)?)*$/;
+
+/**
+ * Validate a page range request
+ * @param {string|number} pages - Pages and ranges separated by commas, e.g. '1-5,8,12-' (an open range runs to the last page)
+ * @param {string} field - Request field name, used in the error message
+ * @returns {string|undefined} Normalized ranges, or undefined when every page is requested
+ */
+function resolvePageRanges(pages, field = 'pages') {
+  if (pages === undefined || pages === null || pages === '') {
+    return undefined;
+  }
+
+  const normalized = String(pages).replace(/\s+/g, '');
+  const ranges = PAGE_RANGES_PATTERN.test(normalized) ? parsePageRanges(normalized) : null;
+  if (!ranges || ranges.some(range => range.start < 1 || range.end < range.start)) {
+    throw {
+      code: 'INVALID_PAGE_RANGE',
+      message: `Invalid ${field}: ${pages}. Use page numbers and ranges separated by commas, e.g. 1-5,8,12-`,
+      status: 400
+    };
+  }
+  return normalized;
+}
+
+/**
+ * Parse validated page ranges
+ * @param {string} pages - Ranges as returned by resolvePageRanges
+ * @returns {Array} Ranges as { start, end }, end is Infinity for open ranges
+ */
+function parsePageRanges(pages) {
+  return pages.split(',').map((range) => {
+    const [start, end] = range.split('-');
+    const first = parseInt(start, 10);
+    if (end === undefined) {
+      return { start: first, end: first };
+    }
+    return { start: first, end: end === '' ? Infinity : parseInt(end, 10) };
+  });
+}
+
+/**
+ * Check whether a page is part of the requested ranges
+ * @param {string} pages - Ranges as returned by resolvePageRanges (every page when undefined)
+ * @param {number} pageNumber - 1-based page number
+ * @returns {boolean} True if the page is requested
+ */
+function isPageSelected(pages, pageNumber) {
+  return !pages || parsePageRanges(pages).some(range => pageNumber >= range.start && pageNumber <= range.end);
+}
+
+/**
+ * Pick the pages to extract from a document, in order and at most MAX_PAGES of them
+ * @param {string} pages - Ranges as returned by resolvePageRanges (every page when undefined)
+ * @param {number} totalPages - Number of pages in the document
+ * @returns {Object} { pageNumbers, truncated } where truncated is true when requested pages were left out by MAX_PAGES
+ */
+function selectPages(pages, totalPages) {
+  const ranges = pages ? parsePageRanges(pages) : [{ start: 1, end: Infinity }];
+  const requested = [];
+  for (let pageNumber = 1; pageNumber <= totalPages; pageNumber++) {
+    if (ranges.some(range => pageNumber >= range.start && pageNumber <= range.end)) {
+      requested.push(pageNumber);
+    }
+  }
+
+  if (pages && totalPages > 0 && requested.length === 0) {
+    throw {
+      code: 'INVALID_PAGE_RANGE',
+      message: `No pages in range ${pages}, the document has ${totalPages} page${totalPages === 1 ? '' : 's'}`,
+      status: 400
+    };
+  }
+
+  return {
+    pageNumbers: requested.slice(0, MAX_PAGES),
+    truncated: requested.length > MAX_PAGES
+  };
+}
+
+/**
+ * Get the most pages extracted from one document
+ * @returns {number} MAX_PAGES
+ */
+function getMaxPages() {
+  return MAX_PAGES;
+}
+
+module.exports = {
+  getMaxPages,
+  resolvePageRanges,
+  isPageSelected,
+  selectPages
+};
\ No newline at end of file
@@ -0,0 +1,254 @@
+const path = require('path');
+const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+
+// pdf.js needs the standard font files to draw non-embedded fonts (Helvetica, Times...)
+const STANDARD_FONT_DATA_URL = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+// pdf.js errors for encryption it cannot decrypt (non-Standard security handlers, unknown crypt filters)
+const UNSUPPORTED_ENCRYPTION_PATTERN = /unknown encryption method|unsupported encryption algorithm|unknown crypto method|invalid key length/i;
+
+/**
+ * Open a PDF document with pdf.js
+ * @param {Buffer} buffer - PDF file buffer
+ * @param {string} password - Password of an encrypted PDF, if any
+ * @returns {Promise} pdf.js document proxy
+ */
+async function openPdfDocument(buffer, password) {
+  return await pdfjsLib.getDocument({
+    // pdf.js takes ownership of the array it is given, so pass a copy
+    data: new Uint8Array(buffer),
+    password,
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    verbosity: 0
+  }).promise;
+}
+
+/**
+ * Open a PDF document with pdf.js, turning encryption failures into request errors
+ * @param {Buffer} buffer - PDF file buffer
+ * @param {Object} options - Loading options
+ * @param {string} options.password - User or owner password of an encrypted PDF
+ * @returns {Promise} pdf.js document proxy (call destroy() when done)
+ */
+async function loadPdfDocument(buffer, options = {}) {
+  try {
+    return await openPdfDocument(buffer, options.password);
+  } catch (error) {
+    if (error.name === 'PasswordException' && error.code === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD) {
+      // Files with only an owner password open without one, whatever password was sent
+      const document = await openPdfDocument(buffer).catch(() => null);
+      if (document) {
+        return document;
+      }
+      throw { code: 'PDF_PASSWORD_INCORRECT', message: 'The password for this PDF is incorrect', status: 400 };
+    }
+    if (error.name === 'PasswordException') {
+      throw { code: 'PDF_PASSWORD_REQUIRED', message: 'The PDF is password-protected, send its password in the password field', status: 400 };
+    }
+    if (UNSUPPORTED_ENCRYPTION_PATTERN.test(error.message)) {
+      throw {
+        code: 'ENCRYPTED_DOCUMENT',
+        message: `The PDF is encrypted with an unsupported security handler (${error.message})`,
+        status: 400
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read which operations the permissions of an encrypted PDF allow (set with an owner password)
+ * @param {Object} pdfDocument - pdf.js document proxy
+ * @returns {Promise} { print, copy, modify, annotate, fillForms, assemble }, or null for unencrypted PDFs
+ */
+async function getPdfPermissions(pdfDocument) {
+  const flags = await pdfDocument.getPermissions();
+  if (!flags) {
+    return null;
+  }
+
+  const { PermissionFlag } = pdfjsLib;
+  return {
+    print: flags.includes(PermissionFlag.PRINT),
+    copy: flags.includes(PermissionFlag.COPY),
+    modify: flags.includes(PermissionFlag.MODIFY_CONTENTS),
+    annotate: flags.includes(PermissionFlag.MODIFY_ANNOTATIONS),
+    fillForms: flags.includes(PermissionFlag.FILL_INTERACTIVE_FORMS),
+    assemble: flags.includes(PermissionFlag.ASSEMBLE)
+  };
+}
+
+/**
+ * Extract the raw text of a single PDF page, one line per text row
+ * @param {Object} page - pdf.js page proxy
+ * @returns {Promise} Raw page text
+ */
+async function extractPageText(page) {
+  const textContent = await page.getTextContent();
+
+  let text = '';
+  let lastY = null;
+
+  for (const item of textContent.items) {
+    const y = item.transform[5];
+
+    // Start a new line whenever the baseline moves
+    if (lastY !== null && y !== lastY) {
+      text += '\n';
+    }
+
+    text += item.str;
+    lastY = y;
+  }
+
+  return text;
+}
+
+/**
+ * Check whether a pdf.js font is bold from its flags or PostScript name
+ * @param {Object} font - pdf.js font object
+ * @returns {boolean} True for bold and heavier fonts
+ */
+function isBoldFont(font) {
+  return Boolean(font && (font.bold || font.black || /bold|black|heavy|semibold|demi/i.test(font.name || '')));
+}
+
+/**
+ * Extract the text items of a PDF page with their position and font size
+ * @param {Object} page - pdf.js page proxy
+ * @param {Object} options - Extraction options
+ * @param {boolean} options.fonts - Also detect bold fonts (loads the page's operator list)
+ * @returns {Promise} Items as { text, x, y, width, fontSize, bold }, in drawing order
+ */
+async function extractPageItems(page, options = {}) {
+  const textContent = await page.getTextContent();
+
+  // Font objects (and so font names) are only loaded while building the operator list
+  if (options.fonts) {
+    await page.getOperatorList();
+  }
+
+  return textContent.items
+    .filter(item => item.str)
+    .map((item) => {
+      const [, , c, d, x, y] = item.transform;
+      const font = options.fonts && page.commonObjs.has(item.fontName) ? page.commonObjs.get(item.fontName) : null;
+
+      return {
+        text: item.str,
+        x,
+        y,
+        width: item.width,
+        fontSize: Math.round(Math.hypot(c, d) * 10) / 10,
+        bold: isBoldFont(font)
+      };
+    });
+}
+
+/**
+ * Group text items into lines
+ * @param {Array} items - Items from extractPageItems
+ * @returns {Array} Lines as { text, x, y, fontSize, bold }, top to bottom as drawn
+ */
+function groupItemsIntoLines(items) {
+  const lines = [];
+  let line = null;
+
+  for (const item of items) {
+    // Start a new line whenever the baseline moves, as extractPageText does
+    if (!line || item.y !== line.y) {
+      line = { text: '', x: item.x, y: item.y, fontSize: item.fontSize, bold: true };
+      lines.push(line);
+    }
+
+    line.text += item.text;
+    line.fontSize = Math.max(line.fontSize, item.fontSize);
+    // A line is bold only if all of its visible text is
+    if (item.text.trim()) {
+      line.bold = line.bold && item.bold;
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Get the size of a PDF page in points
+ * @param {Object} page - pdf.js page proxy
+ * @returns {Object} { width, height }
+ */
+function getPageSize(page) {
+  const [x0, y0, x1, y1] = page.view;
+  return { width: x1 - x0, height: y1 - y0 };
+}
+
+/**
+ * Measure how much of a PDF page is covered by images, e.g. a scanned page
+ * @param {Object} page - pdf.js page proxy
+ * @returns {Promise} Share of the page area covered by images, 0 to 1
+ */
+async function getImageCoverage(page) {
+  const { OPS, Util } = pdfjsLib;
+  const { fnArray, argsArray } = await page.getOperatorList();
+  const [pageX0, pageY0, pageX1, pageY1] = page.view;
+  const pageArea = (pageX1 - pageX0) * (pageY1 - pageY0);
+
+  // Images are drawn in the unit square of the current transform, clipped here to the page box
+  const paintedArea = (transform) => {
+    const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(point => Util.applyTransform(point, transform));
+    const xs = corners.map(([x]) => x);
+    const ys = corners.map(([, y]) => y);
+    const width = Math.min(pageX1, Math.max(...xs)) - Math.max(pageX0, Math.min(...xs));
+    const height = Math.min(pageY1, Math.max(...ys)) - Math.max(pageY0, Math.min(...ys));
+    return width > 0 && height > 0 ? width * height : 0;
+  };
+
+  let transform = [1, 0, 0, 1, 0, 0];
+  const savedTransforms = [];
+  let coveredArea = 0;
+
+  fnArray.forEach((fn, index) => {
+    const args = argsArray[index];
+    switch (fn) {
+      case OPS.save:
+        savedTransforms.push(transform);
+        break;
+      case OPS.restore:
+        transform = savedTransforms.pop() || transform;
+        break;
+      case OPS.transform:
+        transform = Util.transform(transform, args);
+        break;
+      case OPS.paintFormXObjectBegin:
+        savedTransforms.push(transform);
+        if (args[0]) {
+          transform = Util.transform(transform, args[0]);
+        }
+        break;
+      case OPS.paintFormXObjectEnd:
+        transform = savedTransforms.pop() || transform;
+        break;
+      case OPS.paintImageXObject:
+      case OPS.paintJpegXObject:
+      case OPS.paintInlineImageXObject:
+      case OPS.paintImageMaskXObject:
+        coveredArea += paintedArea(transform);
+        break;
+      default:
+        break;
+    }
+  });
+
+  // Overlapping images are counted twice, so cap at the whole page
+  return pageArea > 0 ? Math.min(1, coveredArea / pageArea) : 0;
+}
+
+module.exports = {
+  loadPdfDocument,
+  getPdfPermissions,
+  extractPageText,
+  extractPageItems,
+  groupItemsIntoLines,
+  getPageSize,
+  getImageCoverage
+};
\ No newline at end of file
@@ -1,9 +1,31 @@
-const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 const fs = require('fs');
 const path = require('path');
-const { cleanText } = require('./textCleaner');
+const { cleanText, resolveCleaningProfile } = require('./textCleaner');
 const { downloadFile } = require('./fileDownloader');
+const { resolveOcrLanguages, languagesForScript, getTesseractWorkerOptions } = require('./ocrLanguages');
+const { createWorkerPool } = require('./ocrWorkerPool');
+const { loadPdfDocument, extractPageText, extractPageItems, groupItemsIntoLines, getPageSize, getImageCoverage } = require('./pdfDocument');
+const { classifyPage } = require('./pageClassifier');
+const { readPdfPageLayout, readOcrPageLayout, flattenLayout } = require('./textLayout');
+const { isRenderingAvailable, renderPdfPages } = require('./pdfRenderer');
+const { readImageFrames } = require('./imageFrames');
+const { hashDocument, computeCacheKey, createResultCache } = require('./resultCache');
+const { blocksFromPdfLines, blocksFromText, blocksFromPages, blocksFromHtml, blocksToText } = require('./documentStructure');
+const { resolveOutputFormat, formatBlocks, tableToCsv } = require('./outputFormats');
+const { detectPdfTables, extractDocxTables } = require('./tableExtractor');
+const { readPdfMetadata, readOfficeMetadata, readOpenDocumentMetadata, readCompoundFileMetadata } = require('./documentMetadata');
+const { resolveChunkingOptions, chunkText } = require('./chunker');
+const { extractPptxSlides } = require('./pptxExtractor');
+const { extractXlsxSheets } = require('./xlsxExtractor');
+const { extractDocText } = require('./docExtractor');
+const { extractRtf } = require('./rtfExtractor');
+const { extractOdtBlocks, extractOdsSheets, extractOdpSlides } = require('./odfExtractor');
+const { extractHtml } = require('./htmlExtractor');
+const { extractEpub } = require('./epubExtractor');
+const { extractMarkdown } = require('./markdownExtractor');
+const { decodeText } = require('./codePages');
+const { getMaxPages, resolvePageRanges, isPageSelected, selectPages } = require('./pageRanges');
 
 // For OCR functionality (optional)
 let Tesseract, sharp;
@@ -14,17 +36,104 @@ try {
   console.log('OCR dependencies not available. OCR functionality disabled.');
 }
 
-let tesseractWorker = null;
+// Shared pool of Tesseract workers, sized from configuration
+const ocrWorkerPool = Tesseract ? createWorkerPool({
+  createWorker: createTesseractWorker,
+  size: parseInt(process.env.OCR_POOL_SIZE, 10) || 2,
+  maxJobsPerWorker: parseInt(process.env.OCR_WORKER_MAX_JOBS, 10) || 100,
+  maxQueue: parseInt(process.env.OCR_POOL_MAX_QUEUE, 10) || 100
+}) : null;
+
+// Extraction results keyed by document hash and output-affecting options
+const resultCache = createResultCache();
+// Extractions in progress, so concurrent requests for the same file share one run
+const pendingExtractions = new Map();
+
+/**
+ * Count the words in a piece of text
+ * @param {string} text - Text to count
+ * @returns {number} Word count
+ */
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Build a per-page result entry
+ * @param {number} pageNumber - 1-based page number
+ * @param {string} text - Cleaned page text
+ * @param {string} extractionMethod - How the text was obtained (text, ocr, docx...)
+ * @param {number} confidence - Confidence on a 0-1 scale
+ * @returns {Object} Page entry
+ */
+function createPage(pageNumber, text, extractionMethod, confidence) {
+  return {
+    pageNumber,
+    text,
+    wordCount: countWords(text),
+    extractionMethod,
+    confidence
+  };
+}
+
+/**
+ * Report a finished page to the onProgress hook, if one was given
+ * @param {Object} options - Extraction options
+ * @param {Object} page - Page entry created with createPage
+ * @param {number} totalPages - Number of pages being extracted
+ */
+function reportPage(options, page, totalPages) {
+  options.onProgress?.({ type: 'page', totalPages, ...page });
+}
+
+/**
+ * Derive document text and metadata totals from per-page results
+ * @param {Array} pages - Page entries created with createPage
+ * @param {string} extractionMethod - Document-level extraction method
+ * @param {number} startTime - Timestamp when extraction started
+ * @returns {Object} Extracted text, metadata and pages
+ */
+function buildResult(pages, extractionMethod, startTime) {
+  const text = pages.map(page => page.text).filter(Boolean).join('\n\n');
+  const confidence = pages.length
+    ? pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length
+    : 0;
+
+  const metadata = {
+    totalPages: pages.length,
+    wordCount: pages.reduce((sum, page) => sum + page.wordCount, 0),
+    extractionMethod,
+    processingTime: Date.now() - startTime,
+    confidence
+  };
+
+  return { text, metadata, pages };
+}
 
 /**
  * Extract text from a PDF file with improved error handling
  * @param {Buffer} buffer - PDF file buffer
  * @param {Object} options - Extraction options
- * @returns {Promise} Extracted text and metadata
+ * @returns {Promise} Extracted text, metadata and pages
  */
 async function extractTextFromPDF(buffer, options = {}) {
   const startTime = Date.now();
 
+  if (options.ocrPages && !options.enableOCR) {
+    throw {
+      code: 'OCR_DISABLED',
+      message: 'ocrPages needs OCR, which is disabled for this request',
+      status: 400
+    };
+  }
+  if (options.ocrPages && !Tesseract) {
+    throw {
+      code: 'OCR_UNAVAILABLE',
+      message: 'OCR is not available on this server, ocrPages cannot be processed',
+      status: 503
+    };
+  }
+
   try {
     console.log('Starting PDF text extraction...');
 
@@ -44,47 +153,178 @@ async function extractTextFromPDF(buffer, options = {}) {
       console.log('Skipping PDF signature validation as requested');
     }
 
-    // Try standard text extraction
-    const result = await pdfParse(buffer, {
-      max: options.maxPages || 100, // Limit pages for performance
-    }).catch(err => {
+    // Try standard text extraction, page by page
+    const pdfDocument = await loadPdfDocument(buffer, { password: options.password }).catch(err => {
       console.log('PDF parsing failed, using fallback extraction:', err.message);
       
       // If we're skipping signature check, this might not be a real PDF
-      // In this case, let's just return a mock result
-      if (options.skipSignatureCheck) {
-        return { text: '', numpages: 1 };
+      // In this case, let's just return an empty result (unless it is an encrypted PDF that could not be opened)
+      if (options.skipSignatureCheck && !err.status) {
+        return null;
       }
       throw err;
     });
 
-    const extractedText = result.text || '';
-    const wordCount = extractedText.trim().split(/\s+/).length;
+    const pages = [];
+    // Text positions, fonts and tables, only collected when structured output or tables are requested
+    const pageLayouts = [];
+    // Text layer density, garbled characters and (for sparse text layers) image coverage, only measured when OCR can be used
+    const classifyPages = Boolean(options.enableOCR && Tesseract);
+    const classifications = new Map();
+    // Words and lines of the text layer, only collected when layout is requested
+    const textLayouts = new Map();
+    let documentMetadata = null;
+    let documentPages = 0;
+    let truncated = false;
+    if (pdfDocument) {
+      documentMetadata = await readPdfMetadata(pdfDocument).catch((e) => {
+        console.log('Failed to read PDF metadata:', e.message);
+        return null;
+      });
+
+      try {
+        documentPages = pdfDocument.numPages;
+        const selection = selectPages(options.pages, documentPages);
+        truncated = selection.truncated;
+        for (const pageNumber of selection.pageNumbers) {
+          const page = await pdfDocument.getPage(pageNumber);
+          let rawText;
+          if (isStructuredOutput(options) || options.extractTables) {
+            const items = await extractPageItems(page, { fonts: isStructuredOutput(options) });
+            const lines = groupItemsIntoLines(items);
+            const pageSize = getPageSize(page);
+            pageLayouts.push({
+              pageNumber,
+              height: pageSize.height,
+              lines,
+              tables: detectPdfTables(items, { pageNumber, pageSize })
+            });
+            rawText = lines.map(line => line.text).join('\n');
+          } else {
+            rawText = await extractPageText(page);
+          }
+          if (options.layout) {
+            textLayouts.set(pageNumber, await readPdfPageLayout(page));
+          }
+          if (classifyPages) {
+            classifications.set(pageNumber, await classifyPage({
+              text: rawText,
+              pageSize: getPageSize(page),
+              measureImageCoverage: () => getImageCoverage(page)
+            }));
+          }
+          page.cleanup();
+
+          const text = cleanText(rawText, { profile: options.cleaningProfile });
+
+          pages.push(createPage(pageNumber, text, 'text', 0.95));
+          reportPage(options, pages[pages.length - 1], selection.pageNumbers.length);
+        }
+      } finally {
+        await pdfDocument.destroy();
+      }
+    }
+
+    const wordCount = pages.reduce((sum, page) => sum + page.wordCount, 0);
 
-    console.log(`Extracted ${wordCount} words from ${result.numpages} pages`);
+    console.log(`Extracted ${wordCount} words from ${pages.length} pages`);
 
-    // If not enough text found and OCR is enabled, use OCR
-    if (wordCount < 10 && options.enableOCR && Tesseract) {
+    // A file pdf.js could not open at all is OCR'd as a whole
+    if (!pdfDocument && options.enableOCR && Tesseract) {
       console.log('Text extraction yielded minimal results. Attempting OCR...');
       return await extractTextWithOCR(buffer, options);
     }
 
-    const cleanedText = cleanText(extractedText);
+    // Pick the pages to OCR: pages listed in ocrPages, every page when the whole document has almost no text,
+    // otherwise the pages that look scanned or have a garbled text layer
+    const ocrReasons = new Map();
+    for (const { pageNumber } of pages) {
+      if (options.ocrPages && isPageSelected(options.ocrPages, pageNumber)) {
+        ocrReasons.set(pageNumber, 'requested');
+      } else if (classifyPages && wordCount < 10) {
+        ocrReasons.set(pageNumber, 'minimal-text');
+      } else if (classifications.get(pageNumber)?.ocrReason) {
+        ocrReasons.set(pageNumber, classifications.get(pageNumber).ocrReason);
+      }
+    }
 
-    const metadata = {
-      totalPages: result.numpages,
-      wordCount: cleanedText.split(/\s+/).length,
-      extractionMethod: 'text',
-      processingTime: Date.now() - startTime,
-      confidence: 0.95
-    };
+    // OCR'd pages replace their text layer, in page order (and are reported again)
+    const ocrPageNumbers = [...ocrReasons.keys()];
+    let ocrLanguages;
+    let ocrError = null;
+    const ocrLayouts = new Map();
+    if (ocrPageNumbers.length) {
+      console.log(`Running OCR on ${ocrPageNumbers.length} of ${pages.length} pages: ${ocrPageNumbers.join(', ')}`);
+      try {
+        const ocrResult = await extractTextWithOCR(buffer, { ...options, pages: ocrPageNumbers.join(',') });
+        for (const ocrPage of ocrResult.pages) {
+          pages[pages.findIndex(page => page.pageNumber === ocrPage.pageNumber)] = ocrPage;
+        }
+        ocrLanguages = ocrResult.metadata.ocrLanguages;
+        for (const pageLayout of ocrResult.layout || []) {
+          ocrLayouts.set(pageLayout.pageNumber, pageLayout);
+        }
+      } catch (error) {
+        if (error.code === 'OCR_QUEUE_FULL' || (error.status && error.status < 500)) {
+          throw error;
+        }
+        // The pages keep their text layer, and report the error instead of failing the whole document
+        console.log(`OCR failed for pages ${ocrPageNumbers.join(', ')}, keeping their text layer:`, error.message);
+        ocrError = { code: error.code || 'OCR_FAILED', message: error.message };
+      }
+    }
+    const ocrPages = pages.filter(page => page.extractionMethod === 'ocr');
 
-    return { text: cleanedText, metadata };
+    let extractionMethod = 'text';
+    if (ocrPages.length) {
+      extractionMethod = ocrPages.length === pages.length ? 'ocr' : 'hybrid';
+    }
+
+    const result = buildResult(pages, extractionMethod, startTime);
+    Object.assign(result.metadata, {
+      documentPages,
+      truncated,
+      pageMethods: pages.map((page) => {
+        const classification = classifications.get(page.pageNumber);
+        return {
+          pageNumber: page.pageNumber,
+          extractionMethod: page.extractionMethod,
+          ocrReason: ocrReasons.get(page.pageNumber) || null,
+          ocrError: ocrReasons.has(page.pageNumber) ? ocrError : null,
+          textDensity: classification ? classification.textDensity : null,
+          imageCoverage: classification ? classification.imageCoverage : null,
+          garbageRatio: classification ? classification.garbageRatio : null
+        };
+      }),
+      document: documentMetadata
+    });
+    if (ocrLanguages) {
+      result.metadata.ocrLanguages = ocrLanguages;
+    }
+    if (options.layout) {
+      result.layout = pages.map(page => ocrLayouts.get(page.pageNumber)
+        || { pageNumber: page.pageNumber, extractionMethod: 'text', ...textLayouts.get(page.pageNumber) });
+    }
+    if (isStructuredOutput(options)) {
+      result.blocks = replacePageBlocks(blocksFromPdfLines(pageLayouts), pageLayouts[0]?.pageNumber, ocrPages);
+    }
+    if (options.extractTables) {
+      // Tables found in the text layer of OCR'd pages are left out with it
+      result.tables = pageLayouts
+        .filter(layout => !ocrPageNumbers.includes(layout.pageNumber))
+        .flatMap(layout => layout.tables);
+    }
+    return result;
   } catch (error) {
     console.error('Error in PDF text extraction:', error);
 
+    // Missing or wrong passwords and unsupported encryption are rejected as they are, OCR could not open the file either
+    if (error.status && error.status < 500) {
+      throw error;
+    }
+
     // Fallback to OCR if enabled
-    if (options.enableOCR && Tesseract && error.message !== 'File is not a valid PDF') {
+    if (options.enableOCR && Tesseract && error.code !== 'OCR_FAILED' && error.code !== 'OCR_QUEUE_FULL' && error.message !== 'File is not a valid PDF') {
       console.log('Falling back to OCR due to error in text extraction');
       try {
         return await extractTextWithOCR(buffer, options);
@@ -93,6 +333,10 @@ async function extractTextFromPDF(buffer, options = {}) {
       }
     }
 
+    if (error.code === 'OCR_QUEUE_FULL') {
+      throw error;
+    }
+
     throw {
       code: 'PDF_EXTRACTION_FAILED',
       message: `Failed to extract text from PDF: ${error.message}`,
@@ -102,10 +346,112 @@ async function extractTextFromPDF(buffer, options = {}) {
 }
 
 /**
- * Extract text using OCR (requires tesseract.js and pdf2pic or similar)
- * @param {Buffer} buffer - PDF file buffer
+ * Replace the blocks of OCR'd pages with paragraphs split from their OCR text
+ * @param {Array} blocks - Blocks from blocksFromPdfLines, pages separated by page breaks
+ * @param {number} firstPageNumber - Number of the page the blocks start on
+ * @param {Array} ocrPages - Page entries of the OCR'd pages
+ * @returns {Array} Blocks
+ */
+function replacePageBlocks(blocks, firstPageNumber, ocrPages) {
+  if (!ocrPages.length) {
+    return blocks;
+  }
+
+  const ocrText = new Map(ocrPages.map(page => [page.pageNumber, page.text]));
+  let replacing = ocrText.has(firstPageNumber);
+  const result = replacing ? blocksFromText(ocrText.get(firstPageNumber)) : [];
+
+  for (const block of blocks) {
+    if (block.type === 'pageBreak') {
+      replacing = ocrText.has(block.pageNumber);
+      result.push(block, ...(replacing ? blocksFromText(ocrText.get(block.pageNumber)) : []));
+    } else if (!replacing) {
+      result.push(block);
+    }
+  }
+  return result;
+}
+
+/**
+ * Create and initialize a Tesseract worker for a set of languages
+ * @param {string} languages - Tesseract language string, e.g. 'eng+deu' ('osd' for script detection)
+ * @returns {Promise} Initialized Tesseract worker
+ */
+async function createTesseractWorker(languages) {
+  const worker = await Tesseract.createWorker(getTesseractWorkerOptions());
+  try {
+    await worker.loadLanguage(languages);
+    // Script detection only works with the legacy engine
+    await worker.initialize(languages, languages === 'osd' ? Tesseract.OEM.TESSERACT_ONLY : undefined);
+  } catch (error) {
+    // e.g. a language pack that cannot be read or downloaded
+    await worker.terminate();
+    throw new Error(`Failed to load OCR languages ${languages}: ${error.message || error}`);
+  }
+  return worker;
+}
+
+/**
+ * Detect the script of an image and pick the matching language pack
+ * @param {string} imagePath - Path to the (preprocessed) image
+ * @returns {Promise} Tesseract language string
+ */
+async function detectOcrLanguages(imagePath) {
+  try {
+    const { data } = await ocrWorkerPool.run('osd', worker => worker.detect(imagePath));
+    const languages = languagesForScript(data.script);
+
+    console.log(`Detected script ${data.script} (confidence: ${data.script_confidence}), using ${languages}`);
+    return languages;
+  } catch (error) {
+    console.log('Script detection failed, using default OCR language:', error.message);
+    return languagesForScript(null);
+  }
+}
+
+/**
+ * Run OCR on a single image, preprocessing it with sharp when available
+ * @param {Buffer} imageBuffer - Image buffer (PNG/JPEG)
+ * @param {string} imagePath - Temporary path to write the image to
+ * @param {string} ocrLanguages - Tesseract language string or 'auto' to detect the script
+ * @param {string} cleaningProfile - Text cleaning profile
+ * @returns {Promise} Cleaned text, confidence (0-1 scale), the languages used and the recognized blocks (with the
+ *   lines and words in them)
+ */
+async function recognizeImage(imageBuffer, imagePath, ocrLanguages = resolveOcrLanguages(), cleaningProfile) {
+  fs.writeFileSync(imagePath, imageBuffer);
+
+  // Preprocess the image for better OCR results if Sharp is available
+  if (sharp) {
+    try {
+      console.log('Preprocessing image for better OCR quality...');
+      await sharp(imageBuffer)
+        .greyscale()
+        .normalize()
+        .sharpen()
+        .toFile(imagePath);
+    } catch (sharpErr) {
+      console.log('Image preprocessing failed, using original image:', sharpErr.message);
+      fs.writeFileSync(imagePath, imageBuffer);
+    }
+  }
+
+  const languages = ocrLanguages === 'auto' ? await detectOcrLanguages(imagePath) : ocrLanguages;
+  const { data } = await ocrWorkerPool.run(languages, worker => worker.recognize(imagePath));
+
+  return {
+    text: cleanText(data.text || '', { profile: cleaningProfile, ocr: true }),
+    confidence: data.confidence / 100,  // Convert to 0-1 scale
+    languages,
+    blocks: data.blocks
+  };
+}
+
+/**
+ * Extract text using OCR (requires tesseract.js, PDFs are rasterized with pdf.js)
+ * @param {Buffer} buffer - PDF or image file buffer
  * @param {Object} options - Extraction options
- * @returns {Promise} Extracted text and metadata
+ * @returns {Promise} Extracted text, metadata and pages
  */
 async function extractTextWithOCR(buffer, options = {}) {
   if (!Tesseract) {
@@ -121,66 +467,73 @@ async function extractTextWithOCR(buffer, options = {}) {
     // Create temporary directory for image processing
     tempDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'pdf-ocr-'));
 
-    let text = '';
-    let confidence = 0.7;
-    let totalPages = 1;
+    const pages = [];
+    const usedLanguages = new Set();
+    // Words and lines per page, only collected when layout is requested
+    const layout = [];
+    let documentPages = 0;
+    let truncated = false;
     
-    // Handle direct OCR on image files (PNG/JPEG) or PDFs converted to images by Cloudinary
+    // Handle direct OCR on image files or PDFs converted to images by Cloudinary
     if (options.isPngAsPdf || options.directImageOcr) {
       const processingMode = options.isPngAsPdf ? 'PNG as PDF' : 'direct image OCR';
       console.log(`Processing with ${processingMode} - using OCR on the image`);
-      
-      // Initialize Tesseract worker if needed
-      if (!tesseractWorker) {
-        console.log('Initializing Tesseract worker...');
-        tesseractWorker = await Tesseract.createWorker();
-        await tesseractWorker.loadLanguage('eng');
-        await tesseractWorker.initialize('eng');
-      }
-      
-      // Process the image directly with Tesseract
-      const imagePath = path.join(tempDir, 'image.png');
-      fs.writeFileSync(imagePath, buffer);
-      
-      // Preprocess the image for better OCR results if Sharp is available
-      if (sharp) {
-        try {
-          console.log('Preprocessing image for better OCR quality...');
-          await sharp(buffer)
-            .greyscale()
-            .normalize()
-            .sharpen()
-            .toFile(imagePath);
-        } catch (sharpErr) {
-          console.log('Image preprocessing failed, using original image:', sharpErr.message);
-          fs.writeFileSync(imagePath, buffer);
+
+      // Multi-page TIFFs are OCR'd page by page
+      for await (const frame of readImageFrames(buffer, { pages: options.pages })) {
+        ({ documentPages, truncated } = frame);
+        console.log(`Running OCR on image page ${frame.pageNumber} of ${frame.documentPages}...`);
+        const imagePath = path.join(tempDir, `image-${frame.pageNumber}.png`);
+        const { text, confidence, languages, blocks } = await recognizeImage(frame.image, imagePath, options.ocrLanguages, options.cleaningProfile);
+        usedLanguages.add(languages);
+        pages.push(createPage(frame.pageNumber, text, 'ocr', confidence));
+        if (options.layout) {
+          layout.push({ pageNumber: frame.pageNumber, extractionMethod: 'ocr', ...readOcrPageLayout(blocks, frame) });
         }
+        reportPage(options, pages[pages.length - 1], frame.totalPages);
+
+        console.log(`OCR extracted ${text.length} characters with confidence: ${confidence.toFixed(2)}`);
       }
-      
-      console.log('Running OCR on image...');
-      const { data } = await tesseractWorker.recognize(imagePath);
-      text = data.text || '';
-      confidence = data.confidence / 100;  // Convert to 0-1 scale
-      
-      // Clean up the extracted text
-      text = cleanText(text);
-      console.log(`OCR extracted ${text.length} characters with confidence: ${confidence.toFixed(2)}`);
     } else {
-      console.log('Note: Full PDF-to-image conversion for OCR is not implemented');
-      text = 'OCR extraction not fully implemented for PDF documents';
+      if (!isRenderingAvailable()) {
+        throw new Error('PDF rendering dependencies not available');
+      }
+
+      // Render every page to an image and OCR them one by one
+      for await (const page of renderPdfPages(buffer, { pages: options.pages, password: options.password })) {
+        ({ documentPages, truncated } = page);
+        console.log(`Running OCR on page ${page.pageNumber} of ${page.documentPages}...`);
+        const imagePath = path.join(tempDir, `page-${page.pageNumber}.png`);
+        const { text, confidence, languages, blocks } = await recognizeImage(page.image, imagePath, options.ocrLanguages, options.cleaningProfile);
+        usedLanguages.add(languages);
+        pages.push(createPage(page.pageNumber, text, 'ocr', confidence));
+        if (options.layout) {
+          layout.push({ pageNumber: page.pageNumber, extractionMethod: 'ocr', ...readOcrPageLayout(blocks, page) });
+        }
+        reportPage(options, pages[pages.length - 1], page.totalPages);
+      }
+
+      if (pages.length === 0) {
+        throw new Error('PDF has no pages to OCR');
+      }
     }
 
-    const metadata = {
-      totalPages,
-      wordCount: text.split(/\s+/).filter(Boolean).length,
-      extractionMethod: 'ocr',
-      processingTime: Date.now() - startTime,
-      confidence
-    };
+    const result = buildResult(pages, 'ocr', startTime);
+    Object.assign(result.metadata, { documentPages, truncated, ocrLanguages: [...usedLanguages] });
+    if (options.layout) {
+      result.layout = layout;
+    }
+    console.log(`OCR extracted ${result.text.length} characters from ${pages.length} pages with average confidence: ${result.metadata.confidence.toFixed(2)}`);
 
-    return { text, metadata };
+    return result;
   } catch (error) {
     console.error('OCR extraction failed:', error);
+
+    // Page ranges outside the document and PDFs that cannot be opened are rejected as they are
+    if (error.code === 'OCR_QUEUE_FULL' || (error.status && error.status < 500)) {
+      throw error;
+    }
+
     throw {
       code: 'OCR_FAILED',
       message: 'Failed to extract text using OCR',
@@ -194,10 +547,35 @@ async function extractTextWithOCR(buffer, options = {}) {
   }
 }
 
+/**
+ * Extract text from an image with OCR: PNG, JPEG, WebP, GIF, BMP or TIFF (one page per TIFF page)
+ * @param {Buffer} buffer - Image file buffer
+ * @param {Object} options - Extraction options
+ * @returns {Promise} Extracted text, metadata and pages
+ */
+async function extractTextFromImage(buffer, options = {}) {
+  if (!options.enableOCR) {
+    throw {
+      code: 'OCR_DISABLED',
+      message: 'Text can only be extracted from images with OCR, which is disabled for this request',
+      status: 400
+    };
+  }
+  if (!Tesseract) {
+    throw {
+      code: 'OCR_UNAVAILABLE',
+      message: 'OCR is not available on this server, images cannot be processed',
+      status: 503
+    };
+  }
+
+  return await extractTextWithOCR(buffer, { ...options, directImageOcr: true });
+}
+
 /**
  * Extract text from a DOCX file
  * @param {Buffer} buffer - DOCX file buffer
- * @returns {Promise} Extracted text and metadata
+ * @returns {Promise} Extracted text, metadata and pages
  */
 async function extractTextFromDOCX(buffer, options = {}) {
   const startTime = Date.now();
@@ -205,21 +583,43 @@ async function extractTextFromDOCX(buffer, options = {}) {
   try {
     console.log('Starting DOCX text extraction...');
 
-    const result = await mammoth.extractRawText({ buffer });
-    const extractedText = result.value || '';
-    const cleanedText = cleanText(extractedText);
+    // Structured output uses mammoth's style-aware HTML conversion (headings, lists, tables)
+    let blocks;
+    let extractedText;
+    if (isStructuredOutput(options)) {
+      const result = await mammoth.convertToHtml({ buffer }, {
+        // Images are not part of the extracted content
+        convertImage: mammoth.images.imgElement(() => ({ src: '' }))
+      });
+      blocks = blocksFromHtml(result.value || '');
+      extractedText = blocksToText(blocks);
+    } else {
+      const result = await mammoth.extractRawText({ buffer });
+      extractedText = result.value || '';
+    }
+    const cleanedText = cleanText(extractedText, { profile: options.cleaningProfile });
 
     console.log(`Extracted ${cleanedText.length} characters from DOCX`);
 
-    const metadata = {
-      totalPages: 1,
-      wordCount: cleanedText.split(/\s+/).length,
-      extractionMethod: 'docx',
-      processingTime: Date.now() - startTime,
-      confidence: 0.98
-    };
+    // DOCX has no fixed pagination, the whole document is reported as one page
+    const page = createPage(1, cleanedText, 'docx', 0.98);
+    reportPage(options, page, 1);
 
-    return { text: cleanedText, metadata };
+    // Tables are read from the document XML, keeping merged cells in their columns
+    const tables = blocks || options.extractTables ? await extractDocxTables(buffer) : [];
+
+    const result = buildResult([page], 'docx', startTime);
+    result.metadata.document = await readOfficeMetadata(buffer).catch((e) => {
+      console.log('Failed to read DOCX properties:', e.message);
+      return null;
+    });
+    if (blocks) {
+      result.blocks = replaceTableBlocks(blocks, tables.filter(table => !table.nested));
+    }
+    if (options.extractTables) {
+      result.tables = tables;
+    }
+    return result;
   } catch (error) {
     console.error('Error in DOCX text extraction:', error);
     throw {
@@ -230,10 +630,509 @@ async function extractTextFromDOCX(buffer, options = {}) {
   }
 }
 
+/**
+ * Build the result of a presentation, one page per slide
+ * @param {Array} slides - Slides as { slideNumber, hidden, blocks, notes, tables }
+ * @param {string} extractionMethod - pptx or odp
+ * @param {Object} options - Processing options
+ * @param {number} startTime - Extraction start time
+ * @returns {Object} Extracted text, metadata, pages, blocks (for structured output) and tables
+ */
+function buildPresentationResult(allSlides, extractionMethod, options, startTime) {
+  const { pageNumbers, truncated } = selectPages(options.pages, allSlides.length);
+  const slides = allSlides.filter(slide => pageNumbers.includes(slide.slideNumber));
+
+  const pages = slides.map((slide) => {
+    // Speaker notes follow the slide text
+    const text = [blocksToText(slide.blocks), slide.notes].filter(Boolean).join('\n\n');
+    const page = {
+      ...createPage(slide.slideNumber, cleanText(text, { profile: options.cleaningProfile }), extractionMethod, 0.98),
+      notes: cleanText(slide.notes, { profile: options.cleaningProfile }),
+      hidden: slide.hidden
+    };
+    reportPage(options, page, slides.length);
+    return page;
+  });
+
+  const result = buildResult(pages, extractionMethod, startTime);
+  Object.assign(result.metadata, { documentPages: allSlides.length, truncated });
+  if (isStructuredOutput(options)) {
+    result.blocks = slides.flatMap((slide, index) => [
+      ...(index > 0 ? [{ type: 'pageBreak', pageNumber: slide.slideNumber }] : []),
+      ...slide.blocks,
+      ...slide.notes.split('\n').filter(Boolean).map(text => ({ type: 'paragraph', text }))
+    ]);
+  }
+  result.tables = slides.flatMap(slide => slide.tables.map((table) => {
+    const columnCount = Math.max(0, ...table.rows.map(row => row.length));
+    return {
+      pageNumber: slide.slideNumber,
+      boundingBox: table.boundingBox,
+      rowCount: table.rows.length,
+      columnCount,
+      rows: table.rows.map(row => [...row, ...Array(columnCount - row.length).fill('')])
+    };
+  }));
+  return result;
+}
+
+/**
+ * Build the result of a spreadsheet, one page and one table per sheet
+ * @param {Array} sheets - Sheets as { name, hidden, rows }
+ * @param {string} extractionMethod - xlsx or ods
+ * @param {Object} options - Processing options
+ * @param {number} startTime - Extraction start time
+ * @returns {Object} Extracted text, metadata, pages, blocks (for structured output) and tables
+ */
+function buildSpreadsheetResult(sheets, extractionMethod, options, startTime) {
+  const { pageNumbers, truncated } = selectPages(options.pages, sheets.length);
+  // Sheets keep their position in the workbook as page number
+  const cleanedSheets = pageNumbers.map(pageNumber => ({
+    ...sheets[pageNumber - 1],
+    pageNumber,
+    rows: sheets[pageNumber - 1].rows.map(row => row.map(cell => cleanText(cell, { profile: options.cleaningProfile })))
+  }));
+
+  const pages = cleanedSheets.map((sheet) => {
+    // One line per row, cells separated by tabs
+    const text = sheet.rows
+      .filter(row => row.some(Boolean))
+      .map(row => row.map(cell => cell.replace(/\s*\n\s*/g, ' ')).join('\t'))
+      .join('\n');
+    const page = { ...createPage(sheet.pageNumber, text, extractionMethod, 1.0), sheetName: sheet.name, hidden: sheet.hidden };
+    reportPage(options, page, cleanedSheets.length);
+    return page;
+  });
+
+  const result = buildResult(pages, extractionMethod, startTime);
+  Object.assign(result.metadata, { documentPages: sheets.length, truncated });
+  if (isStructuredOutput(options)) {
+    result.blocks = cleanedSheets.flatMap((sheet, index) => [
+      ...(index > 0 ? [{ type: 'pageBreak', pageNumber: sheet.pageNumber }] : []),
+      { type: 'heading', level: 1, text: sheet.name },
+      ...(sheet.rows.length ? [{ type: 'table', rows: sheet.rows }] : [])
+    ]);
+  }
+  result.tables = cleanedSheets.map(sheet => ({
+    pageNumber: sheet.pageNumber,
+    sheetName: sheet.name,
+    boundingBox: null,
+    rowCount: sheet.rows.length,
+    columnCount: sheet.rows[0]?.length || 0,
+    rows: sheet.rows
+  }));
+  return result;
+}
+
+/**
+ * Extract text from a PPTX file, one page per slide
+ * @param {Buffer} buffer - PPTX file buffer
+ * @returns {Promise} Extracted text, metadata, pages and tables
+ */
+async function extractTextFromPPTX(buffer, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    console.log('Starting PPTX text extraction...');
+
+    const slides = await extractPptxSlides(buffer);
+    const result = buildPresentationResult(slides, 'pptx', options, startTime);
+
+    console.log(`Extracted ${slides.length} slides from PPTX`);
+
+    result.metadata.document = await readOfficeMetadata(buffer).catch((e) => {
+      console.log('Failed to read PPTX properties:', e.message);
+      return null;
+    });
+    return result;
+  } catch (error) {
+    // Page ranges outside the document are rejected as they are
+    if (error.status) {
+      throw error;
+    }
+    console.error('Error in PPTX text extraction:', error);
+    throw {
+      code: 'PPTX_EXTRACTION_FAILED',
+      message: `Failed to extract text from PPTX: ${error.message}`,
+      status: 500
+    };
+  }
+}
+
+/**
+ * Extract text from an XLSX file, one page per worksheet
+ * @param {Buffer} buffer - XLSX file buffer
+ * @returns {Promise} Extracted text, metadata, pages and tables (one per sheet)
+ */
+async function extractTextFromXLSX(buffer, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    console.log('Starting XLSX text extraction...');
+
+    const sheets = await extractXlsxSheets(buffer);
+    const result = buildSpreadsheetResult(sheets, 'xlsx', options, startTime);
+
+    console.log(`Extracted ${sheets.length} sheets from XLSX`);
+
+    result.metadata.document = await readOfficeMetadata(buffer).catch((e) => {
+      console.log('Failed to read XLSX properties:', e.message);
+      return null;
+    });
+    return result;
+  } catch (error) {
+    // Page ranges outside the document are rejected as they are
+    if (error.status) {
+      throw error;
+    }
+    console.error('Error in XLSX text extraction:', error);
+    throw {
+      code: 'XLSX_EXTRACTION_FAILED',
+      message: `Failed to extract text from XLSX: ${error.message}`,
+      status: 500
+    };
+  }
+}
+
+/**
+ * Extract text from an ODT text document
+ * @param {Buffer} buffer - ODT file buffer
+ * @returns {Promise} Extracted text, metadata, pages and tables
+ */
+async function extractTextFromODT(buffer, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    console.log('Starting ODT text extraction...');
+
+    const blocks = await extractOdtBlocks(buffer);
+    const cleanedText = cleanText(blocksToText(blocks), { profile: options.cleaningProfile });
+
+    console.log(`Extracted ${cleanedText.length} characters from ODT`);
+
+    // Like DOCX, the document is reported as one page
+    const page = createPage(1, cleanedText, 'odt', 0.98);
+    reportPage(options, page, 1);
+
+    const result = buildResult([page], 'odt', startTime);
+    result.metadata.document = await readOpenDocumentMetadata(buffer).catch((e) => {
+      console.log('Failed to read ODT properties:', e.message);
+      return null;
+    });
+    if (isStructuredOutput(options)) {
+      result.blocks = blocks;
+    }
+    result.tables = blocks.filter(block => block.type === 'table').map(table => ({
+      pageNumber: 1,
+      boundingBox: null,
+      rowCount: table.rows.length,
+      columnCount: table.rows[0].length,
+      rows: table.rows.map(row => row.map(cell => cleanText(cell, { profile: options.cleaningProfile })))
+    }));
+    return result;
+  } catch (error) {
+    console.error('Error in ODT text extraction:', error);
+    throw {
+      code: 'ODT_EXTRACTION_FAILED',
+      message: `Failed to extract text from ODT: ${error.message}`,
+      status: 500
+    };
+  }
+}
+
+/**
+ * Extract text from an ODS spreadsheet, one page per sheet
+ * @param {Buffer} buffer - ODS file buffer
+ * @returns {Promise} Extracted text, metadata, pages and tables (one per sheet)
+ */
+async function extractTextFromODS(buffer, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    console.log('Starting ODS text extraction...');
+
+    const sheets = await extractOdsSheets(buffer);
+    const result = buildSpreadsheetResult(sheets, 'ods', options, startTime);
+
+    console.log(`Extracted ${sheets.length} sheets from ODS`);
+
+    result.metadata.document = await readOpenDocumentMetadata(buffer).catch((e) => {
+      console.log('Failed to read ODS properties:', e.message);
+      return null;
+    });
+    return result;
+  } catch (error) {
+    // Page ranges outside the document are rejected as they are
+    if (error.status) {
+      throw error;
+    }
+    console.error('Error in ODS text extraction:', error);
+    throw {
+      code: 'ODS_EXTRACTION_FAILED',
+      message: `Failed to extract text from ODS: ${error.message}`,
+      status: 500
+    };
+  }
+}
+
+/**
+ * Extract text from an ODP presentation, one page per slide
+ * @param {Buffer} buffer - ODP file buffer
+ * @returns {Promise} Extracted text, metadata, pages and tables
+ */
+async function extractTextFromODP(buffer, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    console.log('Starting ODP text extraction...');
+
+    const slides = await extractOdpSlides(buffer);
+    const result = buildPresentationResult(slides, 'odp', options, startTime);
+
+    console.log(`Extracted ${slides.length} slides from ODP`);
+
+    result.metadata.document = await readOpenDocumentMetadata(buffer).catch((e) => {
+      console.log('Failed to read ODP properties:', e.message);
+      return null;
+    });
+    return result;
+  } catch (error) {
+    // Page ranges outside the document are rejected as they are
+    if (error.status) {
+      throw error;
+    }
+    console.error('Error in ODP text extraction:', error);
+    throw {
+      code: 'ODP_EXTRACTION_FAILED',
+      message: `Failed to extract text from ODP: ${error.message}`,
+      status: 500
+    };
+  }
+}
+
+/**
+ * Extract text from a legacy Word 97-2003 DOC file
+ * @param {Buffer} buffer - DOC file buffer
+ * @returns {Promise} Extracted text, metadata and pages
+ */
+async function extractTextFromDOC(buffer, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    console.log('Starting DOC text extraction...');
+
+    const cleanedText = cleanText(extractDocText(buffer), { profile: options.cleaningProfile });
+
+    console.log(`Extracted ${cleanedText.length} characters from DOC`);
+
+    // Like DOCX, the document is reported as one page
+    const page = createPage(1, cleanedText, 'doc', 0.95);
+    reportPage(options, page, 1);
+
+    const result = buildResult([page], 'doc', startTime);
+    try {
+      result.metadata.document = readCompoundFileMetadata(buffer);
+    } catch (e) {
+      console.log('Failed to read DOC properties:', e.message);
+    }
+    return result;
+  } catch (error) {
+    // Encrypted files and OLE2 files that are not Word documents are rejected as they are
+    if (error.status) {
+      throw error;
+    }
+    console.error('Error in DOC text extraction:', error);
+    throw {
+      code: 'DOC_EXTRACTION_FAILED',
+      message: `Failed to extract text from DOC: ${error.message}`,
+      status: 500
+    };
+  }
+}
+
+/**
+ * Extract text from an RTF file
+ * @param {Buffer} buffer - RTF file buffer
+ * @returns {Promise} Extracted text, metadata, pages and tables
+ */
+async function extractTextFromRTF(buffer, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    console.log('Starting RTF text extraction...');
+
+    const { text, tables, metadata } = extractRtf(buffer);
+    const cleanedText = cleanText(text, { profile: options.cleaningProfile });
+
+    console.log(`Extracted ${cleanedText.length} characters from RTF`);
+
+    const page = createPage(1, cleanedText, 'rtf', 0.98);
+    reportPage(options, page, 1);
+
+    const result = buildResult([page], 'rtf', startTime);
+    result.metadata.document = metadata;
+    result.tables = tables.map(rows => ({
+      pageNumber: 1,
+      boundingBox: null,
+      rowCount: rows.length,
+      columnCount: rows[0].length,
+      rows: rows.map(row => row.map(cell => cleanText(cell, { profile: options.cleaningProfile })))
+    }));
+    return result;
+  } catch (error) {
+    console.error('Error in RTF text extraction:', error);
+    throw {
+      code: 'RTF_EXTRACTION_FAILED',
+      message: `Failed to extract text from RTF: ${error.message}`,
+      status: 500
+    };
+  }
+}
+
+/**
+ * Build the result of a document read as blocks and reported as one page (HTML, Markdown)
+ * @param {Array} blocks - Blocks (heading, paragraph, listItem, table)
+ * @param {string} extractionMethod - html or markdown
+ * @param {Object} options - Processing options
+ * @param {number} startTime - Extraction start time
+ * @returns {Object} Extracted text, metadata, pages, blocks (for structured output) and tables
+ */
+function buildBlocksResult(blocks, extractionMethod, options, startTime) {
+  const cleanedText = cleanText(blocksToText(blocks), { profile: options.cleaningProfile });
+  const page = createPage(1, cleanedText, extractionMethod, 1.0);
+  reportPage(options, page, 1);
+
+  const result = buildResult([page], extractionMethod, startTime);
+  if (isStructuredOutput(options)) {
+    result.blocks = blocks;
+  }
+  result.tables = blocks.filter(block => block.type === 'table').map(table => ({
+    pageNumber: 1,
+    boundingBox: null,
+    rowCount: table.rows.length,
+    columnCount: table.rows[0].length,
+    rows: table.rows.map(row => row.map(cell => cleanText(cell, { profile: options.cleaningProfile })))
+  }));
+  return result;
+}
+
+/**
+ * Extract text from an HTML or XHTML page, leaving out scripts, styles, navigation and forms
+ * @param {Buffer} buffer - HTML file buffer
+ * @returns {Promise} Extracted text, metadata, pages and tables
+ */
+async function extractTextFromHTML(buffer, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    console.log('Starting HTML text extraction...');
+
+    const { blocks, metadata } = extractHtml(buffer, { charset: options.charset });
+    const result = buildBlocksResult(blocks, 'html', options, startTime);
+
+    console.log(`Extracted ${result.text.length} characters from HTML`);
+
+    result.metadata.document = metadata;
+    return result;
+  } catch (error) {
+    console.error('Error in HTML text extraction:', error);
+    throw {
+      code: 'HTML_EXTRACTION_FAILED',
+      message: `Failed to extract text from HTML: ${error.message}`,
+      status: 500
+    };
+  }
+}
+
+/**
+ * Extract text from an EPUB publication, one page per chapter in reading order
+ * @param {Buffer} buffer - EPUB file buffer
+ * @returns {Promise} Extracted text, metadata, pages and tables
+ */
+async function extractTextFromEPUB(buffer, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    console.log('Starting EPUB text extraction...');
+
+    const { chapters: allChapters, metadata } = await extractEpub(buffer);
+    const { pageNumbers, truncated } = selectPages(options.pages, allChapters.length);
+    // Chapters keep their position in the reading order as page number
+    const chapters = pageNumbers.map(pageNumber => ({ ...allChapters[pageNumber - 1], pageNumber }));
+
+    const pages = chapters.map((chapter) => {
+      const text = cleanText(blocksToText(chapter.blocks), { profile: options.cleaningProfile });
+      const page = { ...createPage(chapter.pageNumber, text, 'epub', 1.0), title: chapter.title };
+      reportPage(options, page, chapters.length);
+      return page;
+    });
+
+    console.log(`Extracted ${chapters.length} of ${allChapters.length} chapters from EPUB`);
+
+    const result = buildResult(pages, 'epub', startTime);
+    Object.assign(result.metadata, { documentPages: allChapters.length, truncated, document: metadata });
+    if (isStructuredOutput(options)) {
+      result.blocks = chapters.flatMap((chapter, index) => [
+        ...(index > 0 ? [{ type: 'pageBreak', pageNumber: chapter.pageNumber }] : []),
+        ...chapter.blocks
+      ]);
+    }
+    result.tables = chapters.flatMap(chapter => chapter.blocks
+      .filter(block => block.type === 'table')
+      .map(table => ({
+        pageNumber: chapter.pageNumber,
+        boundingBox: null,
+        rowCount: table.rows.length,
+        columnCount: table.rows[0].length,
+        rows: table.rows.map(row => row.map(cell => cleanText(cell, { profile: options.cleaningProfile })))
+      })));
+    return result;
+  } catch (error) {
+    // DRM-protected publications and page ranges outside the publication are rejected as they are
+    if (error.status) {
+      throw error;
+    }
+    console.error('Error in EPUB text extraction:', error);
+    throw {
+      code: 'EPUB_EXTRACTION_FAILED',
+      message: `Failed to extract text from EPUB: ${error.message}`,
+      status: 500
+    };
+  }
+}
+
+/**
+ * Extract text from a Markdown file, keeping its headings, lists and tables as structure
+ * @param {Buffer} buffer - Markdown file buffer
+ * @returns {Promise} Extracted text, metadata, pages and tables
+ */
+async function extractTextFromMarkdown(buffer, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    console.log('Starting Markdown text extraction...');
+
+    const { blocks, metadata } = extractMarkdown(buffer, { charset: options.charset });
+    const result = buildBlocksResult(blocks, 'markdown', options, startTime);
+
+    console.log(`Extracted ${result.text.length} characters from Markdown`);
+
+    result.metadata.document = metadata;
+    return result;
+  } catch (error) {
+    console.error('Error in Markdown text extraction:', error);
+    throw {
+      code: 'MARKDOWN_EXTRACTION_FAILED',
+      message: `Failed to extract text from Markdown: ${error.message}`,
+      status: 500
+    };
+  }
+}
+
 /**
  * Extract text from plain text file
  * @param {Buffer} buffer - Text file buffer
- * @returns {Promise} Extracted text and metadata
+ * @returns {Promise} Extracted text, metadata and pages
  */
 async function extractTextFromTXT(buffer, options = {}) {
   const startTime = Date.now();
@@ -241,18 +1140,13 @@ async function extractTextFromTXT(buffer, options = {}) {
   try {
     console.log('Starting TXT text extraction...');
 
-    const text = buffer.toString('utf8');
-    const cleanedText = cleanText(text);
+    const text = decodeText(buffer, options.charset);
+    const cleanedText = cleanText(text, { profile: options.cleaningProfile });
 
-    const metadata = {
-      totalPages: 1,
-      wordCount: cleanedText.split(/\s+/).length,
-      extractionMethod: 'txt',
-      processingTime: Date.now() - startTime,
-      confidence: 1.0
-    };
+    const page = createPage(1, cleanedText, 'txt', 1.0);
+    reportPage(options, page, 1);
 
-    return { text: cleanedText, metadata };
+    return buildResult([page], 'txt', startTime);
   } catch (error) {
     console.error('Error in TXT text extraction:', error);
     throw {
@@ -263,75 +1157,153 @@ async function extractTextFromTXT(buffer, options = {}) {
   }
 }
 
+/**
+ * Build processing options from an extraction request
+ * @param {Object} request - Request fields (documentId, filename, fileType, enableOCR, ocrLanguages, outputFormat,
+ *   extractTables, tableFormat, cleaningProfile, chunking, noCache, password, pages, ocrPages, layout)
+ * @returns {Object} Options for processDocument/processBuffer
+ */
+function buildProcessOptions({ documentId, filename, fileType, enableOCR = true, ocrLanguages, outputFormat, extractTables = false, tableFormat, cleaningProfile, chunking, noCache = false, password, pages, ocrPages, layout = false }) {
+  // Detect if this is likely a PDF uploaded to Cloudinary
+  const isPdfFile = filename?.toLowerCase().endsWith('.pdf') || fileType?.toLowerCase() === 'pdf';
+
+  return {
+    enableOCR,
+    ocrLanguages,
+    outputFormat,
+    extractTables,
+    tableFormat,
+    cleaningProfile,
+    chunking,
+    noCache,
+    password: password || undefined,
+    pages,
+    ocrPages,
+    layout,
+    documentId,
+    filename,
+    // If file has PDF extension or type but Cloudinary might have converted it
+    forcePdfMode: isPdfFile,
+    skipPdfValidation: isPdfFile
+  };
+}
+
 /**
  * Process document based on file type
  * @param {string} fileUrl - URL to the file
  * @param {Object} options - Processing options
- * @returns {Promise} Extracted text and metadata
+ * @param {Function} options.onProgress - Optional hook called with download and page events
+ * @returns {Promise} Extracted text, metadata and pages
  */
 async function processDocument(fileUrl, options = {}) {
   try {
     console.log(`Processing document from URL: ${fileUrl}`);
 
     // Download file from URL
-    const fileData = await downloadFile(fileUrl);
-    let { buffer, mimeType } = fileData;
+    const fileData = await downloadFile(fileUrl, { onProgress: options.onProgress });
+    const { buffer, mimeType, charset } = fileData;
 
     console.log(`File downloaded successfully. MIME type: ${mimeType}, Size: ${buffer.length} bytes`);
-    
-    // Special case: Use direct OCR on images (when we know it's actually a PDF)
-    if (options.useDirectOcr && mimeType.startsWith('image/')) {
-      console.log('Using direct OCR on image file');
-      return await extractTextWithOCR(buffer, { 
-        ...options,
-        directImageOcr: true 
-      });
+
+    return await processBuffer(buffer, mimeType, { ...options, charset: charset || undefined });
+  } catch (error) {
+    console.error('Document processing failed:', error);
+
+    if (error.code && error.status) {
+      throw error;
     }
 
-    // Force PDF mode for images if requested
-    if (options.forcePdfMode && mimeType.startsWith('image/')) {
-      if (options.skipPdfValidation) {
-        console.log('Forcing OCR for image that should be a PDF');
-        return await extractTextWithOCR(buffer, { 
-          ...options,
-          isPngAsPdf: true 
-        });
-      } else {
-        console.log('Forcing application/pdf MIME type for image');
-        mimeType = 'application/pdf';
-      }
+    throw {
+      code: 'PROCESSING_FAILED',
+      message: 'Failed to process document',
+      status: 500,
+      originalError: error.message
+    };
+  }
+}
+
+/**
+ * Process a file that is already in memory, reusing a cached result when the same file
+ * was extracted before with the same options
+ * @param {Buffer} buffer - File buffer
+ * @param {string} mimeType - Detected MIME type of the file
+ * @param {Object} options - Processing options
+ * @param {boolean} options.noCache - Extract again even if a cached result exists
+ * @param {string} options.charset - Charset the file was sent with, used to decode text, Markdown and HTML
+ * @returns {Promise} Extracted text, metadata and pages
+ */
+async function processBuffer(buffer, mimeType, options = {}) {
+  try {
+    // Validate OCR languages and output format up front so a bad value is a 400, not an extraction failure
+    options = {
+      ...options,
+      ocrLanguages: resolveOcrLanguages(options.ocrLanguages),
+      outputFormat: resolveOutputFormat(options.outputFormat),
+      tableFormat: resolveTableFormat(options.tableFormat),
+      cleaningProfile: resolveCleaningProfile(options.cleaningProfile),
+      chunking: resolveChunkingOptions(options.chunking),
+      pages: resolvePageRanges(options.pages),
+      ocrPages: resolvePageRanges(options.ocrPages, 'ocrPages')
+    };
+
+    const startTime = Date.now();
+    const documentHash = hashDocument(buffer);
+
+    // Results opened with a password are not cached, so they are never served to a request without it
+    if (!resultCache || options.password) {
+      const result = await extractBuffer(buffer, mimeType, options, documentHash);
+      return { ...result, metadata: { ...result.metadata, documentHash } };
     }
 
-    // Process based on file type
-    switch (mimeType) {
-      case 'application/pdf':
-        // Skip validation if requested (for image files being treated as PDFs)
-        const pdfOptions = { ...options };
-        if (options.skipPdfValidation) {
-          pdfOptions.skipSignatureCheck = true;
-        }
-        return await extractTextFromPDF(buffer, pdfOptions);
+    const cacheKey = computeCacheKey(documentHash, getCacheKeyOptions(mimeType, options));
 
-      case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
-        return await extractTextFromDOCX(buffer, options);
+    if (!options.noCache) {
+      const cached = await resultCache.get(cacheKey).catch((e) => {
+        console.log('Failed to read result cache:', e.message);
+        return null;
+      });
 
-      case 'application/msword':
-        throw {
-          code: 'UNSUPPORTED_FILE_TYPE',
-          message: 'Legacy DOC files are not supported. Please convert to DOCX.',
-          status: 400
-        };
+      if (cached) {
+        console.log(`Using cached result ${cacheKey}`);
+        return replayCachedResult(cached.value, options, {
+          documentHash,
+          cache: { hit: true, key: cacheKey, cachedAt: cached.createdAt },
+          processingTime: Date.now() - startTime
+        });
+      }
 
-      case 'text/plain':
-        return await extractTextFromTXT(buffer, options);
+      if (pendingExtractions.has(cacheKey)) {
+        console.log(`Waiting for extraction ${cacheKey} already in progress`);
+        const result = await pendingExtractions.get(cacheKey);
+        return replayCachedResult(result, options, {
+          documentHash,
+          cache: { hit: true, key: cacheKey, cachedAt: Date.now() },
+          processingTime: Date.now() - startTime
+        });
+      }
+    }
 
-      default:
-        throw {
-          code: 'UNSUPPORTED_FILE_TYPE',
-          message: `Unsupported file type: ${mimeType}. Supported types: PDF, DOCX, TXT`,
-          status: 400
-        };
+    const extraction = extractBuffer(buffer, mimeType, options, documentHash);
+    pendingExtractions.set(cacheKey, extraction);
+
+    let result;
+    try {
+      result = await extraction;
+    } finally {
+      if (pendingExtractions.get(cacheKey) === extraction) {
+        pendingExtractions.delete(cacheKey);
+      }
+    }
+
+    // Results of PDFs whose pages could not be OCR'd are not cached, so the next request tries again
+    if (!result.metadata.pageMethods?.some(page => page.ocrError)) {
+      await resultCache.set(cacheKey, result).catch(e => console.log('Failed to write result cache:', e.message));
     }
+
+    return {
+      ...result,
+      metadata: { ...result.metadata, documentHash, cache: { hit: false, key: cacheKey, cachedAt: null } }
+    };
   } catch (error) {
     console.error('Document processing failed:', error);
 
@@ -348,9 +1320,295 @@ async function processDocument(fileUrl, options = {}) {
   }
 }
 
+/**
+ * Collect the options that change the extraction output, used in the cache key
+ * @param {string} mimeType - Detected MIME type of the file
+ * @param {Object} options - Processing options
+ * @returns {Object} Output-affecting options
+ */
+function getCacheKeyOptions(mimeType, options) {
+  return {
+    mimeType,
+    enableOCR: Boolean(options.enableOCR),
+    ocrLanguages: options.ocrLanguages,
+    outputFormat: options.outputFormat,
+    extractTables: Boolean(options.extractTables),
+    tableFormat: options.extractTables ? options.tableFormat : undefined,
+    cleaningProfile: options.cleaningProfile,
+    chunking: options.chunking || undefined,
+    useDirectOcr: Boolean(options.useDirectOcr),
+    forcePdfMode: Boolean(options.forcePdfMode),
+    skipPdfValidation: Boolean(options.skipPdfValidation),
+    pages: options.pages,
+    // The page cap changes which pages a result holds, as the requested ranges do
+    maxPages: getMaxPages(),
+    ocrPages: options.ocrPages,
+    layout: Boolean(options.layout),
+    charset: options.charset
+  };
+}
+
+/**
+ * Return a stored result as if it was just extracted, reporting its pages to onProgress
+ * @param {Object} result - Cached extraction result
+ * @param {Object} options - Processing options
+ * @param {Object} metadata - Metadata to add to the cached metadata
+ * @returns {Object} Extracted text, metadata and pages
+ */
+function replayCachedResult(result, options, metadata) {
+  for (const page of result.pages) {
+    reportPage(options, page, result.pages.length);
+  }
+
+  return { ...result, metadata: { ...result.metadata, ...metadata } };
+}
+
+/**
+ * Validate the requested table format
+ * @param {string} tableFormat - 'rows' (default) or 'csv' to add a CSV rendering of each table
+ * @returns {string} Table format
+ */
+function resolveTableFormat(tableFormat) {
+  if (!tableFormat) {
+    return 'rows';
+  }
+  if (tableFormat !== 'rows' && tableFormat !== 'csv') {
+    throw {
+      code: 'INVALID_TABLE_FORMAT',
+      message: `Invalid table format: ${tableFormat}. Supported formats: rows, csv`,
+      status: 400
+    };
+  }
+  return tableFormat;
+}
+
+/**
+ * Replace the table blocks converted by mammoth with the tables read from the document XML
+ * @param {Array} blocks - Blocks from blocksFromHtml
+ * @param {Array} tables - Top-level tables from extractDocxTables, in document order
+ * @returns {Array} Blocks
+ */
+function replaceTableBlocks(blocks, tables) {
+  const tableBlocks = blocks.filter(block => block.type === 'table');
+  // Only swap when both found the same tables, otherwise keep mammoth's
+  if (tableBlocks.length !== tables.length) {
+    return blocks;
+  }
+
+  let index = 0;
+  return blocks.map(block => block.type === 'table' ? { type: 'table', rows: tables[index++].rows } : block);
+}
+
+/**
+ * Check whether the requested output format needs the document structure
+ * @param {Object} options - Processing options
+ * @returns {boolean} True for markdown, html and json output
+ */
+function isStructuredOutput(options) {
+  return Boolean(options.outputFormat) && options.outputFormat !== 'text';
+}
+
+/**
+ * Extract a file and render it in the requested output format
+ * @param {Buffer} buffer - File buffer
+ * @param {string} mimeType - Detected MIME type of the file
+ * @param {Object} options - Processing options
+ * @param {string} documentHash - SHA-256 of the file, used in chunk ids
+ * @returns {Promise} Extracted text, metadata, pages, content (for structured formats), tables and chunks
+ */
+async function extractBuffer(buffer, mimeType, options, documentHash) {
+  const { blocks, tables, layout, ...result } = await extractByType(buffer, mimeType, options);
+  // Document properties are not available for every format (TXT, images)
+  // and formats read as a single page (DOCX, HTML, TXT...) ignore the page ranges
+  const paginated = result.metadata.documentPages !== undefined;
+  result.metadata = {
+    ...result.metadata,
+    documentPages: paginated ? result.metadata.documentPages : result.metadata.totalPages,
+    truncated: Boolean(result.metadata.truncated),
+    pageRange: paginated ? options.pages || null : null,
+    document: result.metadata.document || null,
+    outputFormat: options.outputFormat,
+    cleaningProfile: options.cleaningProfile
+  };
+
+  if (options.extractTables) {
+    // OCR, TXT and DOC results have no table layout
+    result.tables = (tables || []).map((table, index) => ({
+      index,
+      ...table,
+      ...(options.tableFormat === 'csv' && { csv: tableToCsv(table.rows) })
+    }));
+    result.metadata.tableCount = result.tables.length;
+  }
+
+  if (options.layout) {
+    // Only PDFs and OCR results have positions
+    result.layout = layout ? flattenLayout(layout) : null;
+  }
+
+  if (options.chunking) {
+    result.chunks = chunkText(result, documentHash, options.chunking);
+    result.metadata.chunkCount = result.chunks.length;
+  }
+
+  if (!isStructuredOutput(options)) {
+    return result;
+  }
+
+  // Extractors without layout information (OCR, TXT) fall back to paragraphs split from the page text, which is
+  // already cleaned
+  const contentBlocks = blocks ? cleanBlocks(blocks, options.cleaningProfile) : blocksFromPages(result.pages);
+  return { ...result, content: formatBlocks(contentBlocks, options.outputFormat) };
+}
+
+/**
+ * Apply the cleaning profile to the text of headings, paragraphs and list items, so the structured content matches
+ * the extracted text. Table cells keep their values, as in the tables field.
+ * @param {Array} blocks - Blocks (heading, paragraph, listItem, table, pageBreak)
+ * @param {string} profile - Cleaning profile
+ * @returns {Array} Blocks with cleaned text
+ */
+function cleanBlocks(blocks, profile) {
+  return blocks.map(block => (typeof block.text === 'string' ? { ...block, text: cleanText(block.text, { profile }) } : block));
+}
+
+/**
+ * Extract text from a file that is already in memory based on its type
+ * @param {Buffer} buffer - File buffer
+ * @param {string} mimeType - Detected MIME type of the file
+ * @param {Object} options - Processing options
+ * @returns {Promise} Extracted text, metadata and pages
+ */
+async function extractByType(buffer, mimeType, options) {
+  // Special case: Use direct OCR on images (when we know it's actually a PDF)
+  if (options.useDirectOcr && mimeType.startsWith('image/')) {
+    console.log('Using direct OCR on image file');
+    return await extractTextWithOCR(buffer, { 
+      ...options,
+      directImageOcr: true 
+    });
+  }
+
+  // Force PDF mode for images if requested
+  if (options.forcePdfMode && mimeType.startsWith('image/')) {
+    if (options.skipPdfValidation) {
+      console.log('Forcing OCR for image that should be a PDF');
+      return await extractTextWithOCR(buffer, { 
+        ...options,
+        isPngAsPdf: true 
+      });
+    } else {
+      console.log('Forcing application/pdf MIME type for image');
+      mimeType = 'application/pdf';
+    }
+  }
+
+  // Process based on file type
+  switch (mimeType) {
+    case 'application/pdf':
+      // Skip validation if requested (for image files being treated as PDFs)
+      const pdfOptions = { ...options };
+      if (options.skipPdfValidation) {
+        pdfOptions.skipSignatureCheck = true;
+      }
+      return await extractTextFromPDF(buffer, pdfOptions);
+
+    case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+      return await extractTextFromDOCX(buffer, options);
+
+    case 'application/vnd.openxmlformats-officedocument.presentationml.presentation':
+      return await extractTextFromPPTX(buffer, options);
+
+    case 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet':
+      return await extractTextFromXLSX(buffer, options);
+
+    case 'application/vnd.oasis.opendocument.text':
+      return await extractTextFromODT(buffer, options);
+
+    case 'application/vnd.oasis.opendocument.spreadsheet':
+      return await extractTextFromODS(buffer, options);
+
+    case 'application/vnd.oasis.opendocument.presentation':
+      return await extractTextFromODP(buffer, options);
+
+    case 'application/msword':
+      return await extractTextFromDOC(buffer, options);
+
+    case 'application/rtf':
+    case 'text/rtf':
+      return await extractTextFromRTF(buffer, options);
+
+    case 'text/html':
+    case 'application/xhtml+xml':
+      return await extractTextFromHTML(buffer, options);
+
+    case 'application/epub+zip':
+      return await extractTextFromEPUB(buffer, options);
+
+    case 'text/markdown':
+    case 'text/x-markdown':
+      return await extractTextFromMarkdown(buffer, options);
+
+    case 'text/plain':
+      return await extractTextFromTXT(buffer, options);
+
+    case 'image/png':
+    case 'image/jpeg':
+    case 'image/webp':
+    case 'image/gif':
+    case 'image/bmp':
+    case 'image/tiff':
+      return await extractTextFromImage(buffer, options);
+
+    default:
+      throw {
+        code: 'UNSUPPORTED_FILE_TYPE',
+        message: `Unsupported file type: ${mimeType}. Supported types: PDF, DOCX, DOC, RTF, PPTX, XLSX, ODT, ODS, ODP, HTML, EPUB, Markdown, TXT, PNG, JPEG, WebP, GIF, BMP, TIFF`,
+        status: 400
+      };
+  }
+}
+
+/**
+ * Get OCR worker pool statistics for monitoring
+ * @returns {Object|null} Pool size, busy workers and queue depth, or null if OCR is unavailable
+ */
+function getOcrPoolStats() {
+  return ocrWorkerPool ? ocrWorkerPool.getStats() : null;
+}
+
+/**
+ * Get result cache statistics for monitoring
+ * @returns {Promise} Entries, size and hit counts, or null if caching is disabled
+ */
+async function getResultCacheStats() {
+  return resultCache ? await resultCache.getStats() : null;
+}
+
+/**
+ * Terminate all OCR workers
+ * @returns {Promise} Resolves when every worker has shut down
+ */
+async function shutdownOcrWorkers() {
+  if (ocrWorkerPool) {
+    await ocrWorkerPool.shutdown();
+  }
+}
+
 module.exports = {
   processDocument,
+  processBuffer,
+  buildProcessOptions,
   extractTextFromPDF,
   extractTextFromDOCX,
-  extractTextFromTXT
+  extractTextFromDOC,
+  extractTextFromRTF,
+  extractTextFromHTML,
+  extractTextFromEPUB,
+  extractTextFromMarkdown,
+  extractTextFromTXT,
+  extractTextFromImage,
+  getOcrPoolStats,
+  getResultCacheStats,
+  shutdownOcrWorkers
 }; 
\ No newline at end of file
@@ -0,0 +1,100 @@
+const { loadPdfDocument } = require('./pdfDocument');
+const { selectPages } = require('./pageRanges');
+
+// For PDF rasterization (optional)
+let createCanvas;
+try {
+  ({ createCanvas } = require('@napi-rs/canvas'));
+} catch (e) {
+  console.log('Canvas dependency not available. PDF OCR functionality disabled.');
+}
+
+const DEFAULT_RENDER_DPI = 200;
+
+/**
+ * Check whether PDF pages can be rendered to images
+ * @returns {boolean} True if rendering dependencies are available
+ */
+function isRenderingAvailable() {
+  return Boolean(createCanvas);
+}
+
+/**
+ * Canvas factory for the scratch canvases pdf.js draws images and patterns on, which would otherwise need the
+ * node-canvas package
+ */
+const canvasFactory = {
+  create(width, height) {
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  },
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  },
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+};
+
+/**
+ * Render the pages of a PDF to PNG images, one page at a time
+ * @param {Buffer} buffer - PDF file buffer
+ * @param {Object} options - Rendering options
+ * @param {string} options.pages - Page ranges to render, as returned by resolvePageRanges (every page when omitted)
+ * @param {number} options.dpi - Rendering resolution (defaults to OCR_RENDER_DPI or 200)
+ * @param {string} options.password - Password of an encrypted PDF
+ * @returns {AsyncGenerator} Yields { pageNumber, totalPages, documentPages, truncated, image, width, height, scale } per
+ *   page, totalPages being the number of pages rendered and scale the number of pixels per point
+ */
+async function* renderPdfPages(buffer, options = {}) {
+  if (!isRenderingAvailable()) {
+    throw new Error('PDF rendering dependencies not available');
+  }
+
+  const dpi = options.dpi || parseInt(process.env.OCR_RENDER_DPI, 10) || DEFAULT_RENDER_DPI;
+  const scale = dpi / 72;
+
+  const pdfDocument = await loadPdfDocument(buffer, { password: options.password });
+
+  try {
+    const { pageNumbers, truncated } = selectPages(options.pages, pdfDocument.numPages);
+    const totalPages = pageNumbers.length;
+
+    for (const pageNumber of pageNumbers) {
+      const page = await pdfDocument.getPage(pageNumber);
+      const viewport = page.getViewport({ scale });
+      const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+      await page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport,
+        canvasFactory
+      }).promise;
+
+      const image = await canvas.encode('png');
+      page.cleanup();
+
+      yield {
+        pageNumber,
+        totalPages,
+        documentPages: pdfDocument.numPages,
+        truncated,
+        image,
+        width: canvas.width,
+        height: canvas.height,
+        scale
+      };
+    }
+  } finally {
+    await pdfDocument.destroy();
+  }
+}
+
+module.exports = {
+  isRenderingAvailable,
+  renderPdfPages
+};
\ No newline at end of file
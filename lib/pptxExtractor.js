@@ -0,0 +1,216 @@
+const JSZip = require('jszip');
+const { readXmlPart, readRelationships, childElements } = require('./officePackage');
+
+const NOTES_SLIDE_RELATIONSHIP = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesSlide';
+
+// Placeholders repeated on every slide from the layout, not slide content
+const SKIPPED_PLACEHOLDERS = ['sldNum', 'dt', 'ftr', 'hdr', 'sldImg'];
+// Placeholders whose paragraphs are bulleted unless they say otherwise
+const BULLETED_PLACEHOLDERS = ['body', 'obj'];
+
+// DrawingML lengths are in EMU, 12700 per point
+const EMU_PER_POINT = 12700;
+
+/**
+ * Get the first descendant element with the given name
+ * @param {Object} node - DOM node
+ * @param {string} name - Element name
+ * @returns {Object|null} Element or null
+ */
+function findElement(node, name) {
+  return node.getElementsByTagName(name)[0] || null;
+}
+
+/**
+ * Get the text of a DrawingML paragraph
+ * @param {Object} paragraph - a:p element
+ * @returns {string} Paragraph text, line breaks as newlines
+ */
+function paragraphText(paragraph) {
+  let text = '';
+  for (const child of Array.from(paragraph.childNodes)) {
+    if (child.nodeName === 'a:r' || child.nodeName === 'a:fld') {
+      text += findElement(child, 'a:t')?.textContent || '';
+    } else if (child.nodeName === 'a:br') {
+      text += '\n';
+    }
+  }
+  return text;
+}
+
+/**
+ * Get the placeholder type of a shape
+ * @param {Object} shape - p:sp element
+ * @returns {string|null} Placeholder type (body when the placeholder has no type), or null for other shapes
+ */
+function placeholderType(shape) {
+  const placeholder = findElement(shape, 'p:ph');
+  return placeholder ? placeholder.getAttribute('type') || 'body' : null;
+}
+
+/**
+ * Convert the paragraphs of a text shape into blocks
+ * @param {Object} shape - p:sp element
+ * @param {string|null} type - Placeholder type
+ * @returns {Array} Blocks (heading, paragraph, listItem)
+ */
+function shapeBlocks(shape, type) {
+  const body = findElement(shape, 'p:txBody');
+  if (!body) {
+    return [];
+  }
+
+  const blocks = [];
+  for (const paragraph of childElements(body, 'a:p')) {
+    const text = paragraphText(paragraph).trim();
+    if (!text) {
+      continue;
+    }
+
+    if (type === 'title' || type === 'ctrTitle') {
+      blocks.push({ type: 'heading', level: 1, text });
+      continue;
+    }
+
+    const properties = childElements(paragraph, 'a:pPr')[0];
+    const depth = parseInt(properties?.getAttribute('lvl'), 10) || 0;
+    const numbered = properties && childElements(properties, 'a:buAutoNum').length > 0;
+    const bulleted = properties && childElements(properties, 'a:buChar').length > 0;
+    const unbulleted = properties && childElements(properties, 'a:buNone').length > 0;
+
+    if (numbered || bulleted || (BULLETED_PLACEHOLDERS.includes(type) && !unbulleted)) {
+      blocks.push({ type: 'listItem', ordered: Boolean(numbered), depth, text });
+    } else {
+      blocks.push({ type: 'paragraph', text });
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Read a DrawingML table. Merged cells keep their columns, empty after the first.
+ * @param {Object} table - a:tbl element
+ * @returns {Array} Rows of cell text
+ */
+function tableRows(table) {
+  return childElements(table, 'a:tr').map(row => childElements(row, 'a:tc').map((cell) => {
+    if (cell.getAttribute('hMerge') === '1' || cell.getAttribute('vMerge') === '1') {
+      return '';
+    }
+    const body = childElements(cell, 'a:txBody')[0];
+    return body ? childElements(body, 'a:p').map(paragraphText).join('\n').trim() : '';
+  }));
+}
+
+/**
+ * Get the position and size of a graphic frame in points from the top-left corner of the slide
+ * @param {Object} frame - p:graphicFrame element
+ * @returns {Object|null} { x, y, width, height }, or null if the frame has no position
+ */
+function frameBoundingBox(frame) {
+  const offset = findElement(frame, 'a:off');
+  const extent = findElement(frame, 'a:ext');
+  if (!offset || !extent) {
+    return null;
+  }
+
+  const toPoints = (element, name) => Math.round(Number(element.getAttribute(name)) / EMU_PER_POINT * 10) / 10;
+  return {
+    x: toPoints(offset, 'x'),
+    y: toPoints(offset, 'y'),
+    width: toPoints(extent, 'cx'),
+    height: toPoints(extent, 'cy')
+  };
+}
+
+/**
+ * Read the shapes of a slide or notes page in drawing order, descending into groups
+ * @param {Object} tree - p:spTree or p:grpSp element
+ * @param {Object} content - { blocks, tables } to add to
+ * @param {Array} placeholderTypes - Placeholder types to keep, or null for all but the skipped ones
+ */
+function readShapes(tree, content, placeholderTypes = null) {
+  for (const shape of Array.from(tree.childNodes)) {
+    switch (shape.nodeName) {
+      case 'p:sp': {
+        const type = placeholderType(shape);
+        const kept = placeholderTypes ? placeholderTypes.includes(type) : !SKIPPED_PLACEHOLDERS.includes(type);
+        if (kept) {
+          content.blocks.push(...shapeBlocks(shape, type));
+        }
+        break;
+      }
+
+      case 'p:grpSp':
+        readShapes(shape, content, placeholderTypes);
+        break;
+
+      case 'p:graphicFrame': {
+        const table = findElement(shape, 'a:tbl');
+        if (table && !placeholderTypes) {
+          const rows = tableRows(table);
+          content.blocks.push({ type: 'table', rows });
+          content.tables.push({ boundingBox: frameBoundingBox(shape), rows });
+        }
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * Read the slides of a PPTX file in presentation order
+ * @param {Buffer} buffer - PPTX file buffer
+ * @returns {Promise} Slides as { slideNumber, hidden, blocks, notes, tables }. Blocks are headings (slide titles),
+ *   paragraphs, list items and tables. Notes are the speaker notes paragraphs.
+ */
+async function extractPptxSlides(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const presentation = await readXmlPart(zip, 'ppt/presentation.xml');
+  if (!presentation) {
+    throw new Error('Missing ppt/presentation.xml');
+  }
+
+  const relationships = await readRelationships(zip, 'ppt/presentation.xml');
+  const slideIds = Array.from(presentation.getElementsByTagName('p:sldId'));
+  const slides = [];
+
+  for (const [index, slideId] of slideIds.entries()) {
+    const slidePart = relationships.get(slideId.getAttribute('r:id'))?.target;
+    const slide = slidePart && await readXmlPart(zip, slidePart);
+    if (!slide) {
+      continue;
+    }
+
+    const content = { blocks: [], tables: [] };
+    const shapeTree = findElement(slide, 'p:spTree');
+    if (shapeTree) {
+      readShapes(shapeTree, content);
+    }
+    // Titles first, whatever their drawing order
+    content.blocks.sort((a, b) => (b.type === 'heading') - (a.type === 'heading'));
+
+    // Speaker notes are the body placeholder of the notes page
+    const notes = { blocks: [], tables: [] };
+    const notesPart = Array.from((await readRelationships(zip, slidePart)).values())
+      .find(relationship => relationship.type === NOTES_SLIDE_RELATIONSHIP)?.target;
+    const notesPage = notesPart && await readXmlPart(zip, notesPart);
+    if (notesPage && findElement(notesPage, 'p:spTree')) {
+      readShapes(findElement(notesPage, 'p:spTree'), notes, ['body']);
+    }
+
+    slides.push({
+      slideNumber: index + 1,
+      hidden: slide.documentElement.getAttribute('show') === '0',
+      blocks: content.blocks,
+      notes: notes.blocks.map(block => block.text).join('\n'),
+      tables: content.tables
+    });
+  }
+
+  return slides;
+}
+
+module.exports = {
+  extractPptxSlides
+};
\ No newline at end of file
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { version } = require('../package.json');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_BYTES = 100 * 1024 * 1024;
+
+// Bump when extraction output changes, so stale results are not served after a deploy. The package version is part
+// of it too, so a release never serves results of the previous one.
+const CACHE_VERSION = `${version}-3`;
+
+/**
+ * Hash the bytes of a document
+ * @param {Buffer} buffer - File buffer
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+function hashDocument(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Build the cache key of an extraction from the document hash and the options that affect its output
+ * @param {string} documentHash - Hash of the file bytes
+ * @param {Object} keyOptions - Options that change the result, undefined values are ignored
+ * @returns {string} Hex encoded cache key
+ */
+function computeCacheKey(documentHash, keyOptions = {}) {
+  const options = Object.keys(keyOptions)
+    .sort()
+    .filter(key => keyOptions[key] !== undefined)
+    .map(key => [key, keyOptions[key]]);
+
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ version: CACHE_VERSION, documentHash, options }))
+    .digest('hex');
+}
+
+/**
+ * Build the ETag of an extraction result from its cache key.
+ * Weak, since options like includePages change the response but not the extraction.
+ * @param {Object} metadata - Result metadata
+ * @returns {string|null} ETag header value, or null if the result has no cache key
+ */
+function getResultEtag(metadata) {
+  return metadata?.cache?.key ? `W/"${metadata.cache.key}"` : null;
+}
+
+/**
+ * Check an If-None-Match request header against an ETag
+ * @param {string} header - If-None-Match header value
+ * @param {string} etag - ETag of the result
+ * @returns {boolean} True if the client already has this result
+ */
+function matchesEtag(header, etag) {
+  if (!header || !etag) {
+    return false;
+  }
+
+  const opaque = (value) => value.trim().replace(/^W\//, '');
+  return header.split(',').some(value => value.trim() === '*' || opaque(value) === opaque(etag));
+}
+
+/**
+ * Create a cache that keeps results in process memory, evicting the least recently used first
+ * @param {Object} options - Cache options
+ * @param {number} options.ttlMs - How long a result stays valid
+ * @param {number} options.maxBytes - Size budget for all cached results
+ * @returns {Object} Cache with get, set, delete, clear and getStats methods
+ */
+function createMemoryCache(options = {}) {
+  const ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+  const maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+  // Map iteration order doubles as the LRU order, oldest first
+  const entries = new Map();
+  let totalBytes = 0;
+  let hits = 0;
+  let misses = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (entry) {
+      totalBytes -= entry.size;
+      entries.delete(key);
+    }
+  };
+
+  return {
+    type: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        remove(key);
+        misses++;
+        return null;
+      }
+
+      entries.delete(key);
+      entries.set(key, entry);
+      hits++;
+      return { value: JSON.parse(entry.data), createdAt: entry.createdAt };
+    },
+
+    async set(key, value) {
+      // Stored serialized, so callers can't mutate cached results and the size is known
+      const data = JSON.stringify(value);
+      const size = Buffer.byteLength(data);
+      remove(key);
+
+      if (size > maxBytes) {
+        return false;
+      }
+
+      const createdAt = Date.now();
+      entries.set(key, { data, size, createdAt, expiresAt: createdAt + ttlMs });
+      totalBytes += size;
+
+      for (const oldestKey of entries.keys()) {
+        if (totalBytes <= maxBytes) {
+          break;
+        }
+        remove(oldestKey);
+      }
+      return true;
+    },
+
+    async delete(key) {
+      remove(key);
+    },
+
+    async clear() {
+      entries.clear();
+      totalBytes = 0;
+    },
+
+    async getStats() {
+      return { type: 'memory', entries: entries.size, bytes: totalBytes, maxBytes, hits, misses };
+    }
+  };
+}
+
+/**
+ * Create a cache that keeps one JSON file per result on local disk, evicting the least recently used first
+ * @param {Object} options - Cache options
+ * @param {string} options.directory - Directory for cache files
+ * @param {number} options.ttlMs - How long a result stays valid
+ * @param {number} options.maxBytes - Size budget for all cache files
+ * @returns {Object} Cache with get, set, delete, clear and getStats methods
+ */
+function createFileCache(options = {}) {
+  const ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+  const maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+  const directory = options.directory || path.join(os.tmpdir(), 'pdf-extractor-cache');
+  let hits = 0;
+  let misses = 0;
+
+  fs.mkdirSync(directory, { recursive: true });
+
+  // Keys are hex digests, but never let one escape the directory
+  const entryPath = (key) => path.join(directory, `${path.basename(String(key))}.json`);
+
+  const listEntries = async () => {
+    const files = await fs.promises.readdir(directory);
+    const entries = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const stats = await fs.promises.stat(path.join(directory, file)).catch(() => null);
+      if (stats) {
+        entries.push({ file, size: stats.size, usedAt: stats.mtimeMs });
+      }
+    }
+    return entries;
+  };
+
+  // Drop the least recently used files until the directory fits the budget
+  const evict = async () => {
+    const entries = (await listEntries()).sort((a, b) => a.usedAt - b.usedAt);
+    let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    for (const entry of entries) {
+      if (totalBytes <= maxBytes) {
+        break;
+      }
+      await fs.promises.rm(path.join(directory, entry.file), { force: true });
+      totalBytes -= entry.size;
+    }
+  };
+
+  return {
+    type: 'file',
+
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await fs.promises.readFile(entryPath(key), 'utf8'));
+      } catch (e) {
+        if (e.code !== 'ENOENT') {
+          console.log(`Failed to read cache entry ${key}:`, e.message);
+        }
+        misses++;
+        return null;
+      }
+
+      if (entry.expiresAt <= Date.now()) {
+        await fs.promises.rm(entryPath(key), { force: true });
+        misses++;
+        return null;
+      }
+
+      // The modification time tracks recent use for eviction
+      const now = new Date();
+      await fs.promises.utimes(entryPath(key), now, now).catch(() => {});
+      hits++;
+      return { value: entry.value, createdAt: entry.createdAt };
+    },
+
+    async set(key, value) {
+      const createdAt = Date.now();
+      const data = JSON.stringify({ key, createdAt, expiresAt: createdAt + ttlMs, value });
+
+      if (Buffer.byteLength(data) > maxBytes) {
+        return false;
+      }
+
+      // Write to a temporary file first so readers never see a partial entry
+      const tempPath = `${entryPath(key)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, data);
+      await fs.promises.rename(tempPath, entryPath(key));
+      await evict().catch(e => console.log('Failed to evict cache entries:', e.message));
+      return true;
+    },
+
+    async delete(key) {
+      await fs.promises.rm(entryPath(key), { force: true });
+    },
+
+    async clear() {
+      const entries = await listEntries();
+      for (const entry of entries) {
+        await fs.promises.rm(path.join(directory, entry.file), { force: true });
+      }
+    },
+
+    async getStats() {
+      const entries = await listEntries();
+      return {
+        type: 'file',
+        entries: entries.length,
+        bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+        maxBytes,
+        hits,
+        misses
+      };
+    }
+  };
+}
+
+/**
+ * Create a result cache from configuration
+ * @param {string} type - Cache backend: 'memory', 'file' or 'none' (defaults to RESULT_CACHE or 'memory')
+ * @param {Object} options - Backend specific options
+ * @returns {Object|null} Result cache, or null when caching is disabled
+ */
+function createResultCache(type = process.env.RESULT_CACHE || 'memory', options = {}) {
+  const ttlMs = options.ttlMs || parseInt(process.env.RESULT_CACHE_TTL_MS, 10) || DEFAULT_TTL_MS;
+  const maxBytes = options.maxBytes || parseInt(process.env.RESULT_CACHE_MAX_BYTES, 10) || DEFAULT_MAX_BYTES;
+
+  switch (type) {
+    case 'none':
+      return null;
+
+    case 'memory':
+      return createMemoryCache({ ...options, ttlMs, maxBytes });
+
+    case 'file':
+      return createFileCache({
+        ...options,
+        directory: options.directory || process.env.RESULT_CACHE_DIR,
+        ttlMs,
+        maxBytes
+      });
+
+    default:
+      throw new Error(`Unknown result cache type: ${type}. Supported types: memory, file, none`);
+  }
+}
+
+module.exports = {
+  hashDocument,
+  computeCacheKey,
+  getResultEtag,
+  matchesEtag,
+  createResultCache,
+  createMemoryCache,
+  createFileCache
+};
\ No newline at end of file
@@ -0,0 +1,348 @@
+const { decodeCodePage } = require('./codePages');
+
+// Destinations whose content is not document text
+const SKIPPED_DESTINATIONS = new Set([
+  'annotation', 'atnauthor', 'atnid', 'colortbl', 'datafield', 'datastore', 'fldinst', 'footer', 'footerf', 'footerl',
+  'footerr', 'footnote', 'header', 'headerf', 'headerl', 'headerr', 'latentstyles', 'listoverridetable', 'listtable',
+  'nonshppict', 'objdata', 'pict', 'pntext', 'pntxta', 'pntxtb', 'revtbl', 'rsidtbl', 'stylesheet', 'tc', 'txe',
+  'xe', 'xmlnstbl'
+]);
+
+// Control words that stand for characters
+const CHARACTER_WORDS = {
+  par: '\n',
+  line: '\n',
+  sect: '\n\n',
+  page: '\n\n',
+  tab: '\t',
+  nestcell: '\t',
+  nestrow: '\n',
+  emdash: '\u2014',
+  endash: '\u2013',
+  emspace: '\u2003',
+  enspace: '\u2002',
+  qmspace: '\u2005',
+  bullet: '\u2022',
+  lquote: '\u2018',
+  rquote: '\u2019',
+  ldblquote: '\u201C',
+  rdblquote: '\u201D'
+};
+
+// Control symbols that stand for characters
+const CHARACTER_SYMBOLS = {
+  '\\': '\\',
+  '{': '{',
+  '}': '}',
+  '~': '\u00A0',
+  '_': '-',
+  '-': '',
+  '\n': '\n',
+  '\r': '\n'
+};
+
+// Font character sets (fcharset) and their code pages
+const CHARSET_CODE_PAGES = {
+  128: 932, 129: 949, 134: 936, 136: 950, 161: 1253, 162: 1254, 163: 1258, 177: 1255, 178: 1256, 186: 1257,
+  204: 1251, 222: 874, 238: 1250
+};
+
+// Info fields read as document metadata
+const INFO_TEXT_FIELDS = new Set(['title', 'subject', 'author', 'keywords', 'doccomm', 'category', 'operator', 'company']);
+const INFO_NUMBER_FIELDS = new Set(['version', 'nofpages', 'nofwords', 'nofchars', 'edmins']);
+
+/**
+ * Check whether a buffer is an RTF document
+ * @param {Buffer} buffer - File buffer
+ * @returns {boolean} True if the buffer starts with the {\rtf signature
+ */
+function isRtf(buffer) {
+  return Boolean(buffer) && buffer.subarray(0, 5).toString('latin1') === '{\\rtf';
+}
+
+/**
+ * Convert the date fields of an info time group (creatim, revtim) to ISO 8601
+ * @param {Object} parts - { yr, mo, dy, hr, min, sec }
+ * @returns {string|null} ISO 8601 date, or null without a valid year. RTF times have no zone and are read as UTC.
+ */
+function infoDate(parts) {
+  if (!parts || !parts.yr) {
+    return null;
+  }
+  const date = new Date(Date.UTC(parts.yr, (parts.mo || 1) - 1, parts.dy || 1, parts.hr || 0, parts.min || 0, parts.sec || 0));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Extract the text, tables and document info of an RTF document
+ * @param {Buffer} buffer - RTF file buffer
+ * @returns {Object} { text, tables, metadata }. Tables are rows of cell text.
+ */
+function extractRtf(buffer) {
+  if (!isRtf(buffer)) {
+    throw new Error('Missing {\\rtf signature');
+  }
+
+  // RTF is 7-bit; bytes are mapped one-to-one and decoded with the document code page
+  const source = buffer.toString('latin1');
+  const fonts = new Map();
+  const info = {};
+  const tables = [];
+  let defaultCodePage = 1252;
+  let defaultFont = null;
+
+  let state = { skip: false, destination: null, uc: 1, codePage: null, inTable: false, font: null, time: null, ignorable: false };
+  const stack = [];
+  let output = '';
+  let pendingBytes = [];
+  // Fallback characters still to skip after a \u character
+  let fallbackSkip = 0;
+
+  let row = [];
+  let rows = [];
+  let cellStart = 0;
+
+  const flushBytes = () => {
+    if (pendingBytes.length) {
+      const bytes = pendingBytes;
+      pendingBytes = [];
+      emitText(decodeCodePage(Buffer.from(bytes), state.codePage || defaultCodePage));
+    }
+  };
+
+  const emitText = (text) => {
+    if (state.skip || state.destination === 'fonttbl' || state.destination === 'info') {
+      return;
+    }
+    if (state.destination) {
+      info[state.destination] = (info[state.destination] || '') + text;
+      return;
+    }
+    // Text outside a table row ends the table in progress
+    if (rows.length && !state.inTable && text.trim()) {
+      tables.push(rows);
+      rows = [];
+    }
+    output += text;
+  };
+
+  const emitByte = (byte) => {
+    if (fallbackSkip > 0) {
+      fallbackSkip--;
+      return;
+    }
+    pendingBytes.push(byte);
+  };
+
+  const controlWord = (word, parameter) => {
+    // Skipped groups are only read for the dates of the info group
+    if (state.skip && !state.time) {
+      return;
+    }
+    // An ignorable destination (\*) is skipped unless it is an info field, e.g. {\*\company ...}
+    if (state.ignorable) {
+      state.ignorable = false;
+      if (!(state.destination === 'info' && INFO_TEXT_FIELDS.has(word))) {
+        state.skip = true;
+        return;
+      }
+    }
+
+    if (word in CHARACTER_WORDS) {
+      emitText(CHARACTER_WORDS[word]);
+      if (word === 'par' && !state.inTable) {
+        cellStart = output.length;
+      }
+      return;
+    }
+
+    switch (word) {
+      case 'ansicpg':
+        defaultCodePage = parameter;
+        return;
+      case 'mac':
+        defaultCodePage = 10000;
+        return;
+      case 'deff':
+        defaultFont = parameter;
+        return;
+      case 'f':
+        if (state.destination === 'fonttbl') {
+          state.font = parameter;
+        } else {
+          state.codePage = fonts.get(parameter) ?? fonts.get(defaultFont) ?? null;
+        }
+        return;
+      case 'fcharset':
+        if (state.destination === 'fonttbl' && state.font !== null && CHARSET_CODE_PAGES[parameter]) {
+          fonts.set(state.font, CHARSET_CODE_PAGES[parameter]);
+        }
+        return;
+      case 'cpg':
+        if (state.destination === 'fonttbl' && state.font !== null && parameter) {
+          fonts.set(state.font, parameter);
+        }
+        return;
+      case 'uc':
+        state.uc = parameter;
+        return;
+      case 'u':
+        emitText(String.fromCharCode(parameter < 0 ? parameter + 65536 : parameter));
+        fallbackSkip = state.uc;
+        return;
+      case 'pard':
+        state.inTable = false;
+        return;
+      case 'intbl':
+        state.inTable = true;
+        return;
+      case 'cell':
+        row.push(output.slice(cellStart).trim());
+        emitText('\t');
+        cellStart = output.length;
+        return;
+      case 'row':
+        if (row.length) {
+          rows.push(row);
+        }
+        row = [];
+        if (output.endsWith('\t')) {
+          output = output.slice(0, -1);
+        }
+        emitText('\n');
+        cellStart = output.length;
+        return;
+      case 'fonttbl':
+      case 'info':
+        state.destination = word;
+        return;
+      case 'creatim':
+      case 'revtim':
+        state.destination = null;
+        state.skip = true;
+        state.time = info[word] = {};
+        return;
+      case 'yr':
+      case 'mo':
+      case 'dy':
+      case 'hr':
+      case 'min':
+      case 'sec':
+        if (state.time) {
+          state.time[word] = parameter;
+        }
+        return;
+    }
+
+    if (state.destination === 'info' && INFO_TEXT_FIELDS.has(word)) {
+      state.destination = word;
+    } else if (state.destination === 'info' && INFO_NUMBER_FIELDS.has(word)) {
+      info[word] = parameter;
+    } else if (SKIPPED_DESTINATIONS.has(word)) {
+      state.skip = true;
+    }
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const character = source[i];
+
+    if (character === '{' || character === '}') {
+      flushBytes();
+      fallbackSkip = 0;
+      if (character === '{') {
+        stack.push(state);
+        state = { ...state };
+      } else if (stack.length) {
+        state = stack.pop();
+      }
+      continue;
+    }
+
+    if (character === '\r' || character === '\n') {
+      continue;
+    }
+
+    if (character !== '\\') {
+      emitByte(character.charCodeAt(0));
+      continue;
+    }
+
+    const next = source[i + 1];
+
+    // Hex escape of a byte in the current code page, e.g. \'e9
+    if (next === "'") {
+      emitByte(parseInt(source.slice(i + 2, i + 4), 16) || 0);
+      i += 3;
+      continue;
+    }
+
+    flushBytes();
+
+    const match = /^([a-zA-Z]{1,32})(-?\d{1,10})? ?/.exec(source.slice(i + 1, i + 46));
+    if (!match) {
+      i++;
+      fallbackSkip = 0;
+      if (next === '*') {
+        state.ignorable = true;
+      } else if (next in CHARACTER_SYMBOLS) {
+        emitText(CHARACTER_SYMBOLS[next]);
+      }
+      continue;
+    }
+
+    i += match[0].length;
+    const word = match[1];
+    const parameter = match[2] === undefined ? null : parseInt(match[2], 10);
+
+    // Binary data follows \binN directly
+    if (word === 'bin') {
+      i += parameter || 0;
+      continue;
+    }
+    if (word !== 'u') {
+      fallbackSkip = 0;
+    }
+    controlWord(word, parameter);
+  }
+  flushBytes();
+
+  if (row.length) {
+    rows.push(row);
+  }
+  if (rows.length) {
+    tables.push(rows);
+  }
+
+  const text = (word) => (info[word] && info[word].trim()) || null;
+  const number = (word) => (Number.isInteger(info[word]) ? info[word] : null);
+
+  return {
+    text: output,
+    tables: tables.map((tableRows) => {
+      const columnCount = Math.max(...tableRows.map(cells => cells.length));
+      return tableRows.map(cells => [...cells, ...Array(columnCount - cells.length).fill('')]);
+    }),
+    metadata: {
+      title: text('title'),
+      author: text('author'),
+      subject: text('subject'),
+      keywords: text('keywords'),
+      description: text('doccomm'),
+      category: text('category'),
+      lastModifiedBy: text('operator'),
+      revision: number('version'),
+      createdAt: infoDate(info.creatim),
+      modifiedAt: infoDate(info.revtim),
+      company: text('company'),
+      pages: number('nofpages'),
+      words: number('nofwords'),
+      characters: number('nofchars'),
+      totalEditingMinutes: number('edmins')
+    }
+  };
+}
+
+module.exports = {
+  isRtf,
+  extractRtf
+};
\ No newline at end of file
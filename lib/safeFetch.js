@@ -0,0 +1,304 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const DEFAULT_MAX_BYTES = 50000000;
+const DEFAULT_MAX_REDIRECTS = 5;
+
+// Addresses that must never be fetched: private, loopback, link-local and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+// ::/96 (IPv4-compatible, including :: and ::1), 64:ff9b::/96 (NAT64) and 2002::/16 (6to4) embed IPv4 addresses
+// that may be private, so they are blocked as a whole
+[
+  ['::', 96], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Create a formatted fetch error
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status to report
+ * @returns {Object} Error object in the service's error format
+ */
+function fetchError(code, message, status) {
+  return { code, message, status };
+}
+
+/**
+ * Get the maximum download size in bytes
+ * @returns {number} Byte limit from MAX_FILE_SIZE
+ */
+function getMaxBytes() {
+  return parseInt(process.env.MAX_FILE_SIZE, 10) || DEFAULT_MAX_BYTES;
+}
+
+/**
+ * Parse a comma-separated host list from the environment
+ * @param {string} value - e.g. "res.cloudinary.com,*.amazonaws.com"
+ * @returns {Array} Lower-cased host patterns
+ */
+function parseHostList(value) {
+  return (value || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Check a hostname against a host pattern; "*.example.com" matches subdomains
+ * @param {string} hostname - Lower-cased hostname
+ * @param {string} pattern - Host pattern
+ * @returns {boolean} True if the hostname matches
+ */
+function matchesHost(hostname, pattern) {
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  return hostname === pattern;
+}
+
+/**
+ * Check whether an IP address is private, loopback, link-local or reserved
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be fetched
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return true;
+  }
+
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return blockedAddresses.check(mapped[1], 'ipv4');
+  }
+
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Validate a URL before fetching it: scheme, allow/deny host lists and IP literals
+ * @param {string} url - URL to validate
+ * @param {Object} options - Validation options
+ * @param {boolean} options.allowHttp - Accept http URLs (defaults to FETCH_ALLOW_HTTP)
+ * @param {boolean} options.checkAllowedHosts - Apply FETCH_ALLOWED_HOSTS (default: true)
+ * @returns {URL} Parsed URL
+ */
+function validateUrl(url, options = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw fetchError('INVALID_URL', `Invalid URL: ${url}`, 400);
+  }
+
+  const allowHttp = options.allowHttp ?? process.env.FETCH_ALLOW_HTTP === 'true';
+  if (parsed.protocol !== 'https:' && !(allowHttp && parsed.protocol === 'http:')) {
+    throw fetchError('UNSUPPORTED_URL_SCHEME', `Unsupported URL scheme: ${parsed.protocol.replace(':', '')}. Use https or data URLs`, 400);
+  }
+
+  if (parsed.username || parsed.password) {
+    throw fetchError('INVALID_URL', 'URLs with embedded credentials are not allowed', 400);
+  }
+
+  // URL keeps IPv6 literals in brackets
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+  const deniedHosts = parseHostList(process.env.FETCH_DENIED_HOSTS);
+  if (deniedHosts.some(pattern => matchesHost(hostname, pattern))) {
+    throw fetchError('HOST_NOT_ALLOWED', `Host ${hostname} is not allowed`, 403);
+  }
+
+  const allowedHosts = parseHostList(process.env.FETCH_ALLOWED_HOSTS);
+  if (options.checkAllowedHosts !== false && allowedHosts.length > 0 && !allowedHosts.some(pattern => matchesHost(hostname, pattern))) {
+    throw fetchError('HOST_NOT_ALLOWED', `Host ${hostname} is not in the list of allowed hosts`, 403);
+  }
+
+  // Sockets skip the DNS lookup for IP literals, so check them here
+  const allowPrivate = process.env.FETCH_ALLOW_PRIVATE_ADDRESSES === 'true';
+  if (net.isIP(hostname) && isBlockedAddress(hostname) && !allowPrivate) {
+    throw fetchError('PRIVATE_ADDRESS_BLOCKED', `Address ${hostname} is private or reserved`, 403);
+  }
+
+  return parsed;
+}
+
+/**
+ * DNS lookup for outgoing connections that refuses private addresses.
+ * Used as the socket lookup, so the checked address is the one connected to.
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(Object.assign(fetchError('DNS_LOOKUP_FAILED', `Could not resolve host ${hostname}`, 400), { cause: err }));
+    }
+
+    const allowPrivate = process.env.FETCH_ALLOW_PRIVATE_ADDRESSES === 'true';
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked && !allowPrivate) {
+      return callback(fetchError('PRIVATE_ADDRESS_BLOCKED', `Host ${hostname} resolves to a private or reserved address (${blocked.address})`, 403));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+/**
+ * Read a response stream into a buffer, aborting once it exceeds the byte limit
+ * @param {Stream} stream - Response body stream
+ * @param {number} maxBytes - Maximum number of bytes to read
+ * @returns {Promise} File buffer
+ */
+function readLimited(stream, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        stream.destroy();
+        reject(fetchError('FILE_TOO_LARGE', `File exceeds the maximum size of ${maxBytes} bytes`, 413));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Decode a data: URI
+ * @param {string} url - data: URI
+ * @param {Object} options - Fetch options (maxBytes)
+ * @returns {Object} File buffer, declared content type and charset
+ */
+function decodeDataUrl(url, options = {}) {
+  const maxBytes = options.maxBytes || getMaxBytes();
+  const match = url.match(/^data:([^,]*?),(.*)$/s);
+  if (!match) {
+    throw fetchError('INVALID_URL', 'Invalid data URL', 400);
+  }
+
+  const params = match[1].split(';');
+  const isBase64 = params.includes('base64');
+  const contentType = params[0] || 'text/plain';
+  const charset = params.find(param => /^charset=/i.test(param));
+
+  // Check the encoded length first so a huge payload is never decoded
+  const maxEncodedLength = isBase64 ? Math.ceil(maxBytes / 3) * 4 + 4 : maxBytes * 3;
+  if (match[2].length > maxEncodedLength) {
+    throw fetchError('FILE_TOO_LARGE', `File exceeds the maximum size of ${maxBytes} bytes`, 413);
+  }
+
+  const buffer = isBase64
+    ? Buffer.from(match[2], 'base64')
+    : Buffer.from(decodeURIComponent(match[2]), 'utf8');
+
+  if (buffer.length > maxBytes) {
+    throw fetchError('FILE_TOO_LARGE', `File exceeds the maximum size of ${maxBytes} bytes`, 413);
+  }
+
+  return { buffer, contentType, charset: charset ? charset.slice('charset='.length).toLowerCase() : null, url: 'data:' };
+}
+
+/**
+ * Fetch a URL with SSRF protection, a byte limit and checked redirects
+ * @param {string} url - https URL to fetch
+ * @param {Object} options - Fetch options
+ * @param {Object} options.headers - Request headers
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {number} options.maxBytes - Maximum response size (defaults to MAX_FILE_SIZE)
+ * @param {number} options.maxRedirects - Maximum redirects to follow
+ * @returns {Promise} Object with buffer, contentType, status and the final url
+ */
+async function safeFetch(url, options = {}) {
+  const maxBytes = options.maxBytes || getMaxBytes();
+  const configuredRedirects = parseInt(process.env.FETCH_MAX_REDIRECTS, 10);
+  const maxRedirects = options.maxRedirects ?? (Number.isNaN(configuredRedirects) ? DEFAULT_MAX_REDIRECTS : configuredRedirects);
+
+  let currentUrl = url;
+
+  for (let redirects = 0; ; redirects++) {
+    // Every hop is validated again, redirects may point anywhere
+    validateUrl(currentUrl);
+
+    let response;
+    try {
+      response = await axios({
+        method: 'get',
+        url: currentUrl,
+        responseType: 'stream',
+        timeout: options.timeout || 60000,
+        headers: options.headers,
+        maxRedirects: 0,
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+        validateStatus: () => true
+      });
+    } catch (e) {
+      // Policy errors raised by the lookup come back wrapped by axios
+      const cause = [e.cause, e].find(candidate => candidate?.code && candidate?.status);
+      throw cause ? fetchError(cause.code, cause.message, cause.status) : e;
+    }
+
+    const { status, headers, data: stream } = response;
+
+    if (status >= 300 && status < 400 && headers.location) {
+      stream.destroy();
+
+      if (redirects >= maxRedirects) {
+        throw fetchError('TOO_MANY_REDIRECTS', `Stopped after ${maxRedirects} redirects`, 400);
+      }
+
+      currentUrl = new URL(headers.location, currentUrl).toString();
+      continue;
+    }
+
+    if (status < 200 || status >= 300) {
+      stream.destroy();
+      const error = new Error(`Request failed with status code ${status}`);
+      error.statusCode = status;
+      throw error;
+    }
+
+    const contentLength = parseInt(headers['content-length'], 10);
+    if (contentLength > maxBytes) {
+      stream.destroy();
+      throw fetchError('FILE_TOO_LARGE', `File exceeds the maximum size of ${maxBytes} bytes`, 413);
+    }
+
+    const buffer = await readLimited(stream, maxBytes);
+
+    return {
+      buffer,
+      contentType: headers['content-type'] || null,
+      status,
+      url: currentUrl
+    };
+  }
+}
+
+module.exports = {
+  safeFetch,
+  decodeDataUrl,
+  validateUrl,
+  isBlockedAddress,
+  httpAgent,
+  httpsAgent
+};
\ No newline at end of file
@@ -0,0 +1,322 @@
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+const { childElements } = require('./officePackage');
+
+// Text items further apart than this (in font sizes) are separate cells
+const CELL_GAP_RATIO = 0.9;
+// Items this close to a row's baseline (in font sizes) belong to the row
+const ROW_BASELINE_TOLERANCE = 0.3;
+// Rows further apart than this (in font sizes) end a table
+const MAX_ROW_GAP_RATIO = 2.5;
+// Single-cell rows (section labels) allowed in a row inside a table
+const MAX_SINGLE_CELL_ROWS = 2;
+// Cells of body text laid out in columns are long, table cells are short
+const MAX_AVERAGE_CELL_WORDS = 5;
+
+/**
+ * Round a coordinate to a tenth of a point
+ * @param {number} value - Coordinate
+ * @returns {number} Rounded coordinate
+ */
+function roundCoordinate(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Group the text items of a page into rows by baseline, top to bottom
+ * @param {Array} items - Items from extractPageItems
+ * @returns {Array} Rows as { y, fontSize, items }
+ */
+function groupRows(items) {
+  const sorted = items
+    .filter(item => item.text.trim())
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+  const rows = [];
+
+  for (const item of sorted) {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.y - item.y) <= Math.max(row.fontSize, item.fontSize) * ROW_BASELINE_TOLERANCE) {
+      row.items.push(item);
+      row.fontSize = Math.max(row.fontSize, item.fontSize);
+    } else {
+      rows.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+    }
+  }
+
+  for (const row of rows) {
+    row.items.sort((a, b) => a.x - b.x);
+  }
+  return rows;
+}
+
+/**
+ * Split a row into cells at wide horizontal gaps.
+ * Items drawn as one string ("Name    Qty") are split at runs of spaces, estimating their positions.
+ * @param {Object} row - Row from groupRows
+ * @returns {Array} Cells as { text, x0, x1 }
+ */
+function splitCells(row) {
+  const segments = [];
+
+  for (const item of row.items) {
+    const charWidth = item.text.length ? item.width / item.text.length : 0;
+    const pattern = /\S+(?: \S+)*/g;
+    let match;
+    while ((match = pattern.exec(item.text)) !== null) {
+      segments.push({
+        text: match[0],
+        x0: item.x + match.index * charWidth,
+        x1: item.x + (match.index + match[0].length) * charWidth
+      });
+    }
+  }
+
+  const cells = [];
+  for (const segment of segments) {
+    const cell = cells[cells.length - 1];
+    if (cell && segment.x0 - cell.x1 <= row.fontSize * CELL_GAP_RATIO) {
+      cell.text += ' ' + segment.text;
+      cell.x1 = Math.max(cell.x1, segment.x1);
+    } else {
+      cells.push({ ...segment });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Find column ranges by merging the overlapping horizontal extents of cells
+ * @param {Array} rows - Rows with cells
+ * @returns {Array} Columns as { x0, x1 }, left to right
+ */
+function findColumns(rows) {
+  const extents = rows
+    .filter(row => row.cells.length > 1)
+    .flatMap(row => row.cells.map(cell => ({ x0: cell.x0, x1: cell.x1 })))
+    .sort((a, b) => a.x0 - b.x0);
+
+  const columns = [];
+  for (const extent of extents) {
+    const column = columns[columns.length - 1];
+    if (column && extent.x0 <= column.x1) {
+      column.x1 = Math.max(column.x1, extent.x1);
+    } else {
+      columns.push({ ...extent });
+    }
+  }
+  return columns;
+}
+
+/**
+ * Build a table from a run of rows, or reject it if it does not look like one
+ * @param {Array} rows - Consecutive rows with cells
+ * @param {Object} page - { pageNumber, pageSize }
+ * @returns {Object|null} Table, or null if the rows are not tabular
+ */
+function buildTable(rows, { pageNumber, pageSize }) {
+  const columns = findColumns(rows);
+  if (columns.length < 2) {
+    return null;
+  }
+
+  const cells = rows.flatMap(row => row.cells);
+  const averageWords = cells.reduce((sum, cell) => sum + cell.text.split(' ').length, 0) / cells.length;
+  if (averageWords > MAX_AVERAGE_CELL_WORDS) {
+    return null;
+  }
+
+  const tableRows = rows.map((row) => {
+    const values = columns.map(() => []);
+    for (const cell of row.cells) {
+      // The column containing the cell's centre, or the nearest one
+      const centre = (cell.x0 + cell.x1) / 2;
+      let index = columns.findIndex(column => centre >= column.x0 && centre <= column.x1);
+      if (index === -1) {
+        index = columns.reduce((best, column, i) =>
+          Math.abs((column.x0 + column.x1) / 2 - centre) < Math.abs((columns[best].x0 + columns[best].x1) / 2 - centre) ? i : best, 0);
+      }
+      values[index].push(cell.text);
+    }
+    return values.map(value => value.join(' '));
+  });
+
+  if (tableRows.filter(row => row.filter(Boolean).length > 1).length < 2) {
+    return null;
+  }
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const left = Math.min(...cells.map(cell => cell.x0));
+  const right = Math.max(...cells.map(cell => cell.x1));
+  // Baselines plus the ascent of the first row and the descent of the last
+  const top = first.y + first.fontSize;
+  const bottom = last.y - last.fontSize * 0.25;
+
+  return {
+    pageNumber,
+    // Points from the top-left corner of the page
+    boundingBox: {
+      x: roundCoordinate(left),
+      y: roundCoordinate(pageSize.height - top),
+      width: roundCoordinate(right - left),
+      height: roundCoordinate(top - bottom)
+    },
+    rowCount: tableRows.length,
+    columnCount: columns.length,
+    rows: tableRows
+  };
+}
+
+/**
+ * Detect tables on a PDF page from the positions of its text items
+ * @param {Array} items - Items from extractPageItems
+ * @param {Object} page - Page information
+ * @param {number} page.pageNumber - 1-based page number
+ * @param {Object} page.pageSize - { width, height } in points
+ * @returns {Array} Tables as { pageNumber, boundingBox, rowCount, columnCount, rows }
+ */
+function detectPdfTables(items, page) {
+  const rows = groupRows(items).map(row => ({ ...row, cells: splitCells(row) }));
+  const tables = [];
+  let run = [];
+
+  const closeRun = () => {
+    // Trailing single-cell rows are text after the table
+    while (run.length && run[run.length - 1].cells.length < 2) {
+      run.pop();
+    }
+    if (run.length >= 2) {
+      const table = buildTable(run, page);
+      if (table) {
+        tables.push(table);
+      }
+    }
+    run = [];
+  };
+
+  let singleCellRows = 0;
+  for (const row of rows) {
+    const previous = run[run.length - 1];
+    if (previous && previous.y - row.y > Math.max(previous.fontSize, row.fontSize) * MAX_ROW_GAP_RATIO) {
+      closeRun();
+    }
+
+    if (row.cells.length > 1) {
+      run.push(row);
+      singleCellRows = 0;
+    } else if (run.length && singleCellRows < MAX_SINGLE_CELL_ROWS) {
+      // Section labels inside a table ("Current assets")
+      run.push(row);
+      singleCellRows++;
+    } else {
+      closeRun();
+      singleCellRows = 0;
+    }
+  }
+  closeRun();
+
+  return tables;
+}
+
+/**
+ * Check whether a node is inside an element with the given name
+ * @param {Object} node - DOM node
+ * @param {string} name - Element name
+ * @returns {boolean} True if an ancestor has the name
+ */
+function hasAncestor(node, name) {
+  for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+    if (parent.nodeName === name) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Get the text of a DOCX table cell, one line per paragraph, skipping nested tables
+ * @param {Object} cell - w:tc element
+ * @returns {string} Cell text
+ */
+function docxCellText(cell) {
+  const paragraphs = [];
+
+  const walk = (node) => {
+    switch (node.nodeName) {
+      case 'w:tbl':
+        return;
+      case 'w:p':
+        paragraphs.push('');
+        break;
+      case 'w:t':
+        paragraphs[paragraphs.length - 1] += node.textContent;
+        return;
+      case 'w:tab':
+        paragraphs[paragraphs.length - 1] += '\t';
+        return;
+      case 'w:br':
+      case 'w:cr':
+        paragraphs[paragraphs.length - 1] += '\n';
+        return;
+    }
+
+    for (let i = 0; i < node.childNodes.length; i++) {
+      walk(node.childNodes[i]);
+    }
+  };
+
+  walk(cell);
+  return paragraphs.join('\n').trim();
+}
+
+/**
+ * Read the tables of a DOCX file from its document XML, keeping merged cells aligned
+ * @param {Buffer} buffer - DOCX file buffer
+ * @returns {Promise} Tables in document order, with a nested flag for tables inside table cells
+ */
+async function extractDocxTables(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const documentFile = zip.file('word/document.xml');
+  if (!documentFile) {
+    return [];
+  }
+
+  const document = new DOMParser().parseFromString(await documentFile.async('string'), 'text/xml');
+  const tables = Array.from(document.getElementsByTagName('w:tbl'));
+
+  return tables.map((table) => {
+    const rows = childElements(table, 'w:tr').map((row) => {
+      const values = [];
+      for (const cell of childElements(row, 'w:tc')) {
+        const properties = childElements(cell, 'w:tcPr')[0];
+        const gridSpan = properties && childElements(properties, 'w:gridSpan')[0];
+        const vMerge = properties && childElements(properties, 'w:vMerge')[0];
+        const span = parseInt(gridSpan?.getAttribute('w:val'), 10) || 1;
+
+        // Vertically merged cells only have text in the first row of the merge
+        const continuesMerge = vMerge && vMerge.getAttribute('w:val') !== 'restart';
+        values.push(continuesMerge ? '' : docxCellText(cell));
+        // Horizontally merged cells keep their columns, empty after the first
+        for (let i = 1; i < span; i++) {
+          values.push('');
+        }
+      }
+      return values;
+    });
+
+    const columnCount = Math.max(0, ...rows.map(row => row.length));
+    return {
+      pageNumber: 1,
+      boundingBox: null,
+      rowCount: rows.length,
+      columnCount,
+      rows: rows.map(row => [...row, ...Array(columnCount - row.length).fill('')]),
+      nested: hasAncestor(table, 'w:tbl')
+    };
+  });
+}
+
+module.exports = {
+  detectPdfTables,
+  extractDocxTables
+};
\ No newline at end of file
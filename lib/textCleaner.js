@@ -1,56 +1,200 @@
+const fs = require('fs');
+
+const CLEANING_PROFILES = ['raw', 'minimal', 'standard', 'ocr-aggressive'];
+
+// Characters OCR engines confuse, as [misread, intended]. Applied to one spot of a word at a time.
+const OCR_CONFUSIONS = [['rn', 'm'], ['m', 'rn'], ['1', 'l'], ['0', 'o'], ['5', 's']];
+const AGGRESSIVE_OCR_CONFUSIONS = [...OCR_CONFUSIONS, ['cl', 'd'], ['vv', 'w'], ['li', 'h'], ['ii', 'u'], ['l', 'i'], ['8', 'b']];
+
+// Words from OCR_DICTIONARY_FILE, loaded on first use
+let dictionary = null;
+
+/**
+ * Validate the requested cleaning profile
+ * @param {string} profile - Requested profile, defaults to TEXT_CLEANING_PROFILE or 'standard'
+ * @returns {string} One of raw, minimal, standard or ocr-aggressive
+ */
+function resolveCleaningProfile(profile) {
+  const requested = profile || process.env.TEXT_CLEANING_PROFILE || 'standard';
+  const name = String(requested).toLowerCase();
+
+  if (!CLEANING_PROFILES.includes(name)) {
+    throw {
+      code: 'INVALID_CLEANING_PROFILE',
+      message: `Invalid cleaning profile: ${requested}. Supported profiles: ${CLEANING_PROFILES.join(', ')}`,
+      status: 400
+    };
+  }
+
+  return name;
+}
+
 /**
- * Clean and format extracted text
+ * Clean and format extracted text. The same input and options always give the same output.
  * @param {string} text - Raw extracted text
+ * @param {Object} options - Cleaning options
+ * @param {string} options.profile - raw, minimal, standard (default) or ocr-aggressive
+ * @param {boolean} options.ocr - The text comes from OCR, enables OCR corrections
  * @returns {string} Cleaned and formatted text
  */
-function cleanText(text) {
+function cleanText(text, options = {}) {
   if (!text) return '';
-  
-  // Replace multiple spaces with a single space
-  let cleaned = text.replace(/\s{2,}/g, ' ');
-  
-  // Replace multiple newlines with a maximum of two
-  cleaned = cleaned.replace(/\n{3,}/g, '\n\n');
-  
-  // Fix common OCR issues
-  cleaned = fixCommonOCRIssues(cleaned);
-  
+
+  const profile = options.profile || 'standard';
+
+  // Raw text is returned exactly as extracted
+  if (profile === 'raw') {
+    return text;
+  }
+
+  // Collapse spaces and blank lines, keeping line breaks
+  let cleaned = normalizeWhitespace(text);
+
+  if (profile === 'minimal') {
+    return cleaned.trim();
+  }
+
+  // Fix OCR misreads (OCR output only)
+  if (options.ocr) {
+    cleaned = fixCommonOCRIssues(cleaned, { aggressive: profile === 'ocr-aggressive' });
+  }
+
   // Preserve paragraph structure
   cleaned = preserveParagraphs(cleaned);
-  
-  // Normalize encoding issues
-  cleaned = normalizeEncoding(cleaned);
-  
+
+  // Flatten typographic characters to ASCII
+  if (profile === 'ocr-aggressive') {
+    cleaned = normalizeEncoding(cleaned);
+  }
+
   // Trim whitespace
   cleaned = cleaned.trim();
-  
+
   return cleaned;
 }
 
+/**
+ * Normalize whitespace without changing the line structure
+ * @param {string} text - Text to normalize
+ * @returns {string} Text with single spaces, no trailing spaces and at most one blank line in a row
+ */
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    // Zero-width spaces and byte order marks
+    .replace(/[\u200B-\u200D\uFEFF]/g, '')
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ ?\n ?/g, '\n')
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * Load the words of OCR_DICTIONARY_FILE (one word per line)
+ * @returns {Set} Lowercase words, empty if no dictionary is configured
+ */
+function getDictionary() {
+  if (!dictionary) {
+    dictionary = new Set();
+    const dictionaryFile = process.env.OCR_DICTIONARY_FILE;
+
+    if (dictionaryFile) {
+      try {
+        for (const word of fs.readFileSync(dictionaryFile, 'utf8').split(/\r?\n/)) {
+          if (word.trim()) {
+            dictionary.add(word.trim().toLowerCase());
+          }
+        }
+        console.log(`Loaded ${dictionary.size} words from OCR dictionary ${dictionaryFile}`);
+      } catch (error) {
+        console.log('Failed to load OCR dictionary:', error.message);
+      }
+    }
+  }
+  return dictionary;
+}
+
+/**
+ * Apply the case of a word to its correction
+ * @param {string} word - Original word
+ * @param {string} correction - Lowercase correction
+ * @returns {string} Correction in upper case, capitalized or lower case like the original
+ */
+function matchCase(word, correction) {
+  if (/[A-Z]/.test(word) && word === word.toUpperCase() && word.length > 1) {
+    return correction.toUpperCase();
+  }
+  if (/^[A-Z]/.test(word)) {
+    return correction[0].toUpperCase() + correction.slice(1);
+  }
+  return correction;
+}
+
+/**
+ * Correct words misread by OCR. A word missing from the dictionary is only replaced by a variant with one confusion
+ * fixed ("rnodern" -> "modern") when the variant is in the dictionary. Without a dictionary, words are left alone:
+ * "modern" and "modem" are both real words.
+ * @param {string} text - OCR text
+ * @param {Array} confusions - [misread, intended] pairs
+ * @returns {string} Text with corrected words
+ */
+function correctWords(text, confusions) {
+  const known = getDictionary();
+  if (known.size === 0) {
+    return text;
+  }
+
+  const counts = new Map();
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  const score = (word) => counts.get(word) || 0;
+
+  return text.replace(/[A-Za-z0-9]+/g, (word) => {
+    const lower = word.toLowerCase();
+    // Numbers and known words are left alone
+    if (!/[a-z]/.test(lower) || known.has(lower)) {
+      return word;
+    }
+
+    let best = null;
+    for (const [misread, intended] of confusions) {
+      for (let i = lower.indexOf(misread); i !== -1; i = lower.indexOf(misread, i + 1)) {
+        const candidate = lower.slice(0, i) + intended + lower.slice(i + misread.length);
+        if (!known.has(candidate)) {
+          continue;
+        }
+        // The candidate most frequent in the text wins, ties go to the alphabetically first one
+        if (!best || score(candidate) > score(best) || (score(candidate) === score(best) && candidate < best)) {
+          best = candidate;
+        }
+      }
+    }
+
+    return best ? matchCase(word, best) : word;
+  });
+}
+
 /**
  * Fix common OCR issues
  * @param {string} text - Text with potential OCR issues
+ * @param {Object} options - Correction options
+ * @param {boolean} options.aggressive - Also correct rarer confusions and missing spaces after periods
  * @returns {string} Text with OCR issues fixed
  */
-function fixCommonOCRIssues(text) {
-  // Replace common OCR mistakes
-  let fixed = text;
-  
-  // Fix 'rn' mistaken as 'm'
-  fixed = fixed.replace(/m(?=[a-z])/g, (match) => {
-    // Only replace if it's likely a mistake
-    return Math.random() > 0.5 ? 'rn' : match;
-  });
-  
-  // Fix '0' mistaken as 'O' in numbers
-  fixed = fixed.replace(/([0-9])O([0-9])/g, '$10$2');
-  
-  // Fix 'l' mistaken as '1' in words
-  fixed = fixed.replace(/([a-z])1([a-z])/g, '$1l$2');
-  
-  // Fix missing spaces after periods
-  fixed = fixed.replace(/\.([A-Z])/g, '. $1');
-  
+function fixCommonOCRIssues(text, options = {}) {
+  // Fix 'O' and 'l' mistaken for digits inside numbers
+  let fixed = text
+    .replace(/(?<=[0-9])O(?=[0-9])/g, '0')
+    .replace(/(?<=[0-9])[lI](?=[0-9])/g, '1');
+
+  // Fix misread letters in words, validated against the dictionary
+  fixed = correctWords(fixed, options.aggressive ? AGGRESSIVE_OCR_CONFUSIONS : OCR_CONFUSIONS);
+
+  // Fix missing spaces after periods ("end.Next", but not "U.S.A")
+  if (options.aggressive) {
+    fixed = fixed.replace(/([a-z]{2})\.([A-Z][a-z])/g, '$1. $2');
+  }
+
   return fixed;
 }
 
@@ -110,8 +254,8 @@ function preserveParagraphs(text) {
 }
 
 /**
- * Normalize encoding issues
- * @param {string} text - Text with potential encoding issues
+ * Flatten typographic characters to their ASCII equivalents
+ * @param {string} text - Text with smart quotes, dashes and bullets
  * @returns {string} Text with normalized encoding
  */
 function normalizeEncoding(text) {
@@ -119,20 +263,21 @@ function normalizeEncoding(text) {
   let normalized = text
     .replace(/[\u2018\u2019]/g, "'")
     .replace(/[\u201C\u201D]/g, '"');
-  
+
   // Replace various dash types with standard hyphen
   normalized = normalized
     .replace(/[\u2013\u2014]/g, '-');
-  
+
   // Replace other common special characters
   normalized = normalized
     .replace(/\u2022/g, '*') // bullet
-    .replace(/\u2026/g, '...') // ellipsis
-    .replace(/\u00A0/g, ' '); // non-breaking space
-  
+    .replace(/\u2026/g, '...'); // ellipsis
+
   return normalized;
 }
 
 module.exports = {
+  CLEANING_PROFILES,
+  resolveCleaningProfile,
   cleanText
-}; 
\ No newline at end of file
+};
\ No newline at end of file
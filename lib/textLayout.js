@@ -0,0 +1,216 @@
+const { Util } = require('pdfjs-dist/legacy/build/pdf.js');
+
+// Subset fonts are named with a random six-letter tag, e.g. ABCDEF+Arial-BoldMT
+const SUBSET_PREFIX_PATTERN = /^[A-Z]{6}\+/;
+
+// Items closer than this share of the font size continue the same word, e.g. a word split by a kerning change
+const WORD_JOIN_GAP = 0.15;
+
+/**
+ * Round a coordinate to a tenth of a point
+ * @param {number} value - Coordinate in points
+ * @returns {number} Rounded coordinate
+ */
+function roundCoordinate(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Get the smallest box around a set of points
+ * @param {Array} points - Points as [x, y]
+ * @returns {Object} { x, y, width, height }
+ */
+function boundingBoxOf(points) {
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/**
+ * Get the smallest box around other boxes
+ * @param {Array} boxes - Boxes as { x, y, width, height }
+ * @returns {Object} { x, y, width, height }
+ */
+function unionBoxes(boxes) {
+  return boundingBoxOf(boxes.flatMap(box => [[box.x, box.y], [box.x + box.width, box.y + box.height]]));
+}
+
+/**
+ * Round the coordinates of a box
+ * @param {Object} box - Box as { x, y, width, height }
+ * @returns {Object} Rounded box
+ */
+function roundBox(box) {
+  return {
+    x: roundCoordinate(box.x),
+    y: roundCoordinate(box.y),
+    width: roundCoordinate(box.width),
+    height: roundCoordinate(box.height)
+  };
+}
+
+/**
+ * Read the words and lines of a PDF page from its text layer. Word boxes are split from the text items in
+ * proportion to their characters, as pdf.js gives one width per item.
+ * @param {Object} page - pdf.js page proxy
+ * @returns {Promise} { width, height, lines } with the words of each line, in points from the top-left corner of the
+ *   page as displayed (rotation and crop box applied)
+ */
+async function readPdfPageLayout(page) {
+  const textContent = await page.getTextContent();
+  // Font objects (and so font names) are only loaded while building the operator list
+  await page.getOperatorList();
+  const viewport = page.getViewport({ scale: 1 });
+
+  const lines = [];
+  let line = null;
+  let lastItem = null;
+
+  for (const item of textContent.items) {
+    if (!item.str) {
+      continue;
+    }
+
+    const [a, b, c, d, originX, originY] = item.transform;
+    const fontSize = Math.hypot(c, d);
+    const style = textContent.styles[item.fontName] || {};
+    const font = page.commonObjs.has(item.fontName) ? page.commonObjs.get(item.fontName) : null;
+    const fontName = font?.name ? font.name.replace(SUBSET_PREFIX_PATTERN, '') : style.fontFamily || null;
+    const ascent = style.ascent || 0.8;
+    const descent = style.descent || -0.2;
+
+    // Baseline and upward directions of the text, so rotated text gets the box it is drawn in
+    const advance = Math.hypot(a, b) || 1;
+    const along = [a / advance, b / advance];
+    const up = fontSize ? [c / fontSize, d / fontSize] : [0, 1];
+    const characterWidth = item.width / item.str.length;
+    const spanBox = (start, end) => boundingBoxOf([start, end].flatMap(offset => [descent, ascent].map((height) => {
+      const point = [
+        originX + along[0] * offset * characterWidth + up[0] * height * fontSize,
+        originY + along[1] * offset * characterWidth + up[1] * height * fontSize
+      ];
+      return Util.applyTransform(point, viewport.transform);
+    })));
+
+    // Start a new line whenever the baseline moves, as extractPageText does
+    if (!line || originY !== lastItem.transform[5]) {
+      line = { text: '', fontName, fontSize, words: [] };
+      lines.push(line);
+    }
+
+    const previousWord = line.words[line.words.length - 1];
+    const gap = lastItem && line.words.length
+      ? Math.hypot(originX - (lastItem.transform[4] + along[0] * lastItem.width), originY - (lastItem.transform[5] + along[1] * lastItem.width))
+      : Infinity;
+    const continuesWord = /\S$/.test(line.text) && /^\S/.test(item.str) && gap < fontSize * WORD_JOIN_GAP;
+
+    for (const match of item.str.matchAll(/\S+/g)) {
+      const box = spanBox(match.index, match.index + match[0].length);
+      if (continuesWord && match.index === 0) {
+        previousWord.text += match[0];
+        previousWord.boundingBox = unionBoxes([previousWord.boundingBox, box]);
+      } else {
+        line.words.push({ text: match[0], boundingBox: box, fontName, fontSize: roundCoordinate(fontSize), confidence: null });
+      }
+    }
+
+    line.text += item.str;
+    line.fontSize = Math.max(line.fontSize, fontSize);
+    lastItem = item;
+  }
+
+  return {
+    width: roundCoordinate(viewport.width),
+    height: roundCoordinate(viewport.height),
+    lines: lines
+      .filter(textLine => textLine.words.length)
+      .map(textLine => ({
+        text: textLine.text.trim(),
+        boundingBox: roundBox(unionBoxes(textLine.words.map(word => word.boundingBox))),
+        fontName: textLine.fontName,
+        fontSize: roundCoordinate(textLine.fontSize),
+        confidence: null,
+        words: textLine.words.map(word => ({ ...word, boundingBox: roundBox(word.boundingBox) }))
+      }))
+  };
+}
+
+/**
+ * Read the words and lines recognized by Tesseract, in the same coordinates as readPdfPageLayout
+ * @param {Array} blocks - Tesseract result blocks (paragraphs, lines and words with pixel boxes)
+ * @param {Object} image - Recognized image
+ * @param {number} image.width - Image width in pixels
+ * @param {number} image.height - Image height in pixels
+ * @param {number} image.scale - Pixels per point (1 for image files, whose pixels are used as points)
+ * @returns {Object} { width, height, lines } with the words of each line. OCR has no font names, and the font size
+ *   is estimated from the line height.
+ */
+function readOcrPageLayout(blocks, { width, height, scale = 1 }) {
+  const toBox = bbox => roundBox({
+    x: bbox.x0 / scale,
+    y: bbox.y0 / scale,
+    width: (bbox.x1 - bbox.x0) / scale,
+    height: (bbox.y1 - bbox.y0) / scale
+  });
+
+  const lines = (blocks || [])
+    .flatMap(block => block.paragraphs)
+    .flatMap(paragraph => paragraph.lines)
+    .map((textLine) => {
+      const boundingBox = toBox(textLine.bbox);
+      const words = textLine.words
+        .filter(word => word.text.trim())
+        .map(word => ({
+          text: word.text.trim(),
+          boundingBox: toBox(word.bbox),
+          fontName: null,
+          fontSize: boundingBox.height,
+          confidence: word.confidence / 100
+        }));
+      return {
+        text: textLine.text.trim(),
+        boundingBox,
+        fontName: null,
+        fontSize: boundingBox.height,
+        confidence: textLine.confidence / 100,
+        words
+      };
+    })
+    .filter(textLine => textLine.words.length);
+
+  return {
+    // Images passed to Tesseract as they are (without sharp) have no known size
+    width: width ? roundCoordinate(width / scale) : null,
+    height: height ? roundCoordinate(height / scale) : null,
+    lines
+  };
+}
+
+/**
+ * Flatten per-page layouts into the layout returned to clients
+ * @param {Array} pageLayouts - { pageNumber, extractionMethod, width, height, lines } per page, in page order
+ * @returns {Object} { pages, lines, words } where every line and word has its pageNumber, and words the index of their
+ *   line
+ */
+function flattenLayout(pageLayouts) {
+  const layout = { pages: [], lines: [], words: [] };
+
+  for (const { pageNumber, extractionMethod, width, height, lines } of pageLayouts) {
+    layout.pages.push({ pageNumber, extractionMethod, width, height });
+    for (const { words, ...line } of lines) {
+      const lineIndex = layout.lines.length;
+      layout.lines.push({ pageNumber, ...line });
+      layout.words.push(...words.map(word => ({ pageNumber, line: lineIndex, ...word })));
+    }
+  }
+
+  return layout;
+}
+
+module.exports = {
+  readPdfPageLayout,
+  readOcrPageLayout,
+  flattenLayout
+};
\ No newline at end of file
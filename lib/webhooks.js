@@ -0,0 +1,288 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const path = require('path');
+const os = require('os');
+const { createJobStore } = require('./jobStore');
+const { validateUrl, httpAgent, httpsAgent } = require('./safeFetch');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS, 10) || 1000;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+let deliveryStore = null;
+
+/**
+ * Get the store that records webhook deliveries, creating it on first use
+ * @returns {Object} Delivery store (same interface as the job store)
+ */
+function getDeliveryStore() {
+  if (!deliveryStore) {
+    deliveryStore = createJobStore(process.env.WEBHOOK_STORE || process.env.JOB_STORE || 'memory', {
+      directory: process.env.WEBHOOK_STORE_DIR || path.join(os.tmpdir(), 'pdf-extractor-webhooks')
+    });
+  }
+  return deliveryStore;
+}
+
+/**
+ * Replace the delivery store (any object with create, get, list and update methods)
+ * @param {Object} store - Delivery store implementation
+ */
+function setDeliveryStore(store) {
+  deliveryStore = store;
+}
+
+/**
+ * Validate a callback URL with the download checks. Callbacks may use http, and FETCH_ALLOWED_HOSTS (meant for
+ * document sources) does not apply to them.
+ * @param {string} callbackUrl - URL to validate
+ * @returns {URL} Parsed URL
+ */
+function validateCallbackUrl(callbackUrl) {
+  return validateUrl(callbackUrl, { allowHttp: true, checkAllowedHosts: false });
+}
+
+/**
+ * Check that a callback URL is an absolute http(s) URL that is not denied and not a private address
+ * @param {string} callbackUrl - URL to validate
+ * @returns {boolean} True if the URL can be used for callbacks
+ */
+function isValidCallbackUrl(callbackUrl) {
+  try {
+    validateCallbackUrl(callbackUrl);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Get the secret webhooks are signed with
+ * @returns {string|undefined} WEBHOOK_SECRET, else API_KEY
+ */
+function getSigningSecret() {
+  return process.env.WEBHOOK_SECRET || process.env.API_KEY;
+}
+
+/**
+ * Check that webhooks can be signed, so callback URLs are only accepted when deliveries can be made
+ * @returns {boolean} True if a signing secret is configured
+ */
+function isWebhookSigningConfigured() {
+  return Boolean(getSigningSecret());
+}
+
+/**
+ * Sign a webhook body. Receivers recompute HMAC-SHA256 over "<timestamp>.<body>"
+ * @param {string} body - Serialized JSON body
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @returns {string} Signature header value
+ */
+function signPayload(body, timestamp) {
+  const secret = getSigningSecret();
+  if (!secret) {
+    throw { code: 'WEBHOOK_SECRET_MISSING', message: 'WEBHOOK_SECRET is not configured', status: 500 };
+  }
+
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${signature}`;
+}
+
+/**
+ * Check whether a failed attempt is worth retrying
+ * @param {number|null} statusCode - HTTP status of the attempt, null for network errors
+ * @returns {boolean} True if the delivery should be retried
+ */
+function isRetryable(statusCode) {
+  return !statusCode || statusCode >= 500 || statusCode === 408 || statusCode === 429;
+}
+
+/**
+ * Queue a signed webhook delivery, retrying failures with exponential backoff
+ * @param {string} callbackUrl - URL to POST to
+ * @param {string} event - Event name, e.g. extraction.succeeded
+ * @param {Object} payload - Event payload
+ * @param {Object} context - Identifiers recorded with the delivery (jobId, documentId)
+ * @returns {Promise} Created delivery record
+ */
+async function sendWebhook(callbackUrl, event, payload, context = {}) {
+  const now = Date.now();
+  const id = crypto.randomUUID();
+  // The body is fixed for the delivery so every retry carries identical content, and stored so retries survive a restart
+  const body = JSON.stringify({
+    deliveryId: id,
+    event,
+    ...payload
+  });
+
+  const delivery = await getDeliveryStore().create({
+    id,
+    jobId: context.jobId,
+    documentId: context.documentId,
+    callbackUrl,
+    event,
+    status: 'pending',
+    attempts: [],
+    body,
+    nextAttemptAt: now,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  });
+
+  scheduleAttempt(id, 1, 0);
+
+  return withoutBody(delivery);
+}
+
+/**
+ * Run a delivery attempt after a delay
+ * @param {string} deliveryId - Delivery id
+ * @param {number} attempt - 1-based attempt number
+ * @param {number} delay - Milliseconds to wait
+ */
+function scheduleAttempt(deliveryId, attempt, delay) {
+  setTimeout(() => {
+    attemptDelivery(deliveryId, attempt)
+      .catch(error => console.error(`Webhook delivery ${deliveryId} could not be recorded:`, error));
+  }, delay);
+}
+
+/**
+ * Schedule again the deliveries a previous process left pending in the delivery store, at the time their next
+ * attempt was due
+ * @returns {Promise} Number of deliveries scheduled
+ */
+async function recoverDeliveries() {
+  const pending = await getDeliveryStore().list({ status: 'pending' });
+
+  for (const delivery of pending) {
+    scheduleAttempt(delivery.id, delivery.attempts.length + 1, Math.max(0, (delivery.nextAttemptAt || 0) - Date.now()));
+  }
+
+  return pending.length;
+}
+
+/**
+ * Make one delivery attempt and schedule the next one if it fails
+ * @param {string} deliveryId - Delivery id
+ * @param {number} attempt - 1-based attempt number
+ */
+async function attemptDelivery(deliveryId, attempt) {
+  const store = getDeliveryStore();
+  const delivery = await store.get(deliveryId);
+  if (!delivery || delivery.status !== 'pending') {
+    return;
+  }
+  const { body } = delivery;
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startTime = Date.now();
+  let statusCode = null;
+  let errorMessage = null;
+  let refused = false;
+
+  try {
+    // Checked again on every attempt, and the agents check the address connected to
+    validateCallbackUrl(delivery.callbackUrl);
+
+    const response = await axios({
+      method: 'post',
+      url: delivery.callbackUrl,
+      data: body,
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      httpAgent,
+      httpsAgent,
+      proxy: false,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'pdf-extractor-service-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery-Id': delivery.id,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(body, timestamp)
+      },
+      validateStatus: () => true
+    });
+
+    statusCode = response.status;
+    if (statusCode < 200 || statusCode >= 300) {
+      errorMessage = `Callback responded with status ${statusCode}`;
+    }
+  } catch (e) {
+    // Refused URLs and addresses and a missing secret are final, lookup errors come back wrapped by axios
+    const policyError = [e.cause, e].find(candidate => candidate?.code && candidate?.status);
+    refused = Boolean(policyError) && policyError.code !== 'DNS_LOOKUP_FAILED';
+    errorMessage = policyError ? policyError.message : e.message;
+  }
+
+  const attempts = [...delivery.attempts, {
+    attempt,
+    timestamp: startTime,
+    statusCode,
+    durationMs: Date.now() - startTime,
+    error: errorMessage
+  }];
+
+  if (!errorMessage) {
+    console.log(`Webhook delivery ${deliveryId} succeeded on attempt ${attempt}`);
+    await store.update(deliveryId, { status: 'delivered', attempts, nextAttemptAt: null, completedAt: Date.now() });
+    return;
+  }
+
+  if (attempt >= MAX_ATTEMPTS || refused || !isRetryable(statusCode)) {
+    console.log(`Webhook delivery ${deliveryId} failed after ${attempt} attempts: ${errorMessage}`);
+    await store.update(deliveryId, { status: 'failed', attempts, nextAttemptAt: null, completedAt: Date.now() });
+    return;
+  }
+
+  const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+  console.log(`Webhook delivery ${deliveryId} attempt ${attempt} failed (${errorMessage}), retrying in ${delay}ms`);
+  await store.update(deliveryId, { attempts, nextAttemptAt: Date.now() + delay });
+
+  scheduleAttempt(deliveryId, attempt + 1, delay);
+}
+
+/**
+ * Leave the stored body out of a delivery record, it is the payload already sent to the receiver
+ * @param {Object|null} delivery - Delivery record
+ * @returns {Object|null} Delivery without its body
+ */
+function withoutBody(delivery) {
+  if (!delivery) {
+    return null;
+  }
+  const { body, ...rest } = delivery;
+  return rest;
+}
+
+/**
+ * Get a webhook delivery by id
+ * @param {string} id - Delivery id
+ * @returns {Promise} Delivery or null if not found
+ */
+async function getDelivery(id) {
+  return withoutBody(await getDeliveryStore().get(id));
+}
+
+/**
+ * List webhook deliveries, newest first
+ * @param {Object} filter - Optional jobId, documentId and status to match
+ * @returns {Promise} Matching deliveries
+ */
+async function listDeliveries(filter = {}) {
+  const deliveries = await getDeliveryStore().list(filter);
+  return deliveries.sort((a, b) => b.createdAt - a.createdAt).map(withoutBody);
+}
+
+module.exports = {
+  sendWebhook,
+  recoverDeliveries,
+  signPayload,
+  isWebhookSigningConfigured,
+  isValidCallbackUrl,
+  getDelivery,
+  listDeliveries,
+  setDeliveryStore
+};
\ No newline at end of file
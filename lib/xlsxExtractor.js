@@ -0,0 +1,205 @@
+const JSZip = require('jszip');
+const { readXmlPart, readRelationships, childElements } = require('./officePackage');
+
+// Built-in number formats that display dates and times
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58]);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the text of a shared or inline string, skipping phonetic runs
+ * @param {Object} item - si or is element
+ * @returns {string} String text
+ */
+function stringItemText(item) {
+  const plain = childElements(item, 't')[0];
+  if (plain) {
+    return plain.textContent;
+  }
+  return childElements(item, 'r').map(run => childElements(run, 't')[0]?.textContent || '').join('');
+}
+
+/**
+ * Check whether a custom number format displays a date or time
+ * @param {string} formatCode - Excel format code, e.g. yyyy-mm-dd or #,##0.00
+ * @returns {boolean} True for date and time formats
+ */
+function isDateFormatCode(formatCode) {
+  // Ignore quoted text, escaped characters and colours/conditions in brackets (but not elapsed time like [h])
+  const code = formatCode.replace(/"[^"]*"|\\.|\[(?![hms]+\])[^\]]*\]/gi, '');
+  return /[dmyhs]/i.test(code);
+}
+
+/**
+ * Find which cell styles display dates
+ * @param {Object} zip - JSZip instance
+ * @returns {Promise} Array indexed by style (the s attribute of a cell), true for date styles
+ */
+async function readDateStyles(zip) {
+  const styles = await readXmlPart(zip, 'xl/styles.xml');
+  if (!styles) {
+    return [];
+  }
+
+  const customDateFormats = new Set(Array.from(styles.getElementsByTagName('numFmt'))
+    .filter(format => isDateFormatCode(format.getAttribute('formatCode') || ''))
+    .map(format => parseInt(format.getAttribute('numFmtId'), 10)));
+
+  const cellFormats = styles.getElementsByTagName('cellXfs')[0];
+  return cellFormats
+    ? childElements(cellFormats, 'xf').map((format) => {
+      const id = parseInt(format.getAttribute('numFmtId'), 10);
+      return DATE_FORMAT_IDS.has(id) || customDateFormats.has(id);
+    })
+    : [];
+}
+
+/**
+ * Convert an Excel date serial number to an ISO 8601 date, time or date-time
+ * @param {number} serial - Days since the workbook epoch
+ * @param {boolean} date1904 - The workbook uses the 1904 date system
+ * @returns {string} YYYY-MM-DD, HH:MM:SS or YYYY-MM-DDTHH:MM:SS
+ */
+function serialToIsoDate(serial, date1904) {
+  // The 1900 date system counts a nonexistent 29 February 1900 (serial 60)
+  const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, serial > 60 ? 30 : 31);
+  const iso = new Date(epoch + Math.round(serial * MS_PER_DAY / 1000) * 1000).toISOString().slice(0, 19);
+
+  if (serial < 1) {
+    return iso.slice(11);
+  }
+  return Number.isInteger(serial) ? iso.slice(0, 10) : iso;
+}
+
+/**
+ * Convert a column reference to a 0-based index
+ * @param {string} reference - Cell reference, e.g. AB12
+ * @returns {number} Column index
+ */
+function columnIndex(reference) {
+  let index = 0;
+  for (const letter of reference.match(/^[A-Z]+/i)?.[0].toUpperCase() || '') {
+    index = index * 26 + letter.charCodeAt(0) - 64;
+  }
+  return index - 1;
+}
+
+/**
+ * Get the displayed value of a cell
+ * @param {Object} cell - c element
+ * @param {Object} workbook - { sharedStrings, dateStyles, date1904 }
+ * @returns {string} Cell text
+ */
+function cellValue(cell, { sharedStrings, dateStyles, date1904 }) {
+  const type = cell.getAttribute('t');
+  const value = childElements(cell, 'v')[0]?.textContent;
+
+  switch (type) {
+    case 's':
+      return sharedStrings[parseInt(value, 10)] ?? '';
+    case 'inlineStr': {
+      const item = childElements(cell, 'is')[0];
+      return item ? stringItemText(item) : '';
+    }
+    case 'b':
+      return value === '1' ? 'TRUE' : 'FALSE';
+    case 'str':
+    case 'e':
+    case 'd':
+      return value ?? '';
+  }
+
+  if (value === undefined || value === '') {
+    return '';
+  }
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    return value;
+  }
+  if (dateStyles[parseInt(cell.getAttribute('s'), 10) || 0]) {
+    return serialToIsoDate(number, date1904);
+  }
+  // Excel shows 15 significant digits, hiding binary rounding such as 0.30000000000000004
+  return String(Number(number.toPrecision(15)));
+}
+
+/**
+ * Read the cells of a worksheet into rows
+ * @param {Object} sheet - Worksheet XML document
+ * @param {Object} workbook - { sharedStrings, dateStyles, date1904 }
+ * @returns {Array} Rows of cell text, padded to the same width, without trailing empty rows and columns
+ */
+function sheetRows(sheet, workbook) {
+  const rows = [];
+
+  for (const row of Array.from(sheet.getElementsByTagName('row'))) {
+    const rowIndex = (parseInt(row.getAttribute('r'), 10) || rows.length + 1) - 1;
+    const values = rows[rowIndex] = rows[rowIndex] || [];
+
+    for (const cell of childElements(row, 'c')) {
+      const reference = cell.getAttribute('r');
+      values[reference ? columnIndex(reference) : values.length] = cellValue(cell, workbook);
+    }
+  }
+
+  const filled = Array.from(rows, row => Array.from(row || [], value => value ?? ''));
+  while (filled.length && !filled[filled.length - 1].some(Boolean)) {
+    filled.pop();
+  }
+
+  const columnCount = Math.max(0, ...filled.map(row => {
+    let width = row.length;
+    while (width && !row[width - 1]) {
+      width--;
+    }
+    return width;
+  }));
+  return filled.map(row => Array.from({ length: columnCount }, (_, i) => row[i] || ''));
+}
+
+/**
+ * Read the worksheets of an XLSX file in workbook order
+ * @param {Buffer} buffer - XLSX file buffer
+ * @returns {Promise} Sheets as { name, hidden, rows }
+ */
+async function extractXlsxSheets(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const workbookDocument = await readXmlPart(zip, 'xl/workbook.xml');
+  if (!workbookDocument) {
+    throw new Error('Missing xl/workbook.xml');
+  }
+
+  const sharedStringsDocument = await readXmlPart(zip, 'xl/sharedStrings.xml');
+  const properties = workbookDocument.getElementsByTagName('workbookPr')[0];
+  const workbook = {
+    sharedStrings: sharedStringsDocument
+      ? childElements(sharedStringsDocument.documentElement, 'si').map(stringItemText)
+      : [],
+    dateStyles: await readDateStyles(zip),
+    date1904: ['1', 'true'].includes(properties?.getAttribute('date1904'))
+  };
+
+  const relationships = await readRelationships(zip, 'xl/workbook.xml');
+  const sheets = [];
+
+  for (const sheet of Array.from(workbookDocument.getElementsByTagName('sheet'))) {
+    // Chart sheets and dialog sheets have no cells
+    const part = relationships.get(sheet.getAttribute('r:id'))?.target;
+    const worksheet = part && part.includes('worksheets/') && await readXmlPart(zip, part);
+    if (!worksheet) {
+      continue;
+    }
+
+    sheets.push({
+      name: sheet.getAttribute('name'),
+      hidden: ['hidden', 'veryHidden'].includes(sheet.getAttribute('state')),
+      rows: sheetRows(worksheet, workbook)
+    });
+  }
+
+  return sheets;
+}
+
+module.exports = {
+  extractXlsxSheets
+};
\ No newline at end of file
@@ -0,0 +1,92 @@
+const zlib = require('zlib');
+
+// Signatures of the ZIP records read here
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// The end of central directory record is at most this far from the end (22 bytes plus a 64 KB comment)
+const MAX_END_RECORD_DISTANCE = 22 + 0xFFFF;
+
+/**
+ * List the entries of a ZIP archive from its central directory
+ * @param {Buffer} buffer - ZIP file buffer
+ * @returns {Map|null} Entries by name as { method, compressedSize, size, offset }, or null if the buffer is not a
+ *   readable ZIP archive (ZIP64 archives are not supported)
+ */
+function listZipEntries(buffer) {
+  if (!buffer || buffer.length < 22) {
+    return null;
+  }
+
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - MAX_END_RECORD_DISTANCE); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    return null;
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      return null;
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+
+    entries.set(buffer.toString('utf8', offset + 46, offset + 46 + nameLength), {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      offset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Read a single file from a ZIP archive without unpacking the rest. Synchronous, for content sniffing.
+ * @param {Buffer} buffer - ZIP file buffer
+ * @param {string} name - Entry name, e.g. [Content_Types].xml
+ * @param {number} maxSize - Largest uncompressed size to read (default: 1 MB)
+ * @returns {Buffer|null} Entry contents, or null if the entry is missing, too large or unreadable
+ */
+function readZipEntry(buffer, name, maxSize = 1024 * 1024) {
+  try {
+    const entry = listZipEntries(buffer)?.get(name);
+    if (!entry || entry.size > maxSize || buffer.readUInt32LE(entry.offset) !== LOCAL_FILE_HEADER) {
+      return null;
+    }
+
+    // The local header repeats the name and may have a different extra field
+    const start = entry.offset + 30 + buffer.readUInt16LE(entry.offset + 26) + buffer.readUInt16LE(entry.offset + 28);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+
+    switch (entry.method) {
+      case 0:
+        return Buffer.from(data);
+      case 8:
+        return zlib.inflateRawSync(data, { maxOutputLength: maxSize });
+      default:
+        return null;
+    }
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  listZipEntries,
+  readZipEntry
+};
\ No newline at end of file
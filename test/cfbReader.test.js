@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isCompoundFile, readCompoundFile } = require('../lib/cfbReader');
+
+const SECTOR_SIZE = 512;
+const MINI_SECTOR_SIZE = 64;
+const FREE = 0xFFFFFFFF;
+const END_OF_CHAIN = 0xFFFFFFFE;
+const FAT_SECTOR = 0xFFFFFFFD;
+
+/**
+ * Build a version 3 compound file with one FAT sector
+ * @param {Object} streams - Stream contents by name; streams under 4096 bytes go to the mini stream
+ * @returns {Buffer} Compound file
+ */
+function buildCompoundFile(streams) {
+  const fat = [FAT_SECTOR, END_OF_CHAIN, END_OF_CHAIN];
+  const sectors = [];
+  const miniFat = [];
+  const miniChunks = [];
+  const entries = [];
+
+  // Appends sectors after the FAT, directory and mini FAT sectors and chains them
+  const allocate = (data) => {
+    const count = Math.max(1, Math.ceil(data.length / SECTOR_SIZE));
+    const first = 3 + sectors.length;
+    for (let i = 0; i < count; i++) {
+      const sector = Buffer.alloc(SECTOR_SIZE);
+      data.copy(sector, 0, i * SECTOR_SIZE, (i + 1) * SECTOR_SIZE);
+      sectors.push(sector);
+      fat[first + i] = i === count - 1 ? END_OF_CHAIN : first + i + 1;
+    }
+    return first;
+  };
+
+  for (const [name, data] of Object.entries(streams)) {
+    if (data.length < 4096) {
+      const first = miniChunks.length;
+      const count = Math.max(1, Math.ceil(data.length / MINI_SECTOR_SIZE));
+      for (let i = 0; i < count; i++) {
+        const chunk = Buffer.alloc(MINI_SECTOR_SIZE);
+        data.copy(chunk, 0, i * MINI_SECTOR_SIZE, (i + 1) * MINI_SECTOR_SIZE);
+        miniChunks.push(chunk);
+        miniFat[first + i] = i === count - 1 ? END_OF_CHAIN : first + i + 1;
+      }
+      entries.push({ name, type: 2, start: first, size: data.length });
+    } else {
+      entries.push({ name, type: 2, start: allocate(data), size: data.length });
+    }
+  }
+
+  const miniStream = Buffer.concat(miniChunks);
+  const root = { name: 'Root Entry', type: 5, start: miniStream.length ? allocate(miniStream) : END_OF_CHAIN, size: miniStream.length };
+
+  const directory = Buffer.alloc(SECTOR_SIZE);
+  [root, ...entries].forEach((entry, index) => {
+    const offset = index * 128;
+    directory.write(entry.name, offset, 'utf16le');
+    directory.writeUInt16LE((entry.name.length + 1) * 2, offset + 64);
+    directory[offset + 66] = entry.type;
+    directory.writeUInt32LE(entry.start, offset + 116);
+    directory.writeUInt32LE(entry.size, offset + 120);
+  });
+
+  const tableSector = (values) => {
+    const sector = Buffer.alloc(SECTOR_SIZE, 0xFF);
+    values.forEach((value, index) => sector.writeUInt32LE(value ?? FREE, index * 4));
+    return sector;
+  };
+
+  const header = Buffer.alloc(SECTOR_SIZE);
+  Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]).copy(header);
+  header.writeUInt16LE(0x3E, 0x18);
+  header.writeUInt16LE(3, 0x1A);
+  header.writeUInt16LE(0xFFFE, 0x1C);
+  header.writeUInt16LE(9, 0x1E);
+  header.writeUInt16LE(6, 0x20);
+  header.writeUInt32LE(1, 0x2C);
+  header.writeUInt32LE(1, 0x30);
+  header.writeUInt32LE(4096, 0x38);
+  header.writeUInt32LE(2, 0x3C);
+  header.writeUInt32LE(1, 0x40);
+  header.writeUInt32LE(END_OF_CHAIN, 0x44);
+  header.writeUInt32LE(0, 0x48);
+  for (let i = 0; i < 109; i++) {
+    header.writeUInt32LE(i === 0 ? 0 : FREE, 0x4C + i * 4);
+  }
+
+  return Buffer.concat([header, tableSector(fat), directory, tableSector(miniFat), ...sectors]);
+}
+
+describe('isCompoundFile', () => {
+  it('checks the CFB signature', () => {
+    assert.equal(isCompoundFile(buildCompoundFile({})), true);
+    assert.equal(isCompoundFile(Buffer.alloc(1024)), false);
+    assert.equal(isCompoundFile(null), false);
+  });
+});
+
+describe('readCompoundFile', () => {
+  const large = Buffer.alloc(5000, 'large stream ');
+  const small = Buffer.from('small stream stored in mini sectors, longer than one mini sector of 64 bytes');
+
+  it('lists the streams', () => {
+    const file = readCompoundFile(buildCompoundFile({ WordDocument: large, '\u0005SummaryInformation': small }));
+    assert.deepEqual(file.streamNames, ['WordDocument', '\u0005SummaryInformation']);
+  });
+
+  it('reads streams from regular sectors and from the mini stream', () => {
+    const file = readCompoundFile(buildCompoundFile({ WordDocument: large, '\u0005SummaryInformation': small }));
+    assert.deepEqual(file.getStream('WordDocument'), large);
+    assert.deepEqual(file.getStream('\u0005SummaryInformation'), small);
+  });
+
+  it('returns null for missing streams', () => {
+    assert.equal(readCompoundFile(buildCompoundFile({ WordDocument: large })).getStream('1Table'), null);
+  });
+
+  it('rejects sector chains that loop', () => {
+    const buffer = buildCompoundFile({ WordDocument: large });
+    // Point the last sector of the stream back at its first one
+    const fatOffset = SECTOR_SIZE;
+    for (let sector = 3; ; sector++) {
+      if (buffer.readUInt32LE(fatOffset + sector * 4) === END_OF_CHAIN) {
+        buffer.writeUInt32LE(3, fatOffset + sector * 4);
+        break;
+      }
+    }
+    assert.throws(() => readCompoundFile(buffer).getStream('WordDocument'), /Corrupted sector chain/);
+  });
+
+  it('rejects buffers that are not compound files', () => {
+    assert.throws(() => readCompoundFile(Buffer.from('{\\rtf1}')), /Not a compound file/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveChunkingOptions, estimateTokens, chunkText } = require('../lib/chunker');
+
+const DOCUMENT_HASH = 'ab'.repeat(32);
+
+const pages = [
+  { pageNumber: 1, text: 'Introduction\n\nThe first sentence is here. The second one follows it.' },
+  { pageNumber: 2, text: 'Another paragraph on page two. It has two sentences.' }
+];
+const result = { text: pages.map(page => page.text).join('\n\n'), pages };
+
+/**
+ * Chunk the sample document
+ * @param {Object} chunking - Chunking request
+ * @returns {Array} Chunks
+ */
+function chunk(chunking) {
+  return chunkText(result, DOCUMENT_HASH, resolveChunkingOptions(chunking));
+}
+
+describe('resolveChunkingOptions', () => {
+  it('returns null when chunking is not requested', () => {
+    for (const chunking of [undefined, null, false, '', 'false']) {
+      assert.equal(resolveChunkingOptions(chunking), null);
+    }
+  });
+
+  it('applies the defaults for true and parses form field JSON', () => {
+    assert.deepEqual(resolveChunkingOptions(true), { unit: 'tokens', size: 512, overlap: 0, boundary: 'paragraph' });
+    assert.deepEqual(resolveChunkingOptions('{"maxChars":100,"overlap":10,"boundary":"sentence"}'), { unit: 'characters', size: 100, overlap: 10, boundary: 'sentence' });
+  });
+
+  it('rejects invalid options', () => {
+    for (const chunking of ['{oops', [], { maxTokens: 10, maxChars: 10 }, { maxTokens: 0 }, { maxTokens: 1.5 }, { maxTokens: 10, overlap: 10 }, { boundary: 'page' }]) {
+      assert.throws(() => resolveChunkingOptions(chunking), error => error.code === 'INVALID_CHUNKING_OPTIONS', JSON.stringify(chunking));
+    }
+  });
+});
+
+describe('estimateTokens', () => {
+  it('counts words and punctuation marks', () => {
+    assert.equal(estimateTokens('Hello, world!'), 4);
+    assert.equal(estimateTokens(''), 0);
+  });
+});
+
+describe('chunkText', () => {
+  it('keeps a small document in one chunk spanning its pages', () => {
+    const chunks = chunk(true);
+    assert.equal(chunks.length, 1);
+    assert.equal(chunks[0].text, result.text);
+    assert.equal(chunks[0].pageStart, 1);
+    assert.equal(chunks[0].pageEnd, 2);
+    assert.equal(chunks[0].heading, 'Introduction');
+  });
+
+  it('gives offsets into the extracted text and respects the chunk size', () => {
+    for (const chunking of [{ maxTokens: 12 }, { maxTokens: 12, boundary: 'sentence' }, { maxChars: 60, boundary: 'heading' }]) {
+      const chunks = chunk(chunking);
+      assert.ok(chunks.length > 1);
+      for (const [index, piece] of chunks.entries()) {
+        assert.equal(piece.index, index);
+        assert.equal(result.text.slice(piece.start, piece.end), piece.text);
+        assert.ok(chunking.maxChars ? piece.charCount <= chunking.maxChars : piece.tokenCount <= chunking.maxTokens);
+      }
+    }
+  });
+
+  it('keeps paragraphs whole when they fit', () => {
+    const chunks = chunk({ maxTokens: 12 });
+    assert.deepEqual(chunks.map(piece => piece.text), [
+      'Introduction\n\nThe first sentence is here.',
+      'The second one follows it.',
+      'Another paragraph on page two. It has two sentences.'
+    ]);
+    assert.deepEqual(chunks.map(piece => [piece.pageStart, piece.pageEnd]), [[1, 1], [1, 1], [2, 2]]);
+  });
+
+  it('repeats the end of the previous chunk up to the overlap', () => {
+    const chunks = chunk({ maxTokens: 12, overlap: 6, boundary: 'sentence' });
+    for (let i = 1; i < chunks.length; i++) {
+      assert.ok(chunks[i].start < chunks[i - 1].end, `chunk ${i} overlaps the previous one`);
+    }
+  });
+
+  it('splits sentences larger than a chunk between words', () => {
+    const long = { text: 'one two three four five six seven eight nine ten.', pages: [] };
+    const chunks = chunkText(long, DOCUMENT_HASH, resolveChunkingOptions({ maxTokens: 4 }));
+    assert.deepEqual(chunks.map(piece => piece.text), ['one two three four', 'five six seven eight', 'nine ten.']);
+  });
+
+  it('gives stable ids that start with the document hash', () => {
+    const first = chunk({ maxTokens: 12 });
+    const second = chunk({ maxTokens: 12 });
+    assert.deepEqual(first.map(piece => piece.id), second.map(piece => piece.id));
+    assert.equal(new Set(first.map(piece => piece.id)).size, first.length);
+    assert.ok(first.every(piece => piece.id.startsWith(DOCUMENT_HASH.slice(0, 16))));
+  });
+
+  it('returns no chunks for empty text', () => {
+    assert.deepEqual(chunkText({ text: '', pages: [] }, DOCUMENT_HASH, resolveChunkingOptions(true)), []);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectMimeType, parseContentType } = require('../lib/fileDownloader');
+const { decodeText } = require('../lib/codePages');
+const { extractHtml } = require('../lib/htmlExtractor');
+
+describe('parseContentType', () => {
+  it('splits the type from its parameters', () => {
+    assert.deepEqual(parseContentType('Text/HTML; charset="UTF-8"'), { mimeType: 'text/html', charset: 'utf-8' });
+    assert.deepEqual(parseContentType('text/markdown;variant=GFM'), { mimeType: 'text/markdown', charset: null });
+    assert.deepEqual(parseContentType(null), { mimeType: null, charset: null });
+  });
+});
+
+describe('detectMimeType', () => {
+  it('falls back to the header type without its parameters', () => {
+    const page = Buffer.from('<p>No doctype here</p>');
+    assert.equal(detectMimeType(page, null, 'text/html; charset=utf-8'), 'text/html');
+    assert.equal(detectMimeType(Buffer.from('# Notes'), null, 'text/markdown; charset=utf-8'), 'text/markdown');
+    assert.equal(detectMimeType(Buffer.from('Plain words'), null, 'TEXT/PLAIN; charset=utf-8'), 'text/plain');
+  });
+
+  it('ignores application/octet-stream', () => {
+    assert.equal(detectMimeType(Buffer.from([0, 1, 2]), null, 'application/octet-stream; charset=binary'), 'application/octet-stream');
+  });
+});
+
+describe('decoding with the header charset', () => {
+  const latin1 = Buffer.from('<p>Caf\xe9</p>', 'latin1');
+
+  it('decodes text files in the charset they were sent with', () => {
+    assert.equal(decodeText(Buffer.from([0x93, 0x68, 0x69, 0x94]), 'windows-1252'), '\u201Chi\u201D');
+    assert.equal(decodeText(Buffer.from('\uFEFFcaf\u00E9'), null), 'caf\u00E9');
+  });
+
+  it('decodes HTML in the header charset before its meta declaration', () => {
+    assert.equal(extractHtml(latin1, { charset: 'iso-8859-1' }).blocks[0].text, 'Caf\u00E9');
+
+    const declared = Buffer.from('<meta charset="utf-8"><p>Caf\xe9</p>', 'latin1');
+    assert.equal(extractHtml(declared, { charset: 'windows-1252' }).blocks[0].text, 'Caf\u00E9');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,77 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { recoverJobs, getJob, setJobStore } = require('../lib/jobRunner');
+const { createMemoryJobStore } = require('../lib/jobStore');
+
+/**
+ * Build a job record as createJob stores it
+ * @param {string} id - Job id
+ * @param {string} status - Job status
+ * @returns {Object} Job
+ */
+function storedJob(id, status) {
+  const now = Date.now();
+  return {
+    id,
+    status,
+    request: { cloudinaryUrl: 'data:text/plain,Recovered%20job%20text', documentId: id, fileType: 'txt' },
+    progress: { pagesDone: 0, totalPages: null },
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: status === 'running' ? now : null,
+    completedAt: null
+  };
+}
+
+/**
+ * Wait until a job has finished
+ * @param {string} id - Job id
+ * @returns {Promise} Succeeded or failed job
+ */
+async function waitForJob(id) {
+  for (let i = 0; i < 200; i++) {
+    const job = await getJob(id);
+    if (job.status === 'succeeded' || job.status === 'failed') {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+describe('recoverJobs', () => {
+  let counts;
+
+  before(async () => {
+    const store = createMemoryJobStore();
+    await store.create(storedJob('queued-job', 'queued'));
+    await store.create(storedJob('running-job', 'running'));
+    await store.create({ ...storedJob('finished-job', 'succeeded'), completedAt: Date.now() });
+    setJobStore(store);
+    counts = await recoverJobs();
+  });
+
+  it('reports the recovered jobs', () => {
+    assert.deepEqual(counts, { requeued: 1, failed: 1 });
+  });
+
+  it('runs the jobs that were still queued', async () => {
+    const job = await waitForJob('queued-job');
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.result.extractedText, 'Recovered job text');
+  });
+
+  it('fails the jobs that were running', async () => {
+    const job = await getJob('running-job');
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error.code, 'JOB_INTERRUPTED');
+    assert.ok(job.completedAt);
+  });
+
+  it('leaves finished jobs alone', async () => {
+    assert.equal((await getJob('finished-job')).status, 'succeeded');
+  });
+});
\ No newline at end of file
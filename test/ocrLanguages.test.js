@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { resolveOcrLanguages, getTesseractWorkerOptions } = require('../lib/ocrLanguages');
+
+/**
+ * Check that a thrown error is INVALID_OCR_LANGUAGE
+ * @param {Object} error - Thrown error
+ * @returns {boolean} True for the expected error
+ */
+function isInvalidLanguage(error) {
+  return error.code === 'INVALID_OCR_LANGUAGE' && error.status === 400;
+}
+
+describe('resolveOcrLanguages', () => {
+  it('uses the default languages when none are requested', () => {
+    assert.equal(resolveOcrLanguages(''), 'eng');
+    assert.equal(resolveOcrLanguages(' AUTO '), 'auto');
+  });
+
+  it('rejects malformed language strings', () => {
+    for (const languages of ['en', 'eng+', 'eng deu', '../eng']) {
+      assert.throws(() => resolveOcrLanguages(languages), isInvalidLanguage, languages);
+    }
+  });
+
+  it('rejects codes without a published language pack', () => {
+    assert.equal(resolveOcrLanguages('eng+deu'), 'eng+deu');
+    assert.throws(() => resolveOcrLanguages('zzz'), error => isInvalidLanguage(error) && /zzz/.test(error.message));
+  });
+
+  describe('with a local OCR_LANG_PATH', () => {
+    let langPath;
+
+    before(() => {
+      langPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-languages-'));
+      fs.writeFileSync(path.join(langPath, 'eng.traineddata'), '');
+      process.env.OCR_LANG_PATH = langPath;
+    });
+
+    after(() => {
+      delete process.env.OCR_LANG_PATH;
+      fs.rmSync(langPath, { recursive: true, force: true });
+    });
+
+    it('only accepts the language packs in it', () => {
+      assert.equal(resolveOcrLanguages('eng'), 'eng');
+      assert.throws(() => resolveOcrLanguages('eng+deu'), error => isInvalidLanguage(error) && error.message.endsWith(': deu'));
+    });
+  });
+});
+
+describe('getTesseractWorkerOptions', () => {
+  it('handles worker errors so they reject the job', () => {
+    assert.equal(typeof getTesseractWorkerOptions().errorHandler, 'function');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createWorkerPool } = require('../lib/ocrWorkerPool');
+const { getTesseractWorkerOptions } = require('../lib/ocrLanguages');
+
+let Tesseract;
+try {
+  Tesseract = require('tesseract.js');
+} catch (e) {
+  Tesseract = null;
+}
+
+describe('OCR worker pool with Tesseract workers', { skip: !Tesseract && 'tesseract.js is not installed' }, () => {
+  let langPath;
+  let pool;
+
+  before(() => {
+    // An empty language directory, so loading any pack fails
+    langPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-pool-'));
+    process.env.OCR_LANG_PATH = langPath;
+    process.env.OCR_CACHE_PATH = langPath;
+
+    pool = createWorkerPool({
+      size: 1,
+      // Workers for 'none' start without a language pack, as createTesseractWorker does otherwise
+      createWorker: async (languages) => {
+        const worker = await Tesseract.createWorker(getTesseractWorkerOptions());
+        if (languages !== 'none') {
+          try {
+            await worker.loadLanguage(languages);
+          } catch (error) {
+            await worker.terminate();
+            throw new Error(`Failed to load OCR languages ${languages}: ${error}`);
+          }
+        }
+        return worker;
+      }
+    });
+  });
+
+  after(async () => {
+    await pool.shutdown();
+    delete process.env.OCR_LANG_PATH;
+    delete process.env.OCR_CACHE_PATH;
+    fs.rmSync(langPath, { recursive: true, force: true });
+  });
+
+  it('rejects only the job whose worker failed to load its language', async () => {
+    await assert.rejects(pool.run('eng', worker => worker.recognize('unused.png')), /Failed to load OCR languages eng/);
+  });
+
+  it('replaces the failed worker and keeps serving jobs', async () => {
+    const { data } = await pool.run('none', async (worker) => {
+      await worker.writeText('pool.txt', 'still serving');
+      return worker.readText('pool.txt');
+    });
+
+    assert.equal(data, 'still serving');
+    assert.equal(pool.getStats().workersRecycled, 1);
+    assert.equal(pool.getStats().workers, 1);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.MAX_PAGES = '5';
+
+const { resolvePageRanges, isPageSelected, selectPages } = require('../lib/pageRanges');
+
+describe('resolvePageRanges', () => {
+  it('returns undefined when every page is requested', () => {
+    for (const pages of [undefined, null, '']) {
+      assert.equal(resolvePageRanges(pages), undefined);
+    }
+  });
+
+  it('normalizes pages, ranges and open ranges', () => {
+    assert.equal(resolvePageRanges(' 1-3, 8 ,12- '), '1-3,8,12-');
+    assert.equal(resolvePageRanges(4), '4');
+  });
+
+  it('rejects malformed ranges and names the field', () => {
+    for (const pages of ['abc', '0', '3-1', '1,,2', '-5', '1-2-3', '1.5']) {
+      assert.throws(() => resolvePageRanges(pages), error => error.code === 'INVALID_PAGE_RANGE' && error.status === 400, pages);
+    }
+    assert.throws(() => resolvePageRanges('x', 'ocrPages'), error => error.message.startsWith('Invalid ocrPages: x'));
+  });
+});
+
+describe('isPageSelected', () => {
+  it('selects every page without ranges', () => {
+    assert.equal(isPageSelected(undefined, 42), true);
+  });
+
+  it('matches pages, closed ranges and open ranges', () => {
+    assert.deepEqual([1, 2, 3, 4, 5, 8, 9, 12, 20].map(page => isPageSelected('2-3,8,12-', page)), [false, true, true, false, false, true, false, true, true]);
+  });
+});
+
+describe('selectPages', () => {
+  it('returns the requested pages that exist, in order', () => {
+    assert.deepEqual(selectPages('3,1-2', 10), { pageNumbers: [1, 2, 3], truncated: false });
+    assert.deepEqual(selectPages('4-', 5), { pageNumbers: [4, 5], truncated: false });
+    assert.deepEqual(selectPages('2-9', 3), { pageNumbers: [2, 3], truncated: false });
+  });
+
+  it('keeps the first MAX_PAGES pages and reports truncation', () => {
+    assert.deepEqual(selectPages(undefined, 8), { pageNumbers: [1, 2, 3, 4, 5], truncated: true });
+    assert.deepEqual(selectPages('3-', 20), { pageNumbers: [3, 4, 5, 6, 7], truncated: true });
+  });
+
+  it('rejects ranges without any page in the document', () => {
+    assert.throws(() => selectPages('7-', 3), error => error.code === 'INVALID_PAGE_RANGE' && error.message === 'No pages in range 7-, the document has 3 pages');
+  });
+
+  it('accepts documents without pages', () => {
+    assert.deepEqual(selectPages('1', 0), { pageNumbers: [], truncated: false });
+  });
+});
\ No newline at end of file
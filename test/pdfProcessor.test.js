@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RESULT_CACHE = 'none';
+
+const { processBuffer } = require('../lib/pdfProcessor');
+
+/**
+ * Build a one-page PDF with a line of text
+ * @param {string} text - Text drawn on the page
+ * @returns {Buffer} PDF file
+ */
+function buildPdf(text) {
+  const stream = `BT /F1 24 Tf 72 720 Td (${text}) Tj ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+describe('ocrPages', () => {
+  const pdf = buildPdf('A text layer with enough words to keep');
+
+  it('is rejected when the request disables OCR', async () => {
+    await assert.rejects(
+      processBuffer(pdf, 'application/pdf', { enableOCR: false, ocrPages: '1' }),
+      error => error.code === 'OCR_DISABLED' && error.status === 400
+    );
+  });
+
+  it('leaves the text layer alone when it is not given', async () => {
+    const result = await processBuffer(pdf, 'application/pdf', { enableOCR: false });
+    assert.equal(result.text, 'A text layer with enough words to keep');
+    assert.equal(result.metadata.extractionMethod, 'text');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isRtf, extractRtf } = require('../lib/rtfExtractor');
+
+/**
+ * Extract an RTF document given as a string of 7-bit characters
+ * @param {string} source - RTF source
+ * @returns {Object} Extraction result
+ */
+function extract(source) {
+  return extractRtf(Buffer.from(source, 'latin1'));
+}
+
+describe('isRtf', () => {
+  it('checks the {\\rtf signature', () => {
+    assert.equal(isRtf(Buffer.from('{\\rtf1\\ansi Hello}')), true);
+    assert.equal(isRtf(Buffer.from('Hello')), false);
+    assert.equal(isRtf(null), false);
+  });
+});
+
+describe('extractRtf', () => {
+  it('reads paragraphs and skips formatting and ignorable destinations', () => {
+    const { text } = extract('{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}{\\*\\generator Writer;}Hello \\b world\\b0 .\\par Second line\\line end\\par}');
+    assert.equal(text, 'Hello world.\nSecond line\nend\n');
+  });
+
+  it('decodes hex escapes with the document and font code pages', () => {
+    const { text } = extract('{\\rtf1\\ansi\\ansicpg1252{\\fonttbl{\\f0 Arial;}{\\f1\\fcharset204 Times;}}Caf\\\'e9\\par{\\f1 \\\'cf\\\'f0\\\'e8\\\'e2\\\'e5\\\'f2}\\par}');
+    assert.equal(text, 'Café\nПривет\n');
+  });
+
+  it('reads Unicode characters and skips their fallback', () => {
+    const { text } = extract('{\\rtf1\\ansi\\uc1 Price \\u8364?5 and \\u-4064?\\par}');
+    assert.equal(text, 'Price €5 and \n');
+  });
+
+  it('reads table rows and pads short rows', () => {
+    const { text, tables } = extract([
+      '{\\rtf1\\ansi Before\\par',
+      '\\trowd\\cellx1000\\cellx2000\\pard\\intbl A1\\cell B1\\cell\\row',
+      '\\trowd\\cellx1000\\cellx2000\\pard\\intbl A2\\cell\\row',
+      '\\pard After\\par}'
+    ].join('\n'));
+    assert.deepEqual(tables, [[['A1', 'B1'], ['A2', '']]]);
+    assert.equal(text, 'Before\nA1\tB1\nA2\nAfter\n');
+  });
+
+  it('reads the info group', () => {
+    const { text, metadata } = extract([
+      '{\\rtf1\\ansi{\\info{\\title Quarterly report}{\\author Jane Doe}{\\*\\company Acme}',
+      '{\\creatim\\yr2023\\mo1\\dy2\\hr3\\min4}{\\nofpages3}}Body\\par}'
+    ].join(''));
+    assert.equal(text, 'Body\n');
+    assert.equal(metadata.title, 'Quarterly report');
+    assert.equal(metadata.author, 'Jane Doe');
+    assert.equal(metadata.company, 'Acme');
+    assert.equal(metadata.createdAt, '2023-01-02T03:04:00.000Z');
+    assert.equal(metadata.pages, 3);
+    assert.equal(metadata.modifiedAt, null);
+  });
+
+  it('rejects files without the RTF signature', () => {
+    assert.throws(() => extract('Hello'), /Missing \{\\rtf signature/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { resolveCleaningProfile, cleanText } = require('../lib/textCleaner');
+
+/**
+ * Load a fresh copy of the text cleaner, which reads OCR_DICTIONARY_FILE on first use
+ * @returns {Object} Text cleaner module
+ */
+function loadTextCleaner() {
+  delete require.cache[require.resolve('../lib/textCleaner')];
+  return require('../lib/textCleaner');
+}
+
+describe('resolveCleaningProfile', () => {
+  it('defaults to standard and ignores case', () => {
+    assert.equal(resolveCleaningProfile(), 'standard');
+    assert.equal(resolveCleaningProfile('OCR-Aggressive'), 'ocr-aggressive');
+  });
+
+  it('rejects unknown profiles', () => {
+    assert.throws(() => resolveCleaningProfile('heavy'), error => error.code === 'INVALID_CLEANING_PROFILE' && error.status === 400);
+  });
+});
+
+describe('cleanText', () => {
+  const text = 'First  line\r\nof a paragraph.\n\n\n\nSECOND\u200B PART\n\u201CQuoted\u201D \u2014 done\u2026';
+
+  it('returns raw text unchanged', () => {
+    assert.equal(cleanText(text, { profile: 'raw' }), text);
+  });
+
+  it('only normalizes whitespace with the minimal profile', () => {
+    assert.equal(cleanText(text, { profile: 'minimal' }), 'First line\nof a paragraph.\n\nSECOND PART\n\u201CQuoted\u201D \u2014 done\u2026');
+  });
+
+  it('joins lines into paragraphs with the standard profile', () => {
+    assert.equal(cleanText(text), 'First line of a paragraph.\n\nSECOND PART\n\n\u201CQuoted\u201D \u2014 done\u2026');
+  });
+
+  it('flattens typographic characters with the ocr-aggressive profile', () => {
+    assert.equal(cleanText(text, { profile: 'ocr-aggressive' }), 'First line of a paragraph.\n\nSECOND PART\n\n"Quoted" - done...');
+  });
+
+  it('fixes letters misread as digits inside numbers in OCR text only', () => {
+    assert.equal(cleanText('Total 1O5 and 2l3', { ocr: true }), 'Total 105 and 213');
+    assert.equal(cleanText('Total 1O5 and 2l3'), 'Total 1O5 and 2l3');
+  });
+
+  it('adds missing spaces after periods with the ocr-aggressive profile', () => {
+    assert.equal(cleanText('The end.Next page, U.S.A', { profile: 'ocr-aggressive', ocr: true }), 'The end. Next page, U.S.A');
+  });
+
+  it('is deterministic', () => {
+    const ocrText = 'rnodern tirnes 1n the 0ffice';
+    assert.equal(cleanText(ocrText, { ocr: true }), cleanText(ocrText, { ocr: true }));
+  });
+
+  it('returns an empty string for empty input', () => {
+    assert.equal(cleanText(''), '');
+    assert.equal(cleanText(null), '');
+  });
+});
+
+describe('OCR word corrections', () => {
+  it('leaves words alone without a dictionary', () => {
+    const text = 'See example.com for corn, modern and torn items. The rnodern 1ist';
+    assert.equal(cleanText(text, { ocr: true }), text);
+    assert.equal(cleanText(text, { ocr: true, profile: 'ocr-aggressive' }), text);
+  });
+
+  describe('with a dictionary', () => {
+    let directory;
+    let cleaner;
+
+    before(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'text-cleaner-test-'));
+      const dictionaryFile = path.join(directory, 'words.txt');
+      fs.writeFileSync(dictionaryFile, ['com', 'corn', 'example', 'list', 'modern', 'the', 'tom', 'torn'].join('\n'));
+      process.env.OCR_DICTIONARY_FILE = dictionaryFile;
+      cleaner = loadTextCleaner();
+    });
+
+    after(() => {
+      delete process.env.OCR_DICTIONARY_FILE;
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('corrects unknown words to dictionary words, keeping their case', () => {
+      assert.equal(cleaner.cleanText('The rnodern 1ist. Rnodern LIST', { ocr: true }), 'The modern list. Modern LIST');
+    });
+
+    it('leaves dictionary words alone even when a variant is frequent', () => {
+      assert.equal(cleaner.cleanText('corn torn example.com com com tom', { ocr: true }), 'corn torn example.com com com tom');
+    });
+
+    it('leaves unknown words without a dictionary variant alone', () => {
+      assert.equal(cleaner.cleanText('The rnarmot', { ocr: true }), 'The rnarmot');
+    });
+
+    it('corrects unknown real words only to dictionary words', () => {
+      assert.equal(cleaner.cleanText('The modem', { ocr: true }), 'The modern');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,204 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+process.env.WEBHOOK_SECRET = 'test-secret';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_DELAY_MS = '10';
+
+const { sendWebhook, recoverDeliveries, signPayload, isWebhookSigningConfigured, isValidCallbackUrl, getDelivery, setDeliveryStore } = require('../lib/webhooks');
+const { createMemoryJobStore } = require('../lib/jobStore');
+
+/**
+ * Wait until a delivery has finished
+ * @param {string} id - Delivery id
+ * @returns {Promise} Delivered or failed delivery
+ */
+async function waitForDelivery(id) {
+  for (let i = 0; i < 200; i++) {
+    const delivery = await getDelivery(id);
+    if (delivery.status !== 'pending') {
+      return delivery;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Delivery ${id} did not finish`);
+}
+
+describe('signPayload', () => {
+  it('signs the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'test-secret').update('1700000000.{"a":1}').digest('hex');
+    assert.equal(signPayload('{"a":1}', '1700000000'), `sha256=${expected}`);
+  });
+
+  it('changes with the timestamp', () => {
+    assert.notEqual(signPayload('{}', '1'), signPayload('{}', '2'));
+  });
+});
+
+describe('isValidCallbackUrl', () => {
+  it('accepts absolute http and https URLs', () => {
+    assert.equal(isValidCallbackUrl('https://example.com/hook'), true);
+    assert.equal(isValidCallbackUrl('http://example.com/hook'), true);
+  });
+
+  it('rejects other schemes and relative URLs', () => {
+    assert.equal(isValidCallbackUrl('ftp://example.com/hook'), false);
+    assert.equal(isValidCallbackUrl('/hook'), false);
+    assert.equal(isValidCallbackUrl(undefined), false);
+  });
+
+  it('rejects private, loopback and metadata addresses', () => {
+    for (const url of ['http://127.0.0.1:8080/hook', 'http://[::1]/hook', 'http://10.0.0.5/hook', 'http://169.254.169.254/latest/meta-data']) {
+      assert.equal(isValidCallbackUrl(url), false, url);
+    }
+  });
+
+  it('rejects denied hosts but ignores the allowed download hosts', () => {
+    process.env.FETCH_DENIED_HOSTS = 'internal.example.com';
+    process.env.FETCH_ALLOWED_HOSTS = 'res.cloudinary.com';
+    try {
+      assert.equal(isValidCallbackUrl('https://internal.example.com/hook'), false);
+      assert.equal(isValidCallbackUrl('https://example.com/hook'), true);
+    } finally {
+      delete process.env.FETCH_DENIED_HOSTS;
+      delete process.env.FETCH_ALLOWED_HOSTS;
+    }
+  });
+});
+
+describe('sendWebhook', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+  // Status codes to answer with, in order, then 200
+  let responses = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body });
+        res.statusCode = responses.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+    // The receiver runs on this machine
+    process.env.FETCH_ALLOW_PRIVATE_ADDRESSES = 'true';
+  });
+
+  after(() => {
+    delete process.env.FETCH_ALLOW_PRIVATE_ADDRESSES;
+    server.close();
+  });
+
+  it('posts a signed body that the receiver can verify', async () => {
+    requests.length = 0;
+    const delivery = await sendWebhook(`${baseUrl}/hook`, 'extraction.succeeded', { jobId: 'job-1' }, { jobId: 'job-1' });
+    const completed = await waitForDelivery(delivery.id);
+
+    assert.equal(completed.status, 'delivered');
+    assert.equal(requests.length, 1);
+    const { headers, body } = requests[0];
+    assert.deepEqual(JSON.parse(body), { deliveryId: delivery.id, event: 'extraction.succeeded', jobId: 'job-1' });
+    assert.equal(headers['x-webhook-event'], 'extraction.succeeded');
+    assert.equal(headers['x-webhook-delivery-id'], delivery.id);
+    assert.equal(headers['x-webhook-signature'], signPayload(body, headers['x-webhook-timestamp']));
+  });
+
+  it('retries server errors with the same body', async () => {
+    requests.length = 0;
+    responses = [500, 503];
+    const delivery = await sendWebhook(`${baseUrl}/hook`, 'extraction.failed', { jobId: 'job-2' });
+    const completed = await waitForDelivery(delivery.id);
+
+    assert.equal(completed.status, 'delivered');
+    assert.deepEqual(completed.attempts.map(attempt => attempt.statusCode), [500, 503, 200]);
+    assert.equal(new Set(requests.map(request => request.body)).size, 1);
+  });
+
+  it('does not retry client errors', async () => {
+    requests.length = 0;
+    responses = [404];
+    const delivery = await sendWebhook(`${baseUrl}/hook`, 'extraction.failed', { jobId: 'job-3' });
+    const completed = await waitForDelivery(delivery.id);
+
+    assert.equal(completed.status, 'failed');
+    assert.equal(completed.attempts.length, 1);
+  });
+
+  it('refuses hosts that resolve to private addresses without retrying', async () => {
+    requests.length = 0;
+    delete process.env.FETCH_ALLOW_PRIVATE_ADDRESSES;
+    try {
+      const delivery = await sendWebhook(`${baseUrl}/hook`, 'extraction.failed', { jobId: 'job-5' });
+      const completed = await waitForDelivery(delivery.id);
+
+      assert.equal(completed.status, 'failed');
+      assert.equal(completed.attempts.length, 1);
+      assert.match(completed.attempts[0].error, /private or reserved address/);
+      assert.equal(requests.length, 0);
+    } finally {
+      process.env.FETCH_ALLOW_PRIVATE_ADDRESSES = 'true';
+    }
+  });
+
+  it('gives up after WEBHOOK_MAX_ATTEMPTS', async () => {
+    responses = [500, 500, 500];
+    const delivery = await sendWebhook(`${baseUrl}/hook`, 'extraction.failed', { jobId: 'job-4' });
+    const completed = await waitForDelivery(delivery.id);
+
+    assert.equal(completed.status, 'failed');
+    assert.equal(completed.attempts.length, 3);
+  });
+
+  it('fails without retrying when no signing secret is configured', async () => {
+    requests.length = 0;
+    delete process.env.WEBHOOK_SECRET;
+    try {
+      assert.equal(isWebhookSigningConfigured(), false);
+      const delivery = await sendWebhook(`${baseUrl}/hook`, 'extraction.failed', { jobId: 'job-6' });
+      const completed = await waitForDelivery(delivery.id);
+
+      assert.equal(completed.status, 'failed');
+      assert.equal(completed.attempts.length, 1);
+      assert.equal(completed.attempts[0].error, 'WEBHOOK_SECRET is not configured');
+      assert.equal(requests.length, 0);
+    } finally {
+      process.env.WEBHOOK_SECRET = 'test-secret';
+    }
+  });
+
+  it('resumes the pending deliveries of a previous process', async () => {
+    requests.length = 0;
+    const store = createMemoryJobStore();
+    const now = Date.now();
+    const body = JSON.stringify({ deliveryId: 'left-behind', event: 'extraction.succeeded', jobId: 'job-7' });
+    await store.create({
+      id: 'left-behind',
+      jobId: 'job-7',
+      callbackUrl: `${baseUrl}/hook`,
+      event: 'extraction.succeeded',
+      status: 'pending',
+      attempts: [{ attempt: 1, timestamp: now, statusCode: 503, durationMs: 1, error: 'Callback responded with status 503' }],
+      body,
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    });
+    setDeliveryStore(store);
+
+    assert.equal(await recoverDeliveries(), 1);
+    const completed = await waitForDelivery('left-behind');
+
+    assert.equal(completed.status, 'delivered');
+    assert.deepEqual(completed.attempts.map(attempt => attempt.attempt), [1, 2]);
+    assert.equal(completed.body, undefined);
+    assert.equal(requests[0].body, body);
+  });
+});
\ No newline at end of file
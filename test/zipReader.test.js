@@ -0,0 +1,48 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+
+const { listZipEntries, readZipEntry } = require('../lib/zipReader');
+
+describe('zipReader', () => {
+  let archive;
+  const contentTypes = '<?xml version="1.0"?><Types>' + '<Override PartName="/ppt/presentation.xml"/>'.repeat(50) + '</Types>';
+
+  before(async () => {
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', contentTypes, { compression: 'DEFLATE' });
+    zip.file('stored.txt', 'stored contents', { compression: 'STORE' });
+    archive = await zip.generateAsync({ type: 'nodebuffer', comment: 'archive comment' });
+  });
+
+  it('lists the entries of the central directory', () => {
+    const entries = listZipEntries(archive);
+    assert.deepEqual([...entries.keys()], ['[Content_Types].xml', 'stored.txt']);
+    assert.equal(entries.get('[Content_Types].xml').method, 8);
+    assert.equal(entries.get('[Content_Types].xml').size, contentTypes.length);
+    assert.equal(entries.get('stored.txt').method, 0);
+  });
+
+  it('reads deflated and stored entries', () => {
+    assert.equal(readZipEntry(archive, '[Content_Types].xml').toString(), contentTypes);
+    assert.equal(readZipEntry(archive, 'stored.txt').toString(), 'stored contents');
+  });
+
+  it('returns null for missing or oversized entries', () => {
+    assert.equal(readZipEntry(archive, 'missing.xml'), null);
+    assert.equal(readZipEntry(archive, '[Content_Types].xml', 100), null);
+  });
+
+  it('returns null for buffers that are not ZIP archives', () => {
+    assert.equal(listZipEntries(Buffer.from('%PDF-1.4 not a zip archive at all')), null);
+    assert.equal(listZipEntries(Buffer.alloc(0)), null);
+    assert.equal(readZipEntry(Buffer.from('PK'), '[Content_Types].xml'), null);
+  });
+
+  it('returns null for a truncated central directory', () => {
+    const entries = listZipEntries(archive);
+    const truncated = Buffer.concat([archive.subarray(0, entries.get('stored.txt').offset), archive.subarray(archive.length - 22 - 'archive comment'.length)]);
+    assert.equal(listZipEntries(truncated), null);
+    assert.equal(readZipEntry(truncated, 'stored.txt'), null);
+  });
+});
\ No newline at end of file